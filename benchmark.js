@@ -87,6 +87,16 @@ result = benchmark('Event with 10 listeners (without cloning)', () => {
 });
 printResult(result);
 
+// 4b. Multiple listeners with frozen delivery
+result = benchmark('Event with 10 listeners (freeze isolation)', () => {
+	const rail = new Rail({ isolation: 'freeze' });
+	for (let i = 0; i < 10; i++) {
+		rail.on('test', () => {}, `bench-${i}`);
+	}
+	rail.emit('test', { data: 'test' });
+});
+printResult(result);
+
 // 5. Module attach/detach
 result = benchmark('Module attach/detach', () => {
 	const rail = new Rail();
@@ -34,20 +34,26 @@ const authModule = {
 				const { email, password } = data;
 				const user = this.users.get(email);
 
-				// Simulate async validation
-				setTimeout(() => {
-					if (user && user.password === password) {
-						rail.emit('auth.success', {
+				// Simulate async validation (cancelled if the module is detached first)
+				if (user && user.password === password) {
+					rail.emitLater(
+						'auth.success',
+						{
 							token: `jwt-${Date.now()}`,
 							user: { id: user.id, email, name: user.name },
-						});
-					} else {
-						rail.emit('auth.failed', {
+						},
+						100
+					);
+				} else {
+					rail.emitLater(
+						'auth.failed',
+						{
 							email,
 							error: 'Invalid email or password',
-						});
-					}
-				}, 100);
+						},
+						100
+					);
+				}
 			},
 			'auth'
 		);
@@ -3,7 +3,7 @@
  * This file demonstrates type-safe usage of the Rail API
  */
 
-import { Rail, RailModule, RailOptions } from './rail.js';
+import { Rail, RailModule, RailOptions, ModuleContext } from './rail.js';
 
 // Define typed event data interfaces
 interface UserLoginData {
@@ -38,7 +38,7 @@ const rail = new Rail(options);
 const authModule: RailModule = {
 	name: 'auth',
 
-	connect(rail: Rail) {
+	connect(rail: ModuleContext) {
 		// Type-safe event listener
 		rail.on<UserLoginData>(
 			'user.login',
@@ -62,7 +62,7 @@ const authModule: RailModule = {
 		);
 	},
 
-	disconnect(rail: Rail) {
+	disconnect(rail: ModuleContext) {
 		console.log('Auth module disconnecting');
 	},
 };
@@ -71,7 +71,7 @@ const authModule: RailModule = {
 const databaseModule: RailModule = {
 	name: 'database',
 
-	connect(rail: Rail) {
+	connect(rail: ModuleContext) {
 		// Async event handler with typed data
 		rail.on<AuthSuccessData>(
 			'auth.success',
@@ -76,14 +76,14 @@ const analyticsPlugin = {
 		console.log('✅ Analytics Plugin loaded');
 
 		// Track all events
-		const originalEmit = rail.emit.bind(rail);
-		rail.emit = (event, data) => {
-			this.events.push({ event, timestamp: Date.now() });
-			return originalEmit(event, data);
-		};
+		this.removeMiddleware = rail.use((envelope, next) => {
+			this.events.push({ event: envelope.event, timestamp: envelope.timestamp });
+			return next();
+		});
 	},
 
 	disconnect(rail) {
+		this.removeMiddleware();
 		console.log('❌ Analytics Plugin unloaded');
 		console.log(`   Tracked ${this.events.length} events`);
 	}
@@ -48,30 +48,29 @@ const todoModule = {
 	name: 'todos',
 
 	connect(rail) {
+		// One-shot reply listener: removed as soon as the todos value arrives
+		const onTodos = { module: 'todos', filter: (stateData) => stateData.key === 'todos' };
+
 		rail.on('todo.add', (data) => {
-			rail.on('state.value', (stateData) => {
-				if (stateData.key === 'todos') {
-					const newTodos = [...stateData.value, {
-						id: Date.now(),
-						text: data.text,
-						completed: false
-					}];
-					rail.emit('state.update', { key: 'todos', value: newTodos });
-				}
-			}, 'todos-temp');
+			rail.once('state.value', (stateData) => {
+				const newTodos = [...stateData.value, {
+					id: Date.now(),
+					text: data.text,
+					completed: false
+				}];
+				rail.emit('state.update', { key: 'todos', value: newTodos });
+			}, onTodos);
 
 			rail.emit('state.get', { key: 'todos' });
 		}, 'todos');
 
 		rail.on('todo.toggle', (data) => {
-			rail.on('state.value', (stateData) => {
-				if (stateData.key === 'todos') {
-					const newTodos = stateData.value.map(todo =>
-						todo.id === data.id ? { ...todo, completed: !todo.completed } : todo
-					);
-					rail.emit('state.update', { key: 'todos', value: newTodos });
-				}
-			}, 'todos-temp');
+			rail.once('state.value', (stateData) => {
+				const newTodos = stateData.value.map(todo =>
+					todo.id === data.id ? { ...todo, completed: !todo.completed } : todo
+				);
+				rail.emit('state.update', { key: 'todos', value: newTodos });
+			}, onTodos);
 
 			rail.emit('state.get', { key: 'todos' });
 		}, 'todos');
@@ -83,12 +82,16 @@ const uiModule = {
 	name: 'ui',
 
 	connect(rail) {
-		rail.on('state.changed', (data) => {
+		// Render at most every 100ms; bursts of changes collapse into the latest one
+		rail.on('state.changed', (data, { dropped }) => {
 			console.log('\n🎨 UI Update:');
 			console.log(`  ${data.key} changed`);
 			console.log(`  Old:`, data.oldValue);
 			console.log(`  New:`, data.newValue);
-		}, 'ui');
+			if (dropped > 0) {
+				console.log(`  (${dropped} earlier change${dropped === 1 ? '' : 's'} skipped)`);
+			}
+		}, { module: 'ui', throttle: 100 });
 	}
 };
 
@@ -1,11 +1,22 @@
 /**
  * Auth Module - Handle user authentication
  * Listens: user.login, user.logout, user.register, auth.validate
- * Emits: auth.success, auth.failed, auth.logout.success, auth.registration.success, auth.registration.failed, auth.valid, auth.invalid
+ * Emits: auth.success, auth.failed, auth.logout.success, auth.logout.failed, auth.registration.success, auth.registration.failed, auth.valid, auth.invalid
  */
 
 export const authModule = {
 	name: 'auth',
+	listens: ['user.login', 'user.logout', 'user.register', 'auth.validate'],
+	emits: [
+		'auth.success',
+		'auth.failed',
+		'auth.logout.success',
+		'auth.logout.failed',
+		'auth.registration.success',
+		'auth.registration.failed',
+		'auth.valid',
+		'auth.invalid',
+	],
 
 	// Simple in-memory user store
 	users: new Map([
@@ -22,6 +33,31 @@ export const authModule = {
 	activeSessions: new Map(),
 
 	connect(rail) {
+		// Reject malformed requests before the handlers below destructure them
+		const string = { type: 'string' };
+		const withToken = {
+			type: 'object',
+			required: ['token'],
+			properties: { token: string },
+		};
+
+		rail.defineEvent('user.login', {
+			type: 'object',
+			required: ['email', 'password'],
+			properties: {
+				email: string,
+				password: string,
+				rememberMe: { type: 'boolean' },
+			},
+		});
+		rail.defineEvent('user.register', {
+			type: 'object',
+			required: ['email', 'password', 'name'],
+			properties: { email: string, password: string, name: string },
+		});
+		rail.defineEvent('user.logout', withToken);
+		rail.defineEvent('auth.validate', withToken);
+
 		// Handle login attempts
 		rail.on(
 			'user.login',
@@ -65,8 +101,7 @@ export const authModule = {
 						timestamp: new Date(),
 					});
 				}
-			},
-			'auth'
+			}
 		);
 
 		// Handle token validation
@@ -92,8 +127,7 @@ export const authModule = {
 					}
 					rail.emit('auth.invalid', { token });
 				}
-			},
-			'auth'
+			}
 		);
 
 		// Handle logout
@@ -114,8 +148,7 @@ export const authModule = {
 						error: 'Invalid session',
 					});
 				}
-			},
-			'auth'
+			}
 		);
 
 		// Handle registration
@@ -159,8 +192,7 @@ export const authModule = {
 						},
 					});
 				}
-			},
-			'auth'
+			}
 		);
 	},
 
@@ -1,11 +1,27 @@
 /**
  * Database Module - Handle data storage and retrieval
- * Listens: auth.registration.success, auth.success, auth.logout.success, data.get.user, data.get.sessions, data.get.audit
- * Emits: database.user.created, database.login.recorded, database.session.removed, data.user, data.user.not_found, data.sessions, data.audit
+ * Listens: auth.registration.success, auth.success, auth.logout.success, database.audit (batched)
+ * Responds: data.get.user, data.get.sessions, data.get.audit
+ * Emits: database.user.created, database.login.recorded, database.session.removed, database.audit
  */
 
 export const databaseModule = {
 	name: 'database',
+	listens: [
+		'auth.registration.success',
+		'auth.success',
+		'auth.logout.success',
+		'data.get.user',
+		'data.get.sessions',
+		'data.get.audit',
+		'database.audit',
+	],
+	emits: [
+		'database.user.created',
+		'database.login.recorded',
+		'database.session.removed',
+		'database.audit',
+	],
 
 	// Simulated database tables
 	users: new Map(),
@@ -14,6 +30,15 @@ export const databaseModule = {
 	auditLog: [],
 
 	connect(rail) {
+		// Audit entries are written in bulk, like inserts into a real audit table
+		rail.on(
+			'database.audit',
+			(entries) => {
+				this.auditLog.push(...entries);
+			},
+			{ batch: { size: 50, maxWait: 1000 } }
+		);
+
 		// Store user data on successful registration
 		rail.on(
 			'auth.registration.success',
@@ -26,7 +51,7 @@ export const databaseModule = {
 				};
 
 				this.users.set(data.user.id, userData);
-				this.auditLog.push({
+				rail.emit('database.audit', {
 					action: 'USER_CREATED',
 					userId: data.user.id,
 					details: { email: data.user.email },
@@ -34,8 +59,7 @@ export const databaseModule = {
 				});
 
 				rail.emit('database.user.created', { userId: data.user.id });
-			},
-			'database'
+			}
 		);
 
 		// Track successful logins
@@ -61,7 +85,7 @@ export const databaseModule = {
 					user.loginCount = (user.loginCount || 0) + 1;
 				}
 
-				this.auditLog.push({
+				rail.emit('database.audit', {
 					action: 'USER_LOGIN',
 					userId: data.user.id,
 					details: { email: data.user.email },
@@ -72,8 +96,7 @@ export const databaseModule = {
 					userId: data.user.id,
 					sessionToken: data.token,
 				});
-			},
-			'database'
+			}
 		);
 
 		// Clean up on logout
@@ -88,7 +111,7 @@ export const databaseModule = {
 					}
 				}
 
-				this.auditLog.push({
+				rail.emit('database.audit', {
 					action: 'USER_LOGOUT',
 					userId: data.userId,
 					details: { email: data.email },
@@ -96,44 +119,29 @@ export const databaseModule = {
 				});
 
 				rail.emit('database.session.removed', { userId: data.userId });
-			},
-			'database'
+			}
 		);
 
-		// Handle data queries
-		rail.on(
+		// Answer data queries (use rail.request)
+		rail.respond(
 			'data.get.user',
-			(data) => {
-				const user = this.users.get(data.userId);
-				if (user) {
-					rail.emit('data.user', { user });
-				} else {
-					rail.emit('data.user.not_found', { userId: data.userId });
-				}
-			},
-			'database'
+			(data) => this.users.get(data.userId) || null
 		);
 
-		rail.on(
+		rail.respond(
 			'data.get.sessions',
-			() => {
-				rail.emit('data.sessions', {
-					active: this.sessions.size,
-					recent: this.loginHistory.slice(-10),
-				});
-			},
-			'database'
+			() => ({
+				active: this.sessions.size,
+				recent: this.loginHistory.slice(-10),
+			})
 		);
 
-		rail.on(
+		rail.respond(
 			'data.get.audit',
 			(data) => {
-				const limit = data.limit || 20;
-				rail.emit('data.audit', {
-					logs: this.auditLog.slice(-limit),
-				});
-			},
-			'database'
+				rail.flush(); // include entries still waiting for their batch
+				return { logs: this.auditLog.slice(-(data.limit || 20)) };
+			}
 		);
 	},
 };
@@ -2,10 +2,22 @@
  * Email Module - Handle email notifications
  * Listens: auth.success, auth.registration.success, email.send, email.get.history
  * Emits: email.sent, email.failed, email.history
+ * Requires: auth (welcome and registration emails are sent from its events)
  */
 
 export const emailModule = {
 	name: 'email',
+	requires: ['auth'],
+	listens: [
+		'auth.success',
+		'auth.registration.success',
+		'email.send',
+		'email.get.history',
+	],
+	emits: ['email.sent', 'email.failed', 'email.history'],
+
+	// Delivery can fail transiently once sendEmail talks to a real provider
+	retryPolicy: { attempts: 3, delay: 200 },
 
 	sentEmails: [],
 	templates: {
@@ -42,7 +54,7 @@ export const emailModule = {
 					messageId: this.generateMessageId(),
 				});
 			},
-			'email'
+			{ retry: this.retryPolicy }
 		);
 
 		// Send registration confirmation
@@ -63,7 +75,7 @@ export const emailModule = {
 					messageId: this.generateMessageId(),
 				});
 			},
-			'email'
+			{ retry: this.retryPolicy }
 		);
 
 		// Handle email requests
@@ -86,7 +98,7 @@ export const emailModule = {
 					});
 				}
 			},
-			'email'
+			{ retry: this.retryPolicy }
 		);
 
 		// Get email history
@@ -97,8 +109,7 @@ export const emailModule = {
 				rail.emit('email.history', {
 					emails: this.sentEmails.slice(-limit),
 				});
-			},
-			'email'
+			}
 		);
 	},
 
@@ -1,13 +1,13 @@
 /**
  * Logger Module - Handle application logging
- * Listens: auth.success, auth.failed, auth.registration.success, email.sent, email.failed,
- *          database.user.created, database.login.recorded, rail.module.attached, rail.module.detached,
- *          rail.error, logs.get, logs.set.level
+ * Listens: * (formats the events in `formatters`, batched), logs.get, logs.set.level
  * Emits: logs.data, logs.level.changed, logs.level.invalid
  */
 
 export const loggerModule = {
 	name: 'logger',
+	listens: ['*'],
+	emits: ['logs.data', 'logs.level.changed', 'logs.level.invalid'],
 
 	logs: [],
 	logLevels: {
@@ -18,135 +18,88 @@ export const loggerModule = {
 	},
 	currentLevel: 2, // INFO level
 
-	connect(rail) {
-		// Log all authentication events
-		rail.on(
-			'auth.success',
-			(data) => {
-				this.log(
-					'INFO',
-					'AUTH',
-					`User ${data.user.email} logged in successfully`
-				);
-			},
-			'logger'
-		);
-
-		rail.on(
-			'auth.failed',
-			(data) => {
-				this.log(
-					'WARN',
-					'AUTH',
-					`Failed login attempt for ${data.email}: ${data.error}`
-				);
-			},
-			'logger'
-		);
-
-		rail.on(
-			'auth.registration.success',
-			(data) => {
-				this.log(
-					'INFO',
-					'AUTH',
-					`New user registered: ${data.user.email}`
-				);
-			},
-			'logger'
-		);
-
-		// Log email events
-		rail.on(
-			'email.sent',
-			(data) => {
-				this.log(
-					'INFO',
-					'EMAIL',
-					`${data.type} email sent to ${data.to} (${data.messageId})`
-				);
-			},
-			'logger'
-		);
-
-		rail.on(
-			'email.failed',
-			(data) => {
-				this.log(
-					'ERROR',
-					'EMAIL',
-					`Failed to send email to ${data.to}: ${data.error}`
-				);
-			},
-			'logger'
-		);
-
-		// Log database events
-		rail.on(
-			'database.user.created',
-			(data) => {
-				this.log(
-					'INFO',
-					'DATABASE',
-					`User record created for ID ${data.userId}`
-				);
-			},
-			'logger'
-		);
-
-		rail.on(
-			'database.login.recorded',
-			(data) => {
-				this.log(
-					'DEBUG',
-					'DATABASE',
-					`Login recorded for user ${data.userId}`
-				);
-			},
-			'logger'
-		);
-
-		// Log system events
-		rail.on(
-			'rail.module.attached',
-			(data) => {
-				this.log(
-					'INFO',
-					'SYSTEM',
-					`Module ${data.moduleName} attached to rail`
-				);
-			},
-			'logger'
-		);
+	// event -> [level, category, message] for every event worth logging
+	formatters: {
+		// Authentication events
+		'auth.success': (data) => [
+			'INFO',
+			'AUTH',
+			`User ${data.user.email} logged in successfully`,
+		],
+		'auth.failed': (data) => [
+			'WARN',
+			'AUTH',
+			`Failed login attempt for ${data.email}: ${data.error}`,
+		],
+		'auth.registration.success': (data) => [
+			'INFO',
+			'AUTH',
+			`New user registered: ${data.user.email}`,
+		],
+
+		// Email events
+		'email.sent': (data) => [
+			'INFO',
+			'EMAIL',
+			`${data.type} email sent to ${data.to} (${data.messageId})`,
+		],
+		'email.failed': (data) => [
+			'ERROR',
+			'EMAIL',
+			`Failed to send email to ${data.to}: ${data.error}`,
+		],
+
+		// Database events
+		'database.user.created': (data) => [
+			'INFO',
+			'DATABASE',
+			`User record created for ID ${data.userId}`,
+		],
+		'database.login.recorded': (data) => [
+			'DEBUG',
+			'DATABASE',
+			`Login recorded for user ${data.userId}`,
+		],
+
+		// System events
+		'rail.module.attached': (data) => [
+			'INFO',
+			'SYSTEM',
+			`Module ${data.moduleName} attached to rail`,
+		],
+		'rail.module.detached': (data) =>
+			data.dependents && data.dependents.length > 0
+				? [
+						'WARN',
+						'SYSTEM',
+						`Module ${data.moduleName} detached from rail; still required by ${data.dependents.join(', ')}`,
+					]
+				: ['INFO', 'SYSTEM', `Module ${data.moduleName} detached from rail`],
+		'rail.error': (data) => [
+			'ERROR',
+			'SYSTEM',
+			`Error in module ${data.module} handling ${data.event}: ${data.error}`,
+		],
+	},
 
+	connect(rail) {
+		// Log every event that has a formatter, a batch at a time
 		rail.on(
-			'rail.module.detached',
-			(data) => {
-				this.log(
-					'INFO',
-					'SYSTEM',
-					`Module ${data.moduleName} detached from rail`
-				);
+			'*',
+			(batch, { events }) => {
+				batch.forEach((data, i) => this.log(...this.formatters[events[i]](data)));
 			},
-			'logger'
-		);
-
-		rail.on(
-			'rail.error',
-			(data) => {
-				this.log(
-					'ERROR',
-					'SYSTEM',
-					`Error in module ${data.module} handling ${data.event}: ${data.error}`
-				);
-			},
-			'logger'
+			{
+				filter: (data, { event }) => this.formatters.hasOwnProperty(event),
+				batch: { size: 20, maxWait: 100 },
+			}
 		);
 
 		// Handle log queries
 		rail.on(
 			'logs.get',
 			(data) => {
+				rail.flush(); // log what is still waiting for its batch first
 				const { level, category, limit = 50 } = data;
 				let filtered = this.logs;
 
@@ -167,8 +120,7 @@ export const loggerModule = {
 					logs: filtered.slice(-limit),
 					total: this.logs.length,
 				});
-			},
-			'logger'
+			}
 		);
 
 		// Handle log level changes
@@ -177,6 +129,7 @@ export const loggerModule = {
 			(data) => {
 				const { level } = data;
 				if (this.logLevels.hasOwnProperty(level.toUpperCase())) {
+					rail.flush(); // earlier events are logged at the old level
 					this.currentLevel = this.logLevels[level.toUpperCase()];
 					this.log(
 						'INFO',
@@ -189,8 +142,7 @@ export const loggerModule = {
 				} else {
 					rail.emit('logs.level.invalid', { level });
 				}
-			},
-			'logger'
+			}
 		);
 	},
 
@@ -8,6 +8,20 @@
 
 export const notificationModule = {
 	name: 'notifications',
+	listens: [
+		'auth.success',
+		'auth.registration.success',
+		'email.sent',
+		'auth.failed',
+		'auth.registration.failed',
+		'email.failed',
+		'rail.module.attached',
+		'rail.module.detached',
+		'notification.send',
+		'notification.subscribe',
+		'notification.get.history',
+	],
+	emits: ['notification.created', 'notification.subscribed', 'notification.history'],
 
 	notifications: [],
 	subscribers: new Map(), // userId -> preferences
@@ -22,8 +36,7 @@ export const notificationModule = {
 					`Welcome back, ${data.user.name}!`,
 					data.user.id
 				);
-			},
-			'notifications'
+			}
 		);
 
 		rail.on(
@@ -34,8 +47,7 @@ export const notificationModule = {
 					`Registration successful! Welcome ${data.user.name}`,
 					data.user.id
 				);
-			},
-			'notifications'
+			}
 		);
 
 		rail.on(
@@ -44,8 +56,7 @@ export const notificationModule = {
 				this.notify('info', `Email sent to ${data.to}`, null, {
 					quiet: true,
 				});
-			},
-			'notifications'
+			}
 		);
 
 		// Error notifications
@@ -53,24 +64,21 @@ export const notificationModule = {
 			'auth.failed',
 			(data) => {
 				this.notify('error', `Login failed: ${data.error}`);
-			},
-			'notifications'
+			}
 		);
 
 		rail.on(
 			'auth.registration.failed',
 			(data) => {
 				this.notify('error', `Registration failed: ${data.error}`);
-			},
-			'notifications'
+			}
 		);
 
 		rail.on(
 			'email.failed',
 			(data) => {
 				this.notify('error', `Failed to send email: ${data.error}`);
-			},
-			'notifications'
+			}
 		);
 
 		// System notifications
@@ -83,8 +91,7 @@ export const notificationModule = {
 					null,
 					{ system: true }
 				);
-			},
-			'notifications'
+			}
 		);
 
 		rail.on(
@@ -96,8 +103,7 @@ export const notificationModule = {
 					null,
 					{ system: true }
 				);
-			},
-			'notifications'
+			}
 		);
 
 		// Handle notification requests
@@ -106,8 +112,7 @@ export const notificationModule = {
 			(data) => {
 				const { type, message, userId, options } = data;
 				this.notify(type, message, userId, options);
-			},
-			'notifications'
+			}
 		);
 
 		// Handle subscription management
@@ -117,8 +122,7 @@ export const notificationModule = {
 				const { userId, preferences } = data;
 				this.subscribers.set(userId, preferences);
 				rail.emit('notification.subscribed', { userId });
-			},
-			'notifications'
+			}
 		);
 
 		// Get notification history
@@ -137,8 +141,7 @@ export const notificationModule = {
 				rail.emit('notification.history', {
 					notifications: filtered.slice(-limit),
 				});
-			},
-			'notifications'
+			}
 		);
 	},
 
@@ -12,24 +12,272 @@ export interface RailOptions {
 	debug?: boolean;
 	/** Enable deep cloning of event data (default: true) */
 	clone?: boolean;
+	/** Listener isolation: per-listener clone (default), one shared frozen payload, or none. Overrides clone. */
+	isolation?: IsolationMode;
+	/** Maximum events kept in history; 0 disables history, Infinity keeps all (default: 1000) */
+	historySize?: number;
+	/** Drop history entries older than this many milliseconds (default: no expiry) */
+	historyTtl?: number;
+	/** What happens to payloads that fail their defineEvent() schema (default: 'reject') */
+	validation?: ValidationMode;
+	/** Milliseconds attachAsync()/detachAsync() wait for connect/disconnect; 0 waits forever (default: 10000) */
+	moduleTimeout?: number;
+	/** 'enforce' blocks emits and subscriptions outside a module's emits/listens; 'audit' only reports them (default: 'enforce') */
+	permissions?: 'enforce' | 'audit';
+	/** Milliseconds emitAsync() waits for each handler; 0 waits forever (default: 30000) */
+	handlerTimeout?: number;
+	/** Maximum events kept in the dead-letter queue; 0 disables it (default: 100) */
+	deadLetterSize?: number;
+	/** Include stack traces in error details (default: true unless NODE_ENV is 'production') */
+	errorStacks?: boolean;
+	/** Called with every rail.error report, before it is emitted */
+	onError?: (report: RailErrorReport) => void;
+	/** Track promises returned by handlers called through emit() so drain() can wait for them (default: false) */
+	trackInFlight?: boolean;
+	/** Give every attached module a circuit breaker (default: none) */
+	circuitBreaker?: boolean | CircuitBreakerOptions;
+	/** Timing source, for tests (default: the system clock) */
+	clock?: Clock;
 }
 
+/**
+ * How listeners are isolated from each other's changes to event data
+ */
+export type IsolationMode = 'clone' | 'freeze' | 'none';
+
+/**
+ * 'reject' drops invalid payloads; 'report' delivers them anyway
+ */
+export type ValidationMode = 'reject' | 'report';
+
 /**
  * A module that can be attached to a Rail
  */
 export interface RailModule {
 	/** Unique name for the module */
 	name: string;
-	/** Called when the module is attached to a rail */
-	connect?(rail: Rail): void;
-	/** Called when the module is detached from a rail */
-	disconnect?(rail: Rail): void;
+	/** Called when the module is attached to a rail; attachAsync() waits for a returned promise */
+	connect?(rail: ModuleContext): void | Promise<void>;
+	/** Called when the module is detached from a rail; detachAsync() waits for a returned promise */
+	disconnect?(rail: ModuleContext): void | Promise<void>;
+	/** Modules that must be attached first; they cannot be detached while this one is attached */
+	requires?: string[];
+	/** Modules used when present; attachAll() attaches them first */
+	optional?: string[];
+	/** Events or patterns the module may emit (unrestricted if omitted) */
+	emits?: string[];
+	/** Events or patterns the module may listen to (unrestricted if omitted) */
+	listens?: string[];
+	/** Circuit breaker settings overriding the rail's, or false for none */
+	circuitBreaker?: boolean | CircuitBreakerOptions;
+}
+
+/**
+ * When a module's circuit breaker opens and how long it stays open
+ */
+export interface CircuitBreakerOptions {
+	/** Failing share of recent calls that opens the circuit, above 0 and at most 1 (default: 0.5) */
+	threshold?: number;
+	/** Calls needed before the circuit can open (default: 5) */
+	minCalls?: number;
+	/** Number of recent calls counted; at least minCalls (default: 20) */
+	window?: number;
+	/** Milliseconds an open circuit skips the module before a trial call (default: 30000) */
+	cooldown?: number;
+}
+
+/**
+ * State of one module's circuit breaker, from rail.getCircuits()
+ */
+export interface CircuitState {
+	state: 'closed' | 'open' | 'half-open';
+	/** Failures among the recent calls */
+	failures: number;
+	/** Recent calls counted */
+	calls: number;
+	/** When the circuit last opened */
+	openedAt: number | null;
+}
+
+/**
+ * Module-scoped view of a Rail, passed to connect() and disconnect()
+ *
+ * Listeners, responders and middleware belong to the module whatever name is passed,
+ * emits are attributed to it, and every method throws once the module is detached.
+ */
+export interface ModuleContext
+	extends Pick<
+		Rail,
+		| 'on'
+		| 'once'
+		| 'off'
+		| 'emit'
+		| 'emitAsync'
+		| 'emitLater'
+		| 'emitAt'
+		| 'every'
+		| 'request'
+		| 'respond'
+		| 'waitFor'
+		| 'use'
+	> {
+	/** Name of the owning module */
+	readonly module: string;
+	/** Events emitted through this context */
+	readonly emitted: ReadonlySet<string>;
+	/** True once the module has been detached */
+	readonly revoked: boolean;
+	/** The Rail, for anything else; listeners registered and emits made through it still belong to the module */
+	readonly rail: Rail;
+	/** Register a payload schema (see Rail.defineEvent), removed again when the module is detached */
+	defineEvent(
+		event: string,
+		schema: EventSchema,
+		options?: { mode?: ValidationMode }
+	): this;
+	/** Deliver this module's pending batches now (see Rail.flush) */
+	flush(): number;
+}
+
+/**
+ * Delivery details passed to every handler as its second argument
+ */
+export interface EventInfo {
+	/** Name of the event that was emitted */
+	event: string;
+	/** Event name or wildcard pattern the listener subscribed to */
+	pattern: string;
+	/** Correlation id when the event was sent with rail.request() */
+	correlationId?: string;
+	/** True when the event is being re-emitted by rail.replay() */
+	replay?: boolean;
+	/** For throttled, debounced or sampled listeners: events skipped or coalesced since the last delivery */
+	dropped?: number;
+	/** For batched listeners: the event name of each payload in the batch */
+	events?: string[];
+	/** The signal passed to emitAsync(), if any */
+	signal?: AbortSignal;
 }
 
 /**
  * Event handler callback function
  */
-export type EventHandler<T = any> = (data: T) => void | Promise<void> | any;
+export type EventHandler<T = any> = (
+	data: T,
+	info: EventInfo
+) => void | Promise<void> | any;
+
+/**
+ * Options accepted by rail.on() and rail.once()
+ */
+export interface ListenerOptions<T = any> {
+	/** Name of the module registering the listener (default: 'anonymous') */
+	module?: string;
+	/** Remove the listener after its first delivery */
+	once?: boolean;
+	/** Higher priorities are called first (default: 0) */
+	priority?: number;
+	/** Module(s) whose listeners on the same event must run after this one */
+	before?: string | string[];
+	/** Module(s) whose listeners on the same event must run before this one */
+	after?: string | string[];
+	/** Only deliver events the predicate accepts */
+	filter?: (data: T, info: EventInfo) => boolean;
+	/** Remove the listener when the signal aborts */
+	signal?: AbortSignal;
+	/** Milliseconds emitAsync() waits for this handler (default: the rail's handlerTimeout) */
+	timeout?: number;
+	/** Retry the handler when it throws or rejects; a number is the attempts */
+	retry?: number | RetryPolicy;
+	/** At most one delivery per interval (milliseconds, or options) */
+	throttle?: number | { interval: number; leading?: boolean; trailing?: boolean };
+	/** Deliver only the latest event once none arrived for this many milliseconds */
+	debounce?: number;
+	/** Deliver every nth event */
+	sample?: number;
+	/**
+	 * Deliver payloads as arrays: a size, or { size (default: 100), maxWait (default: 1000 ms) }.
+	 * Pending batches are flushed when the listener is removed and by rail.flush() and rail.shutdown()
+	 */
+	batch?: number | { size?: number; maxWait?: number };
+}
+
+/**
+ * Timing source for throttle, debounce, retry backoff and circuit breakers
+ */
+export interface Clock {
+	now(): number;
+	setTimeout(callback: () => void, ms: number): unknown;
+	clearTimeout(id: any): void;
+}
+
+/**
+ * Retry policy for failing handlers
+ */
+export interface RetryPolicy {
+	/** Total attempts including the first (default: 3) */
+	attempts?: number;
+	/** Milliseconds before the first retry (default: 100) */
+	delay?: number;
+	/** Multiplier applied to the delay after each retry (default: 2) */
+	factor?: number;
+	/** Upper bound for any delay (default: 10000) */
+	maxDelay?: number;
+	/** Random spread of each delay as a fraction, 0 to 1 (default: 0.2) */
+	jitter?: number;
+	/** Return false to stop retrying an error */
+	retryIf?: (error: any, attempt: number) => boolean;
+}
+
+/**
+ * JSON-safe description of a thrown value
+ */
+export interface SerializedError {
+	name: string;
+	message: string;
+	/** Omitted when errorStacks is false */
+	stack?: string;
+	/** Serialized cause, or '[Circular]' for a cause that loops back */
+	cause?: SerializedError | string;
+	/** The error's own properties, such as code */
+	[property: string]: unknown;
+}
+
+/**
+ * Data of the rail.error event, also passed to the onError option
+ */
+export interface RailErrorReport {
+	/** Module whose handler failed (or that scheduled a failed emit; null outside modules) */
+	module: string | null;
+	/** Id of the failed listener, or null for a scheduled emit */
+	listenerId: number | null;
+	event: string;
+	/** Error message, or 'timeout' */
+	error: string;
+	details: SerializedError;
+	timestamp: number;
+	timedOut?: boolean;
+	/** Attempts made, when a retry policy applied */
+	attempts?: number;
+	/** Handle id, when a scheduled emit failed */
+	scheduleId?: number;
+}
+
+/**
+ * Data of the rail.retry event, emitted before each retry
+ */
+export interface RetryEvent {
+	module: string;
+	event: string;
+	/** Number of the attempt that failed */
+	attempt: number;
+	/** Maximum attempts allowed by the policy */
+	attempts: number;
+	/** Milliseconds until the next attempt */
+	delay: number;
+	/** Message of the error that caused the retry */
+	error: string;
+}
 
 /**
  * Unsubscribe function returned by rail.on()
@@ -44,10 +292,68 @@ export interface AsyncEventResult<T = any> {
 	module: string;
 	/** Result returned by the handler (null if error occurred) */
 	result: T | null;
-	/** Error message if handler threw an error (null if successful) */
+	/** Error message if handler threw an error, 'timeout' if it timed out (null if successful) */
 	error: string | null;
+	/** True when the handler did not finish within its timeout */
+	timedOut?: boolean;
+	/** Attempts made, when a retry policy applies */
+	attempts?: number;
+	/** Structured error for failed handlers */
+	details?: SerializedError;
+}
+
+/**
+ * How emitAsync() runs handlers and when it resolves
+ */
+export type AsyncMode = 'parallel' | 'sequential' | 'race' | 'any' | 'quorum' | 'waterfall';
+
+/**
+ * Options for rail.emitAsync()
+ */
+export interface EmitAsyncOptions {
+	/** Execution mode (default: 'parallel') */
+	mode?: AsyncMode;
+	/** Successes needed in 'quorum' mode */
+	quorum?: number;
+	/** Reject with an AbortError when aborted; handlers receive it as info.signal */
+	signal?: AbortSignal;
 }
 
+/**
+ * Event passed through the middleware pipeline
+ */
+export interface EventEnvelope<T = any> {
+	/** Event name */
+	event: string;
+	/** Event data */
+	data: T;
+	/** Timestamp when event was emitted */
+	timestamp: number;
+	/** True for emitAsync, false for emit */
+	async: boolean;
+	/** Correlation id when the event was sent with rail.request() */
+	correlationId?: string;
+	/** True when the event is being re-emitted by rail.replay() */
+	replay?: boolean;
+}
+
+/**
+ * Options for rail.request()
+ */
+export interface RequestOptions {
+	/** Milliseconds to wait for the reply (default: 5000) */
+	timeout?: number;
+}
+
+/**
+ * Emit middleware. Call next() to continue (optionally with a new envelope),
+ * skip it to block the event, or call it later to delay the event.
+ */
+export type Middleware = (
+	envelope: EventEnvelope,
+	next: (envelope?: EventEnvelope) => any
+) => any;
+
 /**
  * Event history entry
  */
@@ -58,6 +364,165 @@ export interface EventHistoryEntry {
 	data: any;
 	/** Timestamp when event was emitted */
 	timestamp: number;
+	/** Module whose handler or connect() emitted the event, if known */
+	module: string | null;
+	/** Id of the emitLater(), emitAt() or every() handle that emitted the event */
+	scheduleId?: number;
+}
+
+/**
+ * Handle returned by emitLater(), emitAt() and every()
+ */
+export interface ScheduleHandle {
+	/** Schedule id, recorded as scheduleId in history */
+	id: number;
+	/** Event that will be emitted */
+	event: string;
+	/** Module the emit belongs to (cancelled when it is detached), or null */
+	module: string | null;
+	/** Stop the schedule; false if it already fired or was cancelled */
+	cancel(): boolean;
+}
+
+/**
+ * Pending scheduled emit as listed by getScheduled()
+ */
+export interface ScheduledEmit {
+	id: number;
+	event: string;
+	module: string | null;
+	/** Next emit time on the rail's clock */
+	runAt: number;
+	/** Repeat interval for every(), null for a single emit */
+	every: number | null;
+	/** Times it has emitted so far */
+	runs: number;
+}
+
+/**
+ * JSON-Schema-style description of an event payload
+ */
+export interface EventSchema {
+	type?: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | Array<string>;
+	properties?: Record<string, EventSchema>;
+	required?: string[];
+	additionalProperties?: boolean;
+	items?: EventSchema;
+	enum?: any[];
+	const?: any;
+	minimum?: number;
+	maximum?: number;
+	minLength?: number;
+	maxLength?: number;
+	pattern?: string;
+	minItems?: number;
+	maxItems?: number;
+}
+
+/**
+ * A single schema violation
+ */
+export interface ValidationError {
+	/** Location of the bad value, such as 'data.user.email' or 'data.tags[2]' */
+	path: string;
+	/** Human-readable description */
+	message: string;
+}
+
+/**
+ * Result of rail.validate()
+ */
+export interface ValidationResult {
+	valid: boolean;
+	errors: ValidationError[];
+}
+
+/**
+ * Criteria for rail.queryHistory(); all are optional and combined with AND
+ */
+export interface HistoryQuery {
+	/** Exact event name */
+	event?: string;
+	/** Wildcard pattern such as 'user.*' or 'auth.**' */
+	pattern?: string;
+	/** Only entries at or after this time */
+	since?: number | Date;
+	/** Only entries at or before this time */
+	until?: number | Date;
+	/** Only entries emitted by this module */
+	module?: string;
+	/** Maximum number of (most recent) entries to return */
+	limit?: number;
+}
+
+/**
+ * Final error of one listener of a dead-lettered event
+ */
+export interface DeadLetterFailure {
+	module: string;
+	/** Error message, or 'timeout' */
+	error: string;
+	details: SerializedError;
+	timedOut?: boolean;
+	/** Attempts made, when a retry policy applied */
+	attempts?: number;
+}
+
+/**
+ * An event no listener handled, kept by the dead-letter queue (also the rail.deadletter data)
+ */
+export interface DeadLetter<T = any> {
+	id: number;
+	event: string;
+	data: T;
+	/** 'unhandled' when no listener took it (after filters, rate limits and once), 'failed' when every listener failed */
+	reason: 'unhandled' | 'failed';
+	failures: DeadLetterFailure[];
+	/** Module whose throttled, debounced or batched delivery failed (redrive goes to it only), or null */
+	module: string | null;
+	/** True if the event came from emitAsync() */
+	async: boolean;
+	/** Number of times the event was redriven before landing here */
+	redrives: number;
+	/** When the event was emitted */
+	emittedAt: number;
+	/** When the event was dead-lettered */
+	timestamp: number;
+}
+
+/**
+ * Criteria for rail.getDeadLetters() and rail.purgeDeadLetters(); all are optional and combined with AND
+ */
+export interface DeadLetterQuery {
+	/** Exact event name */
+	event?: string;
+	reason?: 'unhandled' | 'failed';
+	/** Maximum number of (most recent) entries to return */
+	limit?: number;
+}
+
+/**
+ * Options for rail.replay()
+ */
+export interface ReplayOptions {
+	/** 0 replays immediately (default); 1 keeps original timing; 2 is twice as fast */
+	speed?: number;
+	/** Choose which entries to replay */
+	filter?: (entry: ReplayEntry) => boolean;
+	/** Rail instance to emit into (default: the rail replay() is called on) */
+	target?: Rail;
+}
+
+/**
+ * Entry accepted by rail.replay(): a history entry or a persisted copy of one
+ */
+export interface ReplayEntry {
+	/** Event name */
+	event: string;
+	/** Event data */
+	data?: any;
+	/** Original emission time (milliseconds or ISO string) */
+	timestamp: number | string;
 }
 
 /**
@@ -74,10 +539,30 @@ export interface RailStats {
 	totalListeners: number;
 	/** Total number of events emitted */
 	eventsEmitted: number;
+	/** Number of events currently kept in history */
+	historySize: number;
+	/** History entries evicted by historySize or expired by historyTtl */
+	historyDropped: number;
+	/** Number of events with a schema from defineEvent() */
+	schemas: number;
+	/** Payloads that failed schema validation */
+	validationFailures: number;
+	/** Emits and subscriptions outside a module's emits/listens declarations */
+	permissionDenials: number;
+	/** Events currently in the dead-letter queue */
+	deadLetters: number;
+	/** Async handlers and retries started by emit() that are still running (with trackInFlight) */
+	inFlight: number;
+	/** Pending emitLater(), emitAt() and every() emits */
+	scheduled: number;
+	/** Events waiting in batched listeners' pending batches */
+	batched: number;
+	/** Modules whose circuit breaker is open or half-open */
+	openCircuits: string[];
 }
 
 /**
- * Map of events to their listening modules
+ * Map of events to their listening modules, in dispatch order
  */
 export type EventListenersMap = Record<string, string[]>;
 
@@ -85,12 +570,20 @@ export type EventListenersMap = Record<string, string[]>;
  * Main Rail class - Event bus for modular applications
  */
 export class Rail {
+	/**
+	 * Symbol for a custom clone method: `[Rail.cloneHook](clone) { return copy; }`. Call
+	 * `clone.register(copy)` before cloning nested values that can lead back to the object.
+	 */
+	static readonly cloneHook: unique symbol;
+
 	/** Rail instance name */
 	name: string;
 	/** Debug mode enabled */
 	debug: boolean;
 	/** Deep cloning enabled */
 	clone: boolean;
+	/** Current isolation mode */
+	isolation: IsolationMode;
 
 	/**
 	 * Create a new Rail instance
@@ -100,15 +593,28 @@ export class Rail {
 
 	/**
 	 * Listen for events
-	 * @param event Event name to listen for
+	 * @param event Event name or wildcard pattern ('user.*', 'auth.**', '*') to listen for
 	 * @param callback Function to call when event is emitted
-	 * @param moduleName Name of the module (for debugging/cleanup)
+	 * @param options Name of the module (for debugging/cleanup) or listener options
 	 * @returns Unsubscribe function to stop listening
 	 */
 	on<T = any>(
 		event: string,
 		callback: EventHandler<T>,
-		moduleName?: string
+		options?: string | ListenerOptions<T>
+	): UnsubscribeFunction;
+
+	/**
+	 * Listen for the next matching event only
+	 * @param event Event name or wildcard pattern to listen for
+	 * @param callback Function to call when event is emitted
+	 * @param options Name of the module or listener options
+	 * @returns Unsubscribe function to stop listening before the event fires
+	 */
+	once<T = any>(
+		event: string,
+		callback: EventHandler<T>,
+		options?: string | ListenerOptions<T>
 	): UnsubscribeFunction;
 
 	/**
@@ -128,16 +634,81 @@ export class Rail {
 	emit<T = any>(event: string, data?: T): number;
 
 	/**
-	 * Emit an event and wait for all async handlers to complete
+	 * Emit an event and wait for its async handlers
 	 * @param event Event name to emit
 	 * @param data Data to send with the event
-	 * @returns Promise that resolves with array of handler results
+	 * @param options Execution mode: parallel, sequential, race, any, quorum or waterfall
+	 * @returns Promise that resolves with the results the mode waited for
 	 */
 	emitAsync<T = any, R = any>(
 		event: string,
-		data?: T
+		data?: T,
+		options?: EmitAsyncOptions
 	): Promise<AsyncEventResult<R>[]>;
 
+	/**
+	 * Emit an event after a delay; cancelled automatically when the scheduling module is detached
+	 * @param event Event name to emit
+	 * @param data Data to send with the event
+	 * @param delay Milliseconds to wait
+	 */
+	emitLater<T = any>(event: string, data: T, delay: number): ScheduleHandle;
+
+	/**
+	 * Emit an event at a given time (a time in the past emits on the next tick)
+	 * @param event Event name to emit
+	 * @param data Data to send with the event
+	 * @param time Date or timestamp in milliseconds
+	 */
+	emitAt<T = any>(event: string, data: T, time: Date | number): ScheduleHandle;
+
+	/**
+	 * Emit an event every interval until cancelled or the scheduling module is detached
+	 * @param interval Milliseconds between emits
+	 * @param event Event name to emit
+	 * @param data Data to send each time
+	 */
+	every<T = any>(interval: number, event: string, data?: T): ScheduleHandle;
+
+	/**
+	 * List pending scheduled emits
+	 */
+	getScheduled(): ScheduledEmit[];
+
+	/**
+	 * Set the retry policy for handlers of an event that have no retry option of their own
+	 * @param event Event name
+	 * @param policy Number of attempts, policy object, or null to remove it
+	 */
+	setRetryPolicy(event: string, policy: number | RetryPolicy | null): this;
+
+	/**
+	 * Add a middleware to the emit/emitAsync pipeline
+	 * @param middleware Function receiving (envelope, next)
+	 * @returns Function that removes the middleware
+	 */
+	use(middleware: Middleware): () => boolean;
+
+	/**
+	 * Register a payload schema, checked on every emit after middleware
+	 * @param event Exact event name
+	 * @param schema Payload schema
+	 * @param options mode overrides the rail's validation option for this event
+	 * @returns this for chaining
+	 */
+	defineEvent(
+		event: string,
+		schema: EventSchema,
+		options?: { mode?: ValidationMode }
+	): this;
+
+	/**
+	 * Validate data against an event's schema (valid when none is defined)
+	 * @param event Event name
+	 * @param data Payload to check
+	 */
+	validate(event: string, data: any): ValidationResult;
+
 	/**
 	 * Attach a module to the rail
 	 * @param module Module object with name and connect method
@@ -145,12 +716,39 @@ export class Rail {
 	 */
 	attach(module: RailModule): this;
 
+	/**
+	 * Attach several modules, ordered so dependencies come first
+	 * @param modules Modules to attach; nothing is attached if any check fails
+	 * @returns The rail instance (for chaining)
+	 */
+	attachAll(modules: RailModule[]): this;
+
+	/**
+	 * Attach a module and wait for its connect; rolls back and rejects if it fails or times out
+	 * @param module Module object
+	 * @param options timeout overrides the rail's moduleTimeout
+	 * @returns Resolves with the rail instance once rail.module.ready has been emitted
+	 */
+	attachAsync(module: RailModule, options?: { timeout?: number }): Promise<this>;
+
 	/**
 	 * Detach a module from the rail
 	 * @param moduleName Name of the module to detach
+	 * @param options force detaches even when attached modules require it
 	 * @returns True if module was detached
 	 */
-	detach(moduleName: string): boolean;
+	detach(moduleName: string, options?: { force?: boolean }): boolean;
+
+	/**
+	 * Detach a module and wait for its disconnect (failures and timeouts are logged)
+	 * @param moduleName Name of the module to detach
+	 * @param options force as for detach(); timeout overrides the rail's moduleTimeout
+	 * @returns True if module was detached
+	 */
+	detachAsync(
+		moduleName: string,
+		options?: { force?: boolean; timeout?: number }
+	): Promise<boolean>;
 
 	/**
 	 * Get list of attached module names
@@ -160,10 +758,29 @@ export class Rail {
 
 	/**
 	 * Get map of events to their listening modules
-	 * @returns Object mapping event names to arrays of module names
+	 * @returns Object mapping event names to module names in dispatch order
 	 */
 	getEvents(): EventListenersMap;
 
+	/**
+	 * Get map of events to the modules that emitted them through their context
+	 * @returns Object mapping event names to module names
+	 */
+	getEmitters(): EventListenersMap;
+
+	/**
+	 * Get the circuit breaker state of every module that has one
+	 * @returns Object mapping module names to their circuit
+	 */
+	getCircuits(): Record<string, CircuitState>;
+
+	/**
+	 * Close a module's circuit breaker and forget its recent failures
+	 * @param moduleName Module name
+	 * @returns True if the module has a circuit breaker
+	 */
+	resetCircuit(moduleName: string): boolean;
+
 	/**
 	 * Get recent event history
 	 * @param limit Number of recent events to return (default: 10)
@@ -171,18 +788,110 @@ export class Rail {
 	 */
 	getHistory(limit?: number): EventHistoryEntry[];
 
+	/**
+	 * Search event history
+	 * @param query Search criteria
+	 * @returns Matching history entries in emission order
+	 */
+	queryHistory(query?: HistoryQuery): EventHistoryEntry[];
+
+	/**
+	 * Re-emit recorded events, optionally into another rail and with original timing
+	 * @param entries History entries or a persisted log
+	 * @param options Replay options
+	 * @returns Promise that resolves once every entry was emitted
+	 */
+	replay(
+		entries: ReplayEntry[],
+		options?: ReplayOptions
+	): Promise<{ replayed: number; skipped: number }>;
+
 	/**
 	 * Clear event history
 	 */
 	clearHistory(): void;
 
+	/**
+	 * Wait for async handlers and retries started by emit() (requires trackInFlight)
+	 * @param timeout Milliseconds to wait before rejecting (default: 0, waits forever)
+	 */
+	drain(timeout?: number): Promise<void>;
+
+	/**
+	 * Deliver the pending events of batched listeners now
+	 * @param moduleName Only flush this module's listeners
+	 * @returns Number of batches delivered
+	 */
+	flush(moduleName?: string): number;
+
+	/**
+	 * Detach every module in reverse attach order, flush remaining batches and drain in-flight work
+	 * @param options.timeout Milliseconds for each disconnect (default: moduleTimeout) and for draining (default: forever)
+	 */
+	shutdown(options?: { timeout?: number }): Promise<void>;
+
+	/**
+	 * List events that had no listeners or failed in every listener
+	 * @param query Search criteria
+	 * @returns Matching entries, oldest first
+	 */
+	getDeadLetters<T = any>(query?: DeadLetterQuery): DeadLetter<T>[];
+
+	/**
+	 * Inspect one dead-lettered event
+	 * @param id Entry id
+	 * @returns The entry, or null if it is not in the queue
+	 */
+	getDeadLetter<T = any>(id: number): DeadLetter<T> | null;
+
+	/**
+	 * Remove a dead-lettered event from the queue and emit it again the way it was first emitted
+	 * @param id Entry id
+	 * @returns Promise of true if redriven, false if the entry is not in the queue
+	 */
+	redriveDeadLetter(id: number): Promise<boolean>;
+
+	/**
+	 * Remove dead-lettered events without emitting them
+	 * @param query Criteria, plus an entry id; empty purges everything
+	 * @returns Number of entries removed
+	 */
+	purgeDeadLetters(query?: DeadLetterQuery & { id?: number }): number;
+
 	/**
 	 * Wait for a specific event (useful for testing)
 	 * @param event Event to wait for
-	 * @param timeout Timeout in milliseconds (default: 5000)
+	 * @param options Timeout in milliseconds (default: 5000; 0 waits forever), or options with a signal
+	 *   that rejects the wait with an AbortError
 	 * @returns Promise that resolves with event data
 	 */
-	waitFor<T = any>(event: string, timeout?: number): Promise<T>;
+	waitFor<T = any>(event: string, options?: number | { timeout?: number; signal?: AbortSignal }): Promise<T>;
+
+	/**
+	 * Register the responder for a request event
+	 * @param event Event name or wildcard pattern to answer
+	 * @param handler Returns (or resolves with) the reply sent to the requester
+	 * @param options Name of the module or listener options
+	 * @returns Function that removes the responder
+	 */
+	respond<T = any, R = any>(
+		event: string,
+		handler: (data: T, info: EventInfo) => R | Promise<R>,
+		options?: string | ListenerOptions<T>
+	): () => boolean;
+
+	/**
+	 * Send a request and wait for the responder's reply
+	 * @param event Event name to request
+	 * @param data Request data
+	 * @param options Request options
+	 * @returns Promise that resolves with the reply; rejects if there is no responder or on timeout
+	 */
+	request<R = any, T = any>(
+		event: string,
+		data?: T,
+		options?: RequestOptions
+	): Promise<R>;
 
 	/**
 	 * Enable/disable debug mode
@@ -197,6 +906,12 @@ export class Rail {
 	 */
 	setClone(enabled: boolean): void;
 
+	/**
+	 * Choose how listeners are isolated from each other's changes to event data
+	 * @param mode 'clone', 'freeze' or 'none'
+	 */
+	setIsolation(mode: IsolationMode): void;
+
 	/**
 	 * Get rail statistics
 	 * @returns Statistics about the rail
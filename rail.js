@@ -1,628 +1,4987 @@
 /**
- * RailJS - Lightweight event bus for modular JavaScript applications
+ * Segment trie for wildcard subscriptions
  *
- * @class Rail
- * @description Central event bus that enables module-to-module communication through events.
- * Provides data isolation, module lifecycle management, and error handling.
+ * Patterns are split on '.' and stored one segment per level. A '*' segment matches
+ * exactly one segment, '**' matches zero or more, and a bare '*' pattern matches every
+ * event. Matching walks only the branches that can apply instead of testing every
+ * registered pattern.
  *
- * @example
- * // Create a Rail instance
- * const rail = new Rail({ name: 'my-app', debug: true, clone: true });
+ * @private
+ */
+class PatternTrie {
+	constructor() {
+		this.root = PatternTrie._createNode();
+		this.size = 0;
+	}
+
+	/**
+	 * Check whether an event name contains wildcard segments
+	 *
+	 * @param {string} event - Event name or pattern
+	 * @returns {boolean} True if the name should be matched through the trie
+	 */
+	static isPattern(event) {
+		return event.split('.').some((segment) => segment === '*' || segment === '**');
+	}
+
+	static _createNode() {
+		return { children: new Map(), patterns: new Set() };
+	}
+
+	static _segments(pattern) {
+		// A bare '*' is the catch-all subscription
+		return pattern === '*' ? ['**'] : pattern.split('.');
+	}
+
+	add(pattern) {
+		let node = this.root;
+		for (const segment of PatternTrie._segments(pattern)) {
+			if (!node.children.has(segment)) {
+				node.children.set(segment, PatternTrie._createNode());
+			}
+			node = node.children.get(segment);
+		}
+		if (!node.patterns.has(pattern)) {
+			node.patterns.add(pattern);
+			this.size++;
+		}
+	}
+
+	remove(pattern) {
+		const segments = PatternTrie._segments(pattern);
+		const path = [this.root];
+		for (const segment of segments) {
+			const next = path[path.length - 1].children.get(segment);
+			if (!next) return false;
+			path.push(next);
+		}
+
+		if (!path[path.length - 1].patterns.delete(pattern)) return false;
+		this.size--;
+
+		// Prune branches that no longer lead to any pattern
+		for (let i = segments.length; i > 0; i--) {
+			const node = path[i];
+			if (node.patterns.size > 0 || node.children.size > 0) break;
+			path[i - 1].children.delete(segments[i - 1]);
+		}
+		return true;
+	}
+
+	/**
+	 * Find every registered pattern matching an event name
+	 *
+	 * @param {string} event - Concrete event name
+	 * @returns {Set<string>} Matching patterns
+	 */
+	match(event) {
+		const matches = new Set();
+		this._walk(this.root, event.split('.'), 0, matches);
+		return matches;
+	}
+
+	_walk(node, segments, index, matches) {
+		const globstar = node.children.get('**');
+		if (globstar) {
+			for (let i = index; i <= segments.length; i++) {
+				this._walk(globstar, segments, i, matches);
+			}
+		}
+
+		if (index === segments.length) {
+			node.patterns.forEach((pattern) => matches.add(pattern));
+			return;
+		}
+
+		const exact = node.children.get(segments[index]);
+		if (exact) this._walk(exact, segments, index + 1, matches);
+
+		const star = node.children.get('*');
+		if (star && star !== exact) this._walk(star, segments, index + 1, matches);
+	}
+}
+
+/**
+ * Bounded event history
  *
- * // Listen for events
- * rail.on('user.login', (data) => {
- *   console.log('User logged in:', data.username);
- * }, 'auth-module');
+ * Keeps the newest `capacity` entries and, when `ttl` is set, only entries younger than
+ * `ttl` milliseconds. Evicted entries are counted in `dropped`. Entries are stored in
+ * emission order, so expiry and eviction always remove from the front.
  *
- * // Emit events
- * rail.emit('user.login', { username: 'john', timestamp: Date.now() });
+ * @private
+ */
+class HistoryBuffer {
+	/**
+	 * @param {number} capacity - Maximum entries to keep (0 disables history, Infinity keeps all)
+	 * @param {number|null} ttl - Maximum entry age in milliseconds, or null for no expiry
+	 */
+	constructor(capacity, ttl) {
+		this.capacity = capacity;
+		this.ttl = ttl;
+		this.entries = [];
+		this.start = 0; // index of the oldest live entry
+		this.dropped = 0;
+	}
+
+	get size() {
+		return this.entries.length - this.start;
+	}
+
+	push(entry) {
+		if (this.capacity === 0) return;
+
+		this.entries.push(entry);
+		this.prune(entry.timestamp);
+		while (this.size > this.capacity) {
+			this._shift();
+		}
+	}
+
+	/**
+	 * Drop entries older than the TTL
+	 *
+	 * @param {number} [now=Date.now()] - Current time
+	 */
+	prune(now = Date.now()) {
+		if (this.ttl === null) return;
+
+		while (this.size > 0 && now - this.entries[this.start].timestamp > this.ttl) {
+			this._shift();
+		}
+	}
+
+	toArray() {
+		this.prune();
+		return this.entries.slice(this.start);
+	}
+
+	clear() {
+		this.entries = [];
+		this.start = 0;
+	}
+
+	/**
+	 * Remove the entries a predicate accepts
+	 *
+	 * @param {function} predicate - `(entry) => boolean`
+	 * @returns {number} Number of entries removed
+	 */
+	remove(predicate) {
+		const live = this.toArray();
+		this.entries = live.filter((entry) => !predicate(entry));
+		this.start = 0;
+		return live.length - this.entries.length;
+	}
+
+	_shift() {
+		this.entries[this.start++] = undefined;
+		this.dropped++;
+
+		// Compact once the dead prefix outweighs the live entries
+		if (this.start > 1024 && this.start > this.size) {
+			this.entries = this.entries.slice(this.start);
+			this.start = 0;
+		}
+	}
+}
+
+/**
+ * Circuit breaker for one module
  *
- * // Async events
- * const results = await rail.emitAsync('process.data', { value: 42 });
+ * Closed, it counts the outcome of the module's last `window` handler calls and opens once
+ * at least `minCalls` were made and the failing share reaches `threshold`. Open, it refuses
+ * deliveries until `cooldown` milliseconds have passed, then goes half-open and lets a
+ * single trial call through: a success closes the circuit, a failure opens it again.
  *
- * @see {@link https://github.com/PxPerfectMike/RailJS|GitHub Repository}
+ * @private
  */
-export class Rail {
+class CircuitBreaker {
 	/**
-	 * Create a new Rail instance
+	 * @param {{threshold: number, minCalls: number, window: number, cooldown: number}} config - Normalized settings
+	 */
+	constructor(config) {
+		this.config = config;
+		this.state = 'closed';
+		this.results = []; // true for a success, oldest first
+		this.openedAt = null;
+		this.trial = false; // a half-open trial call is running
+	}
+
+	get failures() {
+		return this.results.filter((ok) => !ok).length;
+	}
+
+	/**
+	 * Decide whether a delivery may go ahead
+	 *
+	 * @param {number} now - Current time
+	 * @returns {boolean} True if the module should be called
+	 */
+	allow(now) {
+		if (this.state === 'closed') return true;
+
+		if (this.state === 'open') {
+			if (now - this.openedAt < this.config.cooldown) return false;
+			this.state = 'half-open';
+		}
+
+		if (this.trial) return false;
+		this.trial = true;
+		return true;
+	}
+
+	/**
+	 * Record the outcome of a call
+	 *
+	 * @param {boolean} ok - Whether the handler succeeded
+	 * @param {number} now - Current time
+	 * @returns {?string} 'opened' or 'closed' when the state changed, otherwise null
+	 */
+	record(ok, now) {
+		if (this.state === 'half-open') {
+			this.trial = false;
+			if (ok) {
+				this.state = 'closed';
+				this.results = [];
+				return 'closed';
+			}
+			return this._open(now);
+		}
+
+		// Calls that started before the circuit opened
+		if (this.state === 'open') return null;
+
+		this.results.push(ok);
+		if (this.results.length > this.config.window) {
+			this.results.shift();
+		}
+
+		const { minCalls, threshold } = this.config;
+		if (this.results.length >= minCalls && this.failures / this.results.length >= threshold) {
+			return this._open(now);
+		}
+		return null;
+	}
+
+	/**
+	 * Forget a call that ended without an outcome (its emit was aborted)
+	 *
+	 * A half-open trial is released, so the next delivery can be the trial instead.
+	 */
+	release() {
+		this.trial = false;
+	}
+
+	_open(now) {
+		this.state = 'open';
+		this.openedAt = now;
+		return 'opened';
+	}
+}
+
+/**
+ * Timing used by rate limits, retries and circuit breakers unless a Rail is given its own clock
+ *
+ * @private
+ */
+const SYSTEM_CLOCK = {
+	now: () => Date.now(),
+	setTimeout: (fn, ms) => setTimeout(fn, ms),
+	clearTimeout: (id) => clearTimeout(id),
+};
+
+/**
+ * Longest delay a timer supports; scheduled emits further out wait in steps
+ *
+ * @private
+ */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Throttle, debounce or sample state for one listener
+ *
+ * `admit()` decides on each event whether to deliver it now. Held events (trailing throttle
+ * and debounce) are handed to `flush` when their timer fires, together with the number of
+ * events dropped or coalesced since the previous delivery.
+ *
+ * @private
+ */
+class RateLimiter {
+	/**
+	 * @param {Object} rate - Normalized rate limit from Rail#_normalizeRate
+	 * @param {{now: function, setTimeout: function, clearTimeout: function}} clock - Timing source
+	 * @param {function} flush - `(envelope, dropped) => void` delivering a held event
+	 */
+	constructor(rate, clock, flush) {
+		this.rate = rate;
+		this.clock = clock;
+		this.flush = flush;
+		this.last = -Infinity; // time of the last throttled delivery
+		this.seen = 0; // events since the last sampled delivery
+		this.dropped = 0;
+		this.held = null;
+		this.timer = null;
+	}
+
+	/**
+	 * @param {Object} envelope - Event being delivered
+	 * @returns {?number} Dropped count to deliver the event now with, or null to skip or hold it
+	 */
+	admit(envelope) {
+		const { kind } = this.rate;
+
+		if (kind === 'sample') {
+			if (++this.seen < this.rate.every) return null;
+			this.seen = 0;
+			return this.rate.every - 1;
+		}
+
+		if (kind === 'debounce') {
+			this._hold(envelope);
+			this._schedule(this.rate.wait);
+			return null;
+		}
+
+		const { interval, leading, trailing } = this.rate;
+		const now = this.clock.now();
+		if (this.timer === null && now - this.last >= interval) {
+			if (leading) {
+				this.last = now;
+				return this._take();
+			}
+			this._hold(envelope);
+			this._schedule(interval);
+			return null;
+		}
+
+		if (!trailing) {
+			this.dropped++;
+			return null;
+		}
+		this._hold(envelope);
+		if (this.timer === null) {
+			this._schedule(this.last + interval - now);
+		}
+		return null;
+	}
+
+	/**
+	 * Drop any held event and stop the timer
+	 */
+	cancel() {
+		if (this.timer !== null) {
+			this.clock.clearTimeout(this.timer);
+			this.timer = null;
+		}
+		this.held = null;
+	}
+
+	_hold(envelope) {
+		if (this.held) this.dropped++;
+		this.held = envelope;
+	}
+
+	_take() {
+		const dropped = this.dropped;
+		this.dropped = 0;
+		return dropped;
+	}
+
+	_schedule(delay) {
+		if (this.timer !== null) {
+			this.clock.clearTimeout(this.timer);
+		}
+		this.timer = this.clock.setTimeout(() => this._fire(), delay);
+	}
+
+	_fire() {
+		this.timer = null;
+		const envelope = this.held;
+		this.held = null;
+		if (!envelope) return;
+
+		this.last = this.clock.now();
+		this.flush(envelope, this._take());
+	}
+}
+
+/**
+ * Pending payloads for a listener subscribed with `batch`
+ *
+ * Entries are handed to `deliver` once `size` of them have arrived, `maxWait` milliseconds
+ * after the first one, or when `flush()` is called (the listener is removed, or the Rail
+ * is flushed or shut down).
+ *
+ * @private
+ */
+class Batcher {
+	/**
+	 * @param {{size: number, maxWait: number}} batch - Normalized batch from Rail#_normalizeRate
+	 * @param {{now: function, setTimeout: function, clearTimeout: function}} clock - Timing source
+	 * @param {function} deliver - `(entries) => void` delivering a full or flushed batch
+	 */
+	constructor(batch, clock, deliver) {
+		this.size = batch.size;
+		this.maxWait = batch.maxWait;
+		this.clock = clock;
+		this.deliver = deliver;
+		this.entries = [];
+		this.timer = null;
+	}
+
+	/**
+	 * @param {{data: *, event: string, timestamp: number, envelope: Object}} entry - Admitted event
+	 */
+	add(entry) {
+		this.entries.push(entry);
+		if (this.entries.length >= this.size) {
+			this.flush();
+		} else if (this.timer === null && Number.isFinite(this.maxWait)) {
+			this.timer = this.clock.setTimeout(() => {
+				this.timer = null;
+				this.flush();
+			}, this.maxWait);
+		}
+	}
+
+	/**
+	 * Deliver whatever is pending
+	 *
+	 * @returns {boolean} True if a batch was delivered
+	 */
+	flush() {
+		if (this.timer !== null) {
+			this.clock.clearTimeout(this.timer);
+			this.timer = null;
+		}
+		if (this.entries.length === 0) {
+			return false;
+		}
+
+		// Events the handler emits may start the next batch while this one is delivered
+		const entries = this.entries;
+		this.entries = [];
+		this.deliver(entries);
+		return true;
+	}
+}
+
+/**
+ * Method name a class can implement to control how Rail clones its instances
+ *
+ * @private
+ */
+const CLONE_HOOK = Symbol.for('railjs.clone');
+
+/**
+ * Placeholder copy for an object whose clone hook is still running
+ *
+ * @private
+ */
+const HOOK_PENDING = Symbol('railjs.clonePending');
+
+/**
+ * Execution modes accepted by `emitAsync(event, data, { mode })`
+ *
+ * @private
+ */
+const ASYNC_MODES = ['parallel', 'sequential', 'race', 'any', 'quorum', 'waterfall'];
+
+/**
+ * Names of the methods that mutate a Map, Set, Date or typed array in place
+ *
+ * @private
+ * @param {Object} value - Object to inspect
+ * @returns {string[]} Mutating method names (empty for other objects)
+ */
+function frozenMutators(value) {
+	if (value instanceof Map) return ['set', 'delete', 'clear'];
+	if (value instanceof Set) return ['add', 'delete', 'clear'];
+	if (value instanceof Date) {
+		return Object.getOwnPropertyNames(Date.prototype).filter((name) =>
+			name.startsWith('set')
+		);
+	}
+	if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+		return ['set', 'fill', 'copyWithin', 'reverse', 'sort'];
+	}
+	return [];
+}
+
+/**
+ * Validate a value against a JSON-Schema-style schema
+ *
+ * Supports `type` (string or array of 'string', 'number', 'integer', 'boolean', 'object',
+ * 'array', 'null'), `enum`, `const`, `properties`, `required`, `additionalProperties`
+ * (boolean), `items`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`,
+ * `minItems` and `maxItems`. Unknown keywords are ignored.
+ *
+ * @private
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {string} path - Location of the value, used in error messages
+ * @param {Array<{path: string, message: string}>} errors - Collected errors
+ * @returns {Array<{path: string, message: string}>} The errors array
+ */
+function validateSchema(schema, value, path, errors) {
+	const fail = (message) => errors.push({ path, message: `${path} ${message}` });
+
+	if (schema.type !== undefined) {
+		const types = [].concat(schema.type);
+		if (!types.some((type) => matchesType(type, value))) {
+			fail(`must be ${types.join(' or ')}`);
+			return errors;
+		}
+	}
+
+	if (schema.enum !== undefined && !schema.enum.includes(value)) {
+		fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+	}
+
+	if (schema.const !== undefined && value !== schema.const) {
+		fail(`must be ${JSON.stringify(schema.const)}`);
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			fail(`must be >= ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			fail(`must be <= ${schema.maximum}`);
+		}
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			fail(`must have at least ${schema.minLength} characters`);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			fail(`must have at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+			fail(`must match ${schema.pattern}`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			fail(`must have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			fail(`must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items !== undefined) {
+			value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, errors));
+		}
+	} else if (value !== null && typeof value === 'object') {
+		const properties = schema.properties || {};
+
+		for (const key of schema.required || []) {
+			if (value[key] === undefined) {
+				errors.push({ path: `${path}.${key}`, message: `${path}.${key} is required` });
+			}
+		}
+
+		for (const key of Object.keys(value)) {
+			if (properties[key] !== undefined) {
+				if (value[key] !== undefined) {
+					validateSchema(properties[key], value[key], `${path}.${key}`, errors);
+				}
+			} else if (schema.additionalProperties === false) {
+				errors.push({ path: `${path}.${key}`, message: `${path}.${key} is not allowed` });
+			}
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ *
+ * @private
+ * @param {string} type - Type name
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value has that type
+ */
+function matchesType(type, value) {
+	switch (type) {
+		case 'integer':
+			return Number.isInteger(value);
+		case 'number':
+			return typeof value === 'number' && !Number.isNaN(value);
+		case 'object':
+			return value !== null && typeof value === 'object' && !Array.isArray(value);
+		case 'array':
+			return Array.isArray(value);
+		case 'null':
+			return value === null;
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * Check whether a declared event pattern covers an event name or a narrower pattern
+ *
+ * Uses the subscription wildcard rules, and a requested wildcard is only covered by a
+ * declared wildcard at least as broad: 'user.*' covers 'user.login' and 'user.*' but
+ * not 'user.**'.
+ *
+ * @private
+ * @param {string} pattern - Declared event name or pattern
+ * @param {string} event - Event name or pattern being emitted or subscribed to
+ * @returns {boolean} True if the declaration permits the event
+ */
+function patternCovers(pattern, event) {
+	const declared = PatternTrie._segments(pattern);
+	const requested = PatternTrie._segments(event);
+
+	const covers = (i, j) => {
+		if (i === declared.length) return j === requested.length;
+
+		const segment = declared[i];
+		if (segment === '**') {
+			for (let k = j; k <= requested.length; k++) {
+				if (covers(i + 1, k)) return true;
+			}
+			return false;
+		}
+		if (j === requested.length || requested[j] === '**') return false;
+		if (segment === '*') return covers(i + 1, j + 1);
+		return segment === requested[j] && covers(i + 1, j + 1);
+	};
+
+	return covers(0, 0);
+}
+
+/**
+ * Build the rejection for work cancelled through an AbortSignal
+ *
+ * Named 'AbortError' like the rejections of fetch() and other abortable platform APIs,
+ * with the signal's reason as `cause`.
+ *
+ * @private
+ * @param {AbortSignal} signal - Aborted signal
+ * @param {string} message - Error message
+ * @returns {Error} Error named 'AbortError'
+ */
+function abortError(signal, message) {
+	const error = new Error(message);
+	error.name = 'AbortError';
+	if (signal.reason !== undefined) {
+		error.cause = signal.reason;
+	}
+	return error;
+}
+
+/**
+ * Describe a thrown value as a plain, JSON-safe object
+ *
+ * Keeps the name, message, stack (unless `stack` is false), `cause` chain and the error's own
+ * enumerable properties such as `code`. Property values that cannot be serialized are
+ * replaced with their string form, and a cause that loops back is cut off.
+ *
+ * @private
+ * @param {*} error - Thrown value (usually an Error)
+ * @param {boolean} stack - Whether to include stack traces
+ * @param {Set<Object>} [seen] - Errors already serialized in this chain
+ * @returns {{name: string, message: string, stack?: string, cause?: *}} Serializable error details
+ */
+function serializeError(error, stack, seen = new Set()) {
+	if (error === null || typeof error !== 'object') {
+		return { name: 'Error', message: String(error) };
+	}
+
+	seen.add(error);
+	const details = {
+		name: typeof error.name === 'string' ? error.name : 'Error',
+		message: error.message !== undefined ? String(error.message) : String(error),
+	};
+	if (stack && typeof error.stack === 'string') {
+		details.stack = error.stack;
+	}
+
+	for (const key of Object.keys(error)) {
+		if (key in details || key === 'cause' || key === 'stack') continue;
+		try {
+			const value = JSON.stringify(error[key]);
+			if (value !== undefined) details[key] = JSON.parse(value);
+		} catch {
+			details[key] = String(error[key]);
+		}
+	}
+
+	if (error.cause !== undefined) {
+		details.cause = seen.has(error.cause) ? '[Circular]' : serializeError(error.cause, stack, seen);
+	}
+
+	return details;
+}
+
+/**
+ * Rail methods that emit, with the position of their event argument
+ *
+ * @private
+ */
+const EMITTING_METHODS = { emit: 0, emitAsync: 0, request: 0, emitLater: 0, emitAt: 0, every: 1 };
+
+/**
+ * Rail methods that subscribe, which the context runs as its own so they belong to the module
+ *
+ * @private
+ */
+const LISTENING_METHODS = new Set(['on', 'once', 'respond', 'waitFor']);
+
+/**
+ * Rail view handed to a module's `connect` and `disconnect`
+ *
+ * Listeners, responders, middleware and schemas registered through the context belong to
+ * the module whatever name is passed, events it emits are attributed to the module and
+ * recorded in `emitted`, and the context is revoked once the module is detached, so a
+ * stale closure can no longer emit or subscribe on its behalf.
+ *
+ * @private
+ */
+class ModuleContext {
+	/**
+	 * @param {Rail} rail - Rail the module is attached to
+	 * @param {string} moduleName - Owning module
+	 */
+	constructor(rail, moduleName) {
+		this._rail = rail;
+		this.module = moduleName;
+		this.emitted = new Set(); // event names emitted through this context
+		this.revoked = false;
+		this._middleware = []; // removers for middleware added with use()
+		this._schemas = new Map(); // event -> definition added with defineEvent()
+		this._view = null; // Rail view returned by `rail`
+	}
+
+	/**
+	 * The Rail, for anything the context does not wrap
+	 *
+	 * Listeners registered through it belong to the module like the context's own, and its
+	 * emitting methods run as the module. Permissions and history attribution therefore hold
+	 * even when a handler emits after an `await`, once the module is no longer the running one.
+	 *
+	 * @type {Rail}
+	 */
+	get rail() {
+		this._checkLive();
+		if (this._view === null) {
+			this._view = new Proxy(this._rail, {
+				get: (rail, key) => {
+					const value = Reflect.get(rail, key);
+					if (typeof value !== 'function') {
+						return value;
+					}
+					if (LISTENING_METHODS.has(key)) {
+						return (...args) => this[key](...args);
+					}
+					if (!Object.prototype.hasOwnProperty.call(EMITTING_METHODS, key)) {
+						return value.bind(rail);
+					}
+					return (...args) => {
+						this._checkLive();
+						this.emitted.add(args[EMITTING_METHODS[key]]);
+						return rail._runAs(this.module, () => value.apply(rail, args));
+					};
+				},
+			});
+		}
+		return this._view;
+	}
+
+	on(event, callback, options) {
+		this._checkLive();
+		return this._rail.on(event, callback, this._own(options));
+	}
+
+	once(event, callback, options) {
+		this._checkLive();
+		return this._rail.once(event, callback, this._own(options));
+	}
+
+	off(event, listenerId) {
+		this._checkLive();
+		return this._rail.off(event, listenerId);
+	}
+
+	emit(event, data) {
+		this._checkLive();
+		this.emitted.add(event);
+		return this._rail._runAs(this.module, () => this._rail.emit(event, data));
+	}
+
+	emitAsync(event, data, options) {
+		this._checkLive();
+		this.emitted.add(event);
+		return this._rail._runAs(this.module, () => this._rail.emitAsync(event, data, options));
+	}
+
+	emitLater(event, data, delay) {
+		this._checkLive();
+		this.emitted.add(event);
+		return this._rail._runAs(this.module, () => this._rail.emitLater(event, data, delay));
+	}
+
+	emitAt(event, data, time) {
+		this._checkLive();
+		this.emitted.add(event);
+		return this._rail._runAs(this.module, () => this._rail.emitAt(event, data, time));
+	}
+
+	every(interval, event, data) {
+		this._checkLive();
+		this.emitted.add(event);
+		return this._rail._runAs(this.module, () => this._rail.every(interval, event, data));
+	}
+
+	request(event, data, options) {
+		this._checkLive();
+		this.emitted.add(event);
+		return this._rail._runAs(this.module, () =>
+			this._rail.request(event, data, options)
+		);
+	}
+
+	respond(event, handler, options) {
+		this._checkLive();
+		return this._rail.respond(event, handler, this._own(options));
+	}
+
+	waitFor(event, options) {
+		this._checkLive();
+		return this._rail._waitFor(event, options, this.module);
+	}
+
+	use(middleware) {
+		this._checkLive();
+		const remove = this._rail.use(middleware);
+		this._middleware.push(remove);
+		return remove;
+	}
+
+	defineEvent(event, schema, options) {
+		this._checkLive();
+		this._rail.defineEvent(event, schema, options);
+		this._schemas.set(event, this._rail.schemas.get(event));
+		return this;
+	}
+
+	flush() {
+		this._checkLive();
+		return this._rail.flush(this.module);
+	}
+
+	/**
+	 * Force listener options onto the owning module
+	 *
+	 * @param {string|Object} [options] - Module name or listener options as passed to `on()`
+	 * @returns {Object} Listener options owned by this module
+	 */
+	_own(options) {
+		const owned = options !== null && typeof options === 'object' ? { ...options } : {};
+		const requested = typeof options === 'string' ? options : owned.module;
+
+		if (requested !== undefined && requested !== this.module && this._rail.debug) {
+			console.warn(
+				`⚠️  [${this._rail.name}] Module '${this.module}' registered a listener as '${requested}'; it is owned by '${this.module}'`
+			);
+		}
+
+		owned.module = this.module;
+		return owned;
+	}
+
+	_checkLive() {
+		if (this.revoked) {
+			throw new Error(
+				`Module '${this.module}' is not attached; its rail context was revoked`
+			);
+		}
+	}
+
+	/**
+	 * Stop the context from being used and remove its middleware
+	 */
+	_revoke() {
+		this.revoked = true;
+		for (const remove of this._middleware) {
+			remove();
+		}
+		this._middleware = [];
+		// Schemas go too, unless something else has defined the event since
+		for (const [event, definition] of this._schemas) {
+			if (this._rail.schemas.get(event) === definition) {
+				this._rail.schemas.delete(event);
+			}
+		}
+		this._schemas.clear();
+	}
+}
+
+/**
+ * RailJS - Lightweight event bus for modular JavaScript applications
+ *
+ * @class Rail
+ * @description Central event bus that enables module-to-module communication through events.
+ * Provides data isolation, module lifecycle management, and error handling.
+ *
+ * @example
+ * // Create a Rail instance
+ * const rail = new Rail({ name: 'my-app', debug: true, clone: true });
+ *
+ * // Listen for events
+ * rail.on('user.login', (data) => {
+ *   console.log('User logged in:', data.username);
+ * }, 'auth-module');
+ *
+ * // Emit events
+ * rail.emit('user.login', { username: 'john', timestamp: Date.now() });
+ *
+ * // Async events
+ * const results = await rail.emitAsync('process.data', { value: 42 });
+ *
+ * @see {@link https://github.com/PxPerfectMike/RailJS|GitHub Repository}
+ */
+export class Rail {
+	/**
+	 * Symbol for a custom clone method
+	 *
+	 * When cloning event data, Rail calls `value[Rail.cloneHook](clone)` instead of copying
+	 * the object field by field. `clone` deep clones nested values with the same cycle
+	 * tracking. A hook whose nested values can lead back to the object calls
+	 * `clone.register(copy)` before cloning them, so the cycle resolves to its copy. The symbol
+	 * is registered (`Symbol.for('railjs.clone')`), so modules can use
+	 * it without importing Rail.
+	 *
+	 * @type {symbol}
+	 *
+	 * @example
+	 * class Money {
+	 *   constructor(amount, currency) { this.amount = amount; this.currency = currency; }
+	 *   [Rail.cloneHook]() { return new Money(this.amount, this.currency); }
+	 * }
+	 *
+	 * @example
+	 * class TreeNode {
+	 *   [Rail.cloneHook](clone) {
+	 *     const copy = clone.register(new TreeNode());
+	 *     copy.children = clone(this.children); // children point back at copy
+	 *     return copy;
+	 *   }
+	 * }
+	 */
+	static get cloneHook() {
+		return CLONE_HOOK;
+	}
+
+	/**
+	 * Create a new Rail instance
+	 *
+	 * @constructor
+	 * @param {Object} [options={}] - Configuration options
+	 * @param {string} [options.name='rail-app'] - Name of the Rail instance (for debugging)
+	 * @param {boolean} [options.debug=false] - Enable debug logging
+	 * @param {boolean} [options.clone=true] - Enable deep cloning of event data for module isolation
+	 * @param {string} [options.isolation] - How listeners are isolated from each other: 'clone' (copy per
+	 *   listener), 'freeze' (deep-freeze the payload once and share it) or 'none'. Overrides `clone`.
+	 * @param {number} [options.historySize=1000] - Maximum events kept in history (0 disables history, Infinity keeps all)
+	 * @param {number} [options.historyTtl] - Drop history entries older than this many milliseconds
+	 * @param {string} [options.validation='reject'] - Default handling of payloads that fail their event
+	 *   schema: 'reject' (drop the event) or 'report' (deliver it anyway)
+	 * @param {number} [options.moduleTimeout=10000] - Milliseconds `attachAsync()`/`detachAsync()` wait for
+	 *   `connect`/`disconnect` (0 or Infinity waits forever)
+	 * @param {string} [options.permissions='enforce'] - How modules that break their `emits`/`listens`
+	 *   declarations are handled: 'enforce' (block the emit or subscription) or 'audit' (allow it)
+	 * @param {number} [options.handlerTimeout=30000] - Milliseconds `emitAsync` waits for each handler before
+	 *   reporting it as timed out (0 or Infinity waits forever); listeners can override it with `timeout`
+	 * @param {number} [options.deadLetterSize=100] - Events kept in the dead-letter queue (0 disables it)
+	 * @param {boolean} [options.errorStacks] - Include stack traces in error details (default: true unless
+	 *   `NODE_ENV` is 'production')
+	 * @param {function} [options.onError] - Called with every `rail.error` report, before it is emitted
+	 * @param {boolean} [options.trackInFlight=false] - Track promises returned by handlers called through
+	 *   `emit()` (and their retries) so `drain()` can wait for them
+	 * @param {boolean|Object} [options.circuitBreaker] - Give every attached module a circuit breaker:
+	 *   `true` for the defaults or `{ threshold = 0.5, minCalls = 5, window = 20, cooldown = 30000 }`.
+	 *   Modules can override it with their own `circuitBreaker` property, or opt out with `false`
+	 * @param {Object} [options.clock] - `{ now, setTimeout, clearTimeout }` used for throttle, debounce,
+	 *   retry backoff and circuit breaker timing (default: the system clock); inject one in tests
+	 *
+	 * @example
+	 * // Basic usage
+	 * const rail = new Rail();
+	 *
+	 * @example
+	 * // With configuration
+	 * const rail = new Rail({
+	 *   name: 'api-gateway',
+	 *   debug: process.env.NODE_ENV !== 'production',
+	 *   clone: true
+	 * });
+	 *
+	 * @example
+	 * // Performance mode (no cloning)
+	 * const fastRail = new Rail({ clone: false });
+	 *
+	 * @example
+	 * // Immutable delivery: one frozen payload shared by every listener
+	 * const frozenRail = new Rail({ isolation: 'freeze' });
+	 */
+	constructor(options = {}) {
+		this.clock = options.clock || SYSTEM_CLOCK;
+		if (!['now', 'setTimeout', 'clearTimeout'].every((key) => typeof this.clock[key] === 'function')) {
+			throw new Error('Clock must provide now, setTimeout and clearTimeout functions');
+		}
+		this.name = options.name || 'rail-app';
+		this.debug = options.debug || false;
+		this.isolation = options.isolation || (options.clone === false ? 'none' : 'clone');
+		this._checkIsolation(this.isolation);
+		this.clone = this.isolation === 'clone'; // Deep clone by default
+		this.frozen = new WeakSet(); // payloads already deep-frozen by 'freeze' isolation
+		this.listeners = new Map(); // event or pattern -> array of {callback, module, id, event}
+		this.patterns = new PatternTrie(); // wildcard patterns with listeners
+		this.modules = new Map(); // module name -> module instance
+		this.contexts = new Map(); // module name -> ModuleContext passed to connect/disconnect
+		this.middleware = []; // emit pipeline, in order of use()
+		this.responders = new Map(); // event or pattern -> {module} answering request()
+		this.pendingRequests = new Map(); // correlation id -> {resolve, reject}
+		this.requestIdCounter = 0;
+		const historySize = options.historySize !== undefined ? options.historySize : 1000;
+		this._checkBufferSize('historySize', historySize);
+		this.eventHistory = new HistoryBuffer( // For debugging and replay
+			historySize,
+			options.historyTtl !== undefined ? options.historyTtl : null
+		);
+		this.eventsEmitted = 0;
+		this.schemas = new Map(); // event -> {schema, mode} registered with defineEvent()
+		this.validationMode = options.validation || 'reject';
+		this._checkValidationMode(this.validationMode);
+		this.validationFailures = 0;
+		this.moduleTimeout = options.moduleTimeout !== undefined ? options.moduleTimeout : 10000;
+		this.permissionMode = options.permissions || 'enforce';
+		this._checkPermissionMode(this.permissionMode);
+		this.permissionDenials = 0;
+		this.handlerTimeout = options.handlerTimeout !== undefined ? options.handlerTimeout : 30000;
+		this.retryPolicies = new Map(); // event -> retry policy set with setRetryPolicy()
+		const deadLetterSize = options.deadLetterSize !== undefined ? options.deadLetterSize : 100;
+		this._checkBufferSize('deadLetterSize', deadLetterSize);
+		this.deadLetters = new HistoryBuffer(deadLetterSize, null); // events no listener handled
+		this.deadLetterIdCounter = 0;
+		this.errorStacks =
+			options.errorStacks !== undefined
+				? options.errorStacks
+				: !(typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'production');
+		this.onError = options.onError || null;
+		if (this.onError !== null && typeof this.onError !== 'function') {
+			throw new Error('onError must be a function');
+		}
+		this.reportingError = false; // true while rail.error is being delivered
+		this.trackInFlight = options.trackInFlight || false;
+		this.inFlight = new Set(); // background work from emit(), with trackInFlight
+		this.circuitBreaker = this._normalizeCircuit(options.circuitBreaker); // default module breaker
+		this.circuits = new Map(); // module name -> CircuitBreaker
+		this.activeModule = null; // module whose handler or connect() is running
+		this.listenerIdCounter = 0;
+		this.schedules = new Map(); // id -> pending emitLater/emitAt/every
+		this.scheduleIdCounter = 0;
+
+		if (this.debug) {
+			console.log(`🚂 [${this.name}] Rail started in debug mode`);
+			if (this.isolation === 'none') {
+				console.warn(`⚠️  [${this.name}] Deep cloning is DISABLED - modules can contaminate each other's data`);
+			}
+		}
+	}
+
+	/**
+	 * Register an event listener
+	 *
+	 * The event may be a wildcard pattern: `*` matches exactly one dot-separated segment,
+	 * `**` matches zero or more segments, and a bare `'*'` matches every event.
+	 *
+	 * @param {string} event - Event name or pattern to listen for (e.g., 'user.login', 'user.*', 'auth.**')
+	 * @param {function} callback - Function to call when event is emitted. Receives the event data and
+	 *   an info object `{ event, pattern }` with the emitted event name and the subscribed pattern.
+	 * @param {string|Object} [options='anonymous'] - Name of the module registering the listener, or an options object
+	 * @param {string} [options.module='anonymous'] - Name of the module registering the listener (for debugging and cleanup)
+	 * @param {boolean} [options.once=false] - Remove the listener after its first delivery
+	 * @param {number} [options.priority=0] - Higher priorities are called first; equal priorities keep registration order
+	 * @param {string|string[]} [options.before] - Module(s) whose listeners on the same event must run after this one
+	 * @param {string|string[]} [options.after] - Module(s) whose listeners on the same event must run before this one
+	 * @param {function} [options.filter] - Predicate `(data, info) => boolean`; the listener only receives events it accepts
+	 * @param {AbortSignal} [options.signal] - Removes the listener when aborted
+	 * @param {number} [options.timeout] - Milliseconds `emitAsync` waits for this handler (default: the Rail's
+	 *   `handlerTimeout`; 0 or Infinity waits forever)
+	 * @param {number|Object} [options.retry] - Retry policy for a handler that throws or rejects (a number is
+	 *   the attempts): `{ attempts = 3, delay = 100, factor = 2, maxDelay = 10000, jitter = 0.2, retryIf }`.
+	 *   `retryIf(error, attempt)` decides which errors are retried. With `emit` the first attempt is
+	 *   synchronous and later ones run in the background.
+	 * @param {number|Object} [options.throttle] - At most one delivery per interval: milliseconds, or
+	 *   `{ interval, leading = true, trailing = true }`. A trailing delivery gets the latest held event.
+	 * @param {number} [options.debounce] - Deliver only the latest event once none arrived for this many
+	 *   milliseconds
+	 * @param {number} [options.sample] - Deliver every nth event
+	 * @param {number|Object} [options.batch] - Collect events and deliver their payloads as one array:
+	 *   a size, or `{ size = 100, maxWait = 1000 }`. A batch is delivered when full, `maxWait`
+	 *   milliseconds after its first event (Infinity waits for a full batch), or when the listener is
+	 *   removed, the module detached or the Rail flushed. `info.events` names each payload's event.
+	 *
+	 * Rate-limited listeners receive `info.dropped`, the number of events skipped or coalesced since
+	 * their previous delivery. Held events and batches are delivered later as if by `emit()`.
+	 * Only one of throttle, debounce, sample and batch can be used.
+	 * @returns {function} Unsubscribe function - Call to remove this listener
+	 *
+	 * @example
+	 * // Basic listener
+	 * rail.on('user.created', (data) => {
+	 *   console.log('New user:', data.username);
+	 * }, 'user-module');
+	 *
+	 * @example
+	 * // Options form
+	 * rail.on('order.placed', handler, {
+	 *   module: 'billing',
+	 *   priority: 10,
+	 *   filter: (order) => order.total > 0,
+	 * });
+	 *
+	 * @example
+	 * // Validate before the database stores anything, whatever the attach order
+	 * rail.on('auth.registration.success', validate, {
+	 *   module: 'validation',
+	 *   before: 'database',
+	 * });
+	 *
+	 * @example
+	 * // Keep a high-frequency event from swamping the handler
+	 * rail.on('pointer.moved', (position, { dropped }) => {
+	 *   render(position); // `dropped` moves happened since the last render
+	 * }, { module: 'cursor', throttle: 50 });
+	 *
+	 * @example
+	 * // Write audit entries in bulk instead of one at a time
+	 * rail.on('audit.entry', (entries) => db.insertMany(entries), {
+	 *   module: 'database',
+	 *   batch: { size: 50, maxWait: 1000 },
+	 * });
+	 *
+	 * @example
+	 * // Wildcard listener
+	 * rail.on('user.*', (data, { event }) => {
+	 *   console.log(`${event}:`, data);
+	 * }, 'audit');
+	 *
+	 * @example
+	 * // Unsubscribe pattern
+	 * const unsubscribe = rail.on('event', handler, 'module');
+	 * unsubscribe(); // Remove listener
+	 *
+	 * @example
+	 * // Async handler (use emitAsync to get results)
+	 * rail.on('process.data', async (data) => {
+	 *   const result = await someAsyncOperation(data);
+	 *   return result;
+	 * }, 'processor');
+	 *
+	 * @throws {Error} If callback is not a function or an option has the wrong type
+	 */
+	on(event, callback, options = 'anonymous') {
+		if (typeof callback !== 'function') {
+			throw new Error('Callback must be a function');
+		}
+
+		const {
+			module: moduleName = 'anonymous',
+			once = false,
+			priority = 0,
+			before = [],
+			after = [],
+			filter = null,
+			signal = null,
+			timeout = null,
+			retry = null,
+			throttle,
+			debounce,
+			sample,
+			batch,
+		} = this._normalizeListenerOptions(options);
+
+		if (filter !== null && typeof filter !== 'function') {
+			throw new Error('Listener filter must be a function');
+		}
+
+		if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+			throw new Error('Listener priority must be a finite number');
+		}
+
+		if (timeout !== null && !(typeof timeout === 'number' && timeout >= 0)) {
+			throw new Error('Listener timeout must be a non-negative number');
+		}
+
+		const retryPolicy = this._normalizeRetry(retry);
+		const rate = this._normalizeRate(throttle, debounce, sample, batch);
+		if (rate && rate.kind === 'batch' && once) {
+			throw new Error('Listener batch cannot be used with once');
+		}
+
+		const runsBefore = [].concat(before);
+		const runsAfter = [].concat(after);
+		if (![...runsBefore, ...runsAfter].every((name) => typeof name === 'string')) {
+			throw new Error('Listener before/after must be module names');
+		}
+
+		if (signal && signal.aborted) {
+			return () => false;
+		}
+
+		if (!this._mayListen(moduleName, event)) {
+			return () => false;
+		}
+
+		if (!this.listeners.has(event) && PatternTrie.isPattern(event)) {
+			this.patterns.add(event);
+		}
+
+		const listenerId = ++this.listenerIdCounter;
+		const listener = {
+			callback,
+			module: moduleName,
+			id: listenerId,
+			event,
+			once,
+			priority,
+			before: runsBefore,
+			after: runsAfter,
+			filter,
+			timeout,
+			retry: retryPolicy,
+			limiter: null,
+			batcher: null,
+			release: null, // detaches the abort handler from `signal`
+		};
+		if (signal) {
+			const onAbort = () => this.off(event, listenerId);
+			signal.addEventListener('abort', onAbort, { once: true });
+			listener.release = () => signal.removeEventListener('abort', onAbort);
+		}
+		if (rate && rate.kind === 'batch') {
+			listener.batcher = new Batcher(rate, this.clock, (entries) =>
+				this._deliverBatch(listener, entries)
+			);
+		} else if (rate) {
+			listener.limiter = new RateLimiter(rate, this.clock, (held, dropped) =>
+				this._deliverLater(listener, held, dropped)
+			);
+		}
+
+		// Copy on write so an emit in progress keeps iterating its own snapshot
+		const listeners = (this.listeners.get(event) || []).slice();
+		const index = listeners.findIndex((l) => l.priority < priority);
+		listeners.splice(index === -1 ? listeners.length : index, 0, listener);
+		this.listeners.set(event, listeners);
+
+		if (this.debug) {
+			console.log(
+				`📡 [${this.name}] ${moduleName} listening for '${event}'`
+			);
+		}
+
+		// Return unsubscribe function
+		return () => this.off(event, listenerId);
+	}
+
+	/**
+	 * Register a listener that is removed after its first delivery
+	 *
+	 * Accepts the same arguments as {@link Rail#on}. When a `filter` is given, only an
+	 * accepted event consumes the listener.
+	 *
+	 * @param {string} event - Event name or pattern to listen for
+	 * @param {function} callback - Function to call when the event is emitted
+	 * @param {string|Object} [options='anonymous'] - Module name or listener options
+	 * @returns {function} Unsubscribe function - Call to remove the listener before it fires
+	 *
+	 * @example
+	 * rail.once('app.ready', () => console.log('Ready!'), 'bootstrap');
+	 *
+	 * @example
+	 * // Wait for one specific reply
+	 * rail.once('state.value', (data) => render(data.value), {
+	 *   module: 'todos',
+	 *   filter: (data) => data.key === 'todos',
+	 * });
+	 */
+	once(event, callback, options = 'anonymous') {
+		return this.on(event, callback, {
+			...this._normalizeListenerOptions(options),
+			once: true,
+		});
+	}
+
+	/**
+	 * Accept either a module name or a listener options object
+	 *
+	 * @private
+	 * @param {string|Object} [options] - Module name or options
+	 * @returns {Object} Listener options
+	 */
+	_normalizeListenerOptions(options) {
+		if (options !== null && typeof options === 'object') {
+			return options;
+		}
+		return options === undefined || options === null ? {} : { module: options };
+	}
+
+	/**
+	 * Remove an event listener by ID
+	 *
+	 * @param {string} event - Event name
+	 * @param {number} listenerId - Internal listener ID to remove
+	 * @returns {boolean} True if listener was found and removed, false otherwise
+	 *
+	 * @example
+	 * // Typically used via the unsubscribe function returned by on()
+	 * const unsubscribe = rail.on('event', handler);
+	 * unsubscribe(); // Internally calls off()
+	 *
+	 * @see {@link Rail#on} for the recommended way to unsubscribe
+	 */
+	off(event, listenerId) {
+		const listeners = this.listeners.get(event);
+		if (!listeners) return false;
+
+		this._setListeners(
+			event,
+			listeners.filter((l) => l.id !== listenerId)
+		);
+		return true;
+	}
+
+	/**
+	 * Replace the listener list for an event, dropping the entry when it becomes empty
+	 *
+	 * Removed listeners stop watching their abort signal and lose any held rate-limited event,
+	 * but receive their pending batch.
+	 *
+	 * @private
+	 * @param {string} event - Event name or pattern
+	 * @param {Array<Object>} listeners - Remaining listeners
+	 */
+	_setListeners(event, listeners) {
+		const removed = (this.listeners.get(event) || []).filter((l) => !listeners.includes(l));
+
+		if (listeners.length > 0) {
+			this.listeners.set(event, listeners);
+		} else {
+			this.listeners.delete(event);
+			if (PatternTrie.isPattern(event)) {
+				this.patterns.remove(event);
+			}
+		}
+
+		for (const listener of removed) {
+			if (listener.release) {
+				listener.release();
+			}
+			if (listener.limiter) {
+				listener.limiter.cancel();
+			}
+			if (listener.batcher) {
+				// After the update, so events the last batch causes do not reach it again
+				listener.batcher.flush();
+			}
+		}
+	}
+
+	/**
+	 * Collect the listeners that should receive an event, including wildcard matches
+	 *
+	 * @private
+	 * @param {string} event - Concrete event name being emitted
+	 * @returns {Array<Object>} Listener records in dispatch order (priority, then registration)
+	 */
+	_getListeners(event) {
+		const exact = this.listeners.get(event) || [];
+		if (this.patterns.size === 0) {
+			return this._resolveOrder(exact);
+		}
+
+		const matched = exact.slice();
+		for (const pattern of this.patterns.match(event)) {
+			if (pattern !== event) {
+				matched.push(...this.listeners.get(pattern));
+			}
+		}
+		matched.sort((a, b) => b.priority - a.priority || a.id - b.id);
+		return this._resolveOrder(matched);
+	}
+
+	/**
+	 * Apply `before`/`after` module constraints to a priority-ordered listener list
+	 *
+	 * Runs a topological sort that always picks the earliest listener (in priority order)
+	 * whose constraints are satisfied, so the result is deterministic. Constraints win over
+	 * priorities. Listeners caught in a constraint cycle keep their priority order.
+	 *
+	 * @private
+	 * @param {Array<Object>} listeners - Listener records sorted by priority
+	 * @returns {Array<Object>} Listener records in dispatch order
+	 */
+	_resolveOrder(listeners) {
+		if (!listeners.some((l) => l.before.length > 0 || l.after.length > 0)) {
+			return listeners;
+		}
+
+		// successors[i] lists the listeners that must run after listeners[i]
+		const successors = listeners.map(() => []);
+		const pending = listeners.map(() => 0);
+		listeners.forEach((a, i) => {
+			listeners.forEach((b, j) => {
+				if (a.module === b.module) return;
+				if (a.before.includes(b.module) || b.after.includes(a.module)) {
+					successors[i].push(j);
+					pending[j]++;
+				}
+			});
+		});
+
+		const ordered = [];
+		const placed = listeners.map(() => false);
+		while (ordered.length < listeners.length) {
+			let next = pending.findIndex((count, i) => !placed[i] && count === 0);
+			if (next === -1) {
+				next = placed.indexOf(false);
+				if (this.debug) {
+					console.warn(
+						`⚠️  [${this.name}] Ordering cycle involving module '${listeners[next].module}'`
+					);
+				}
+			}
+
+			placed[next] = true;
+			ordered.push(listeners[next]);
+			successors[next].forEach((j) => pending[j]--);
+		}
+		return ordered;
+	}
+
+	/**
+	 * Decide whether a listener receives an event and build its copy of the data
+	 *
+	 * Applies the listener's filter and consumes `once` listeners before they are called,
+	 * so a nested emit cannot deliver to them twice. Batched listeners keep the event for
+	 * their next batch instead. `tally.accepted` counts the event if the listener takes it, now
+	 * or later, so the caller can tell an unhandled event from one every listener skipped.
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Event envelope being dispatched
+	 * @param {number} [dropped] - Skipped-event count for a deferred delivery, which bypasses rate limiting
+	 * @param {{accepted: number}} [tally] - Listeners that took the event so far
+	 * @returns {{eventData: *, info: {event: string, pattern: string}}|null}
+	 *          Handler arguments, or null if the listener should be skipped
+	 */
+	_prepareDelivery(listener, envelope, dropped, tally = { accepted: 0 }) {
+		if (listener.consumed) {
+			return null;
+		}
+
+		const { event, data, correlationId, replay, signal } = envelope;
+		const info = { event, pattern: listener.event };
+		if (correlationId !== undefined) {
+			info.correlationId = correlationId;
+		}
+		if (replay) {
+			info.replay = true;
+		}
+		if (signal) {
+			info.signal = signal;
+		}
+
+		// Only the filter needs the data before the rate limit and circuit have had their say,
+		// so events they refuse are not cloned
+		let filtered = null;
+		if (listener.filter) {
+			filtered = this._isolate(data, listener.module, event);
+			if (!listener.filter(filtered, info)) {
+				return null;
+			}
+		}
+		const isolate = () => (listener.filter ? filtered : this._isolate(data, listener.module, event));
+
+		if (listener.limiter && dropped === undefined) {
+			dropped = listener.limiter.admit(envelope);
+			if (dropped === null) {
+				// Held for later or skipped on purpose: either way the listener took it
+				tally.accepted++;
+				return null;
+			}
+		}
+		if (dropped !== undefined) {
+			info.dropped = dropped;
+		}
+
+		// A batch asks the circuit once, when it is delivered
+		if (listener.batcher) {
+			listener.batcher.add({ data: isolate(), event, timestamp: envelope.timestamp, envelope });
+			tally.accepted++;
+			return null;
+		}
+
+		const circuit = this.circuits.get(listener.module);
+		if (circuit && !circuit.allow(this.clock.now())) {
+			return null;
+		}
+
+		const eventData = isolate();
+
+		if (listener.once) {
+			listener.consumed = true;
+			this.off(listener.event, listener.id);
+		}
+
+		tally.accepted++;
+		return { eventData, info };
+	}
+
+	/**
+	 * Emit an event synchronously to all registered listeners
+	 *
+	 * @param {string} event - Event name to emit (e.g., 'user.login', 'data.saved')
+	 * @param {*} [data={}] - Data to send with the event. Will be deep cloned if cloning is enabled.
+	 * @returns {number} Number of listeners that handled the event
+	 *
+	 * @example
+	 * // Emit a simple event
+	 * rail.emit('user.login', { username: 'john', timestamp: Date.now() });
+	 *
+	 * @example
+	 * // Check how many handlers received it
+	 * const handlerCount = rail.emit('notification', { message: 'Hello' });
+	 * console.log(`Event handled by ${handlerCount} modules`);
+	 *
+	 * @example
+	 * // With deep cloning (default), data is isolated
+	 * const data = { counter: 0 };
+	 * rail.emit('increment', data);
+	 * console.log(data.counter); // Still 0 - modules get cloned copies
+	 *
+	 * @example
+	 * // Async handlers are not awaited, but their rejections still reach rail.error
+	 * rail.on('user.created', async (user) => {
+	 *   await mailer.sendWelcome(user);
+	 * }, 'email');
+	 * rail.emit('user.created', user);
+	 *
+	 * @see {@link Rail#emitAsync} for async event emission with return values
+	 */
+	emit(event, data = {}) {
+		return this._emit(event, data);
+	}
+
+	/**
+	 * Emit synchronously with extra envelope fields (used by request() and replay())
+	 *
+	 * @private
+	 * @param {string} event - Event name to emit
+	 * @param {*} data - Event data
+	 * @param {Object} [fields={}] - Additional envelope fields such as `correlationId` or `replay`
+	 * @param {boolean} [permitted=false] - The caller has already checked the emit permission
+	 * @returns {number} Number of listeners that handled the event
+	 */
+	_emit(event, data, fields = {}, permitted = false) {
+		if (!permitted && !this._mayEmit(event)) {
+			return 0;
+		}
+
+		const timestamp = Date.now();
+
+		this._record(event, data, timestamp, fields.scheduleId);
+
+		if (this.debug) {
+			console.log(`🔥 [${this.name}] Emitting '${event}':`, data);
+		}
+
+		const envelope = { ...fields, event, data, timestamp, async: false };
+		if (this.middleware.length === 0) {
+			return this._dispatch(envelope);
+		}
+
+		// Middleware that defers or blocks next() leaves nothing handled synchronously
+		const handled = this._runMiddleware(envelope, (final) => this._dispatch(final));
+		return typeof handled === 'number' ? handled : 0;
+	}
+
+	/**
+	 * Emit an event on behalf of the Rail itself, never attributed to the running module
+	 *
+	 * @private
+	 * @param {string} event - Event name (a `rail.*` event)
+	 * @param {*} data - Event data
+	 * @returns {number} Number of listeners that handled the event
+	 */
+	_emitSystem(event, data) {
+		return this._runAs(null, () => this.emit(event, data));
+	}
+
+	/**
+	 * Deliver an envelope to its listeners synchronously, after middleware has run
+	 *
+	 * @private
+	 * @param {{event: string, data: *, timestamp: number}} envelope - Event to deliver
+	 * @returns {number} Number of listeners that handled the event
+	 */
+	_dispatch(envelope) {
+		const { event, data } = envelope;
+		if (!this._checkPayload(event, data)) {
+			return 0;
+		}
+		if (this.isolation === 'freeze') {
+			this._deepFreeze(data);
+		}
+		const listeners = this._getListeners(event);
+		const outcome = { handled: false, failures: [], pending: 0, accepted: 0 };
+		let handledCount = 0;
+
+		listeners.forEach((listener) => {
+			if (this._deliver(listener, envelope, outcome)) {
+				handledCount++;
+			}
+		});
+
+		if (this.debug && handledCount === 0) {
+			console.warn(
+				`⚠️  [${this.name}] No listeners for event '${event}'`
+			);
+		}
+
+		// Listeners whose filter, circuit or spent `once` skipped the event do not count
+		if (outcome.accepted === 0) {
+			this._deadLetter(envelope, 'unhandled', []);
+		} else if (outcome.pending === 0) {
+			this._settleOutcome(envelope, outcome);
+		}
+
+		return handledCount;
+	}
+
+	/**
+	 * Call one listener for a synchronous delivery and record how it went
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Event to deliver
+	 * @param {{handled: boolean, failures: Object[], pending: number, accepted?: number}} outcome - Outcome of the emit
+	 * @param {number} [dropped] - Events a rate-limited listener skipped, for a deferred delivery
+	 * @param {{eventData: *, info: Object}} [prepared] - Handler arguments already built (a batch)
+	 * @returns {boolean} True if the listener was called without throwing
+	 */
+	_deliver(listener, envelope, outcome, dropped, prepared) {
+		const { callback, module } = listener;
+		const { event, timestamp } = envelope;
+		let delivery = null;
+		try {
+			delivery = prepared || this._prepareDelivery(listener, envelope, dropped, outcome);
+			if (!delivery) return false;
+
+			if (this.debug) {
+				console.log(`   ↳ ${module} handling '${event}'`);
+			}
+
+			const returned = this._runAs(module, () => callback(delivery.eventData, delivery.info));
+
+			if (returned !== null && typeof returned === 'object' && typeof returned.then === 'function') {
+				// Async handler: its rejection is reported like a throw, just later
+				outcome.pending++;
+				this._track(this._watchReturned(listener, envelope, delivery, returned, outcome));
+			} else {
+				outcome.handled = true;
+				this._recordCall(module, true);
+			}
+			return true;
+		} catch (error) {
+			const policy = delivery && this._retryPolicyFor(listener, event);
+			if (policy && this._shouldRetry(error, policy, 1)) {
+				// emit() has already moved on, so the retries run in the background
+				outcome.pending++;
+				this._track(this._retryInBackground(listener, envelope, delivery, policy, error, outcome));
+				return false;
+			}
+
+			const { error: message, details } = this._reportHandlerError(listener, event, error, timestamp);
+			outcome.failures.push({ module, error: message, details });
+			return false;
+		}
+	}
+
+	/**
+	 * Deliver an event a rate-limited listener held back (trailing throttle or debounce)
+	 *
+	 * Runs like a delivery from `emit()`, whichever way the event was emitted. If it fails, the
+	 * event is dead-lettered for this listener's module only.
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Latest held event
+	 * @param {number} dropped - Events skipped or coalesced since the previous delivery
+	 */
+	_deliverLater(listener, envelope, dropped) {
+		// The other listeners settled the event when it was emitted, so this failure is the module's alone
+		const deferred = { ...envelope, deferredTo: listener.module };
+		const outcome = { handled: false, failures: [], pending: 0 };
+		this._deliver(listener, deferred, outcome, dropped);
+		if (outcome.pending === 0) {
+			this._settleOutcome(deferred, outcome);
+		}
+	}
+
+	/**
+	 * Deliver a batched listener's pending events as one call
+	 *
+	 * The handler receives the payloads in arrival order; `info.event` is the latest event
+	 * name and `info.events` lists the name of each payload. Runs like a delivery from `emit()`,
+	 * and a batch that finally fails dead-letters every event in it for this listener's module.
+	 * The module's circuit is asked once per batch; an open circuit dead-letters the batch as
+	 * `unhandled` for the module.
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Array<{data: *, event: string, timestamp: number, envelope: Object}>} entries - Batch
+	 */
+	_deliverBatch(listener, entries) {
+		const { event, timestamp } = entries[entries.length - 1];
+		const data = entries.map((entry) => entry.data);
+		const envelope = {
+			event,
+			data,
+			timestamp,
+			async: false,
+			batched: entries.map((entry) => entry.envelope),
+			deferredTo: listener.module,
+		};
+		const info = {
+			event,
+			pattern: listener.event,
+			events: entries.map((entry) => entry.event),
+		};
+
+		const circuit = this.circuits.get(listener.module);
+		if (circuit && !circuit.allow(this.clock.now())) {
+			// Keep the events for a redrive to this module once its circuit has closed
+			for (const original of envelope.batched) {
+				this._deadLetter(original, 'unhandled', [], listener.module);
+			}
+			return;
+		}
+
+		const outcome = { handled: false, failures: [], pending: 0 };
+		this._deliver(listener, envelope, outcome, undefined, { eventData: data, info });
+		if (outcome.pending === 0) {
+			this._settleOutcome(envelope, outcome);
+		}
+	}
+
+	/**
+	 * Emit an event asynchronously and wait for all handlers to complete
+	 *
+	 * Unlike emit(), this method awaits all handlers (including async ones) and returns their results.
+	 * Useful for data processing pipelines, validation workflows, and collecting responses.
+	 *
+	 * @param {string} event - Event name to emit
+	 * @param {*} [data={}] - Data to send with the event. Will be deep cloned if cloning is enabled.
+	 * @param {Object} [options={}] - Execution options
+	 * @param {string} [options.mode='parallel'] - How handlers are run and when the promise resolves:
+	 *   - 'parallel': all at once; resolves when all have finished
+	 *   - 'sequential': one at a time in dispatch order; resolves when all have finished
+	 *   - 'race': all at once; resolves with the first handler to finish, even if it failed
+	 *   - 'any': all at once; resolves with the first success (or every failure if none succeeds)
+	 *   - 'quorum': all at once; resolves with the first `quorum` successes (or everything if
+	 *     fewer succeed)
+	 *   - 'waterfall': one at a time, each receiving the previous handler's return value as its
+	 *     data (`undefined` passes the input on); stops at the first failure
+	 * @param {number} [options.quorum] - Successes needed in 'quorum' mode
+	 * @param {AbortSignal} [options.signal] - Cancels the emit: the promise rejects with an
+	 *   AbortError, handlers that have not started are skipped and retries stop. Handlers receive
+	 *   the signal as `info.signal` so they can abandon their own work. An aborted emit is not
+	 *   dead-lettered, and failures after the abort are not reported.
+	 * @returns {Promise<Array<{module: string, result: *, error: string|null, timedOut?: boolean}>>}
+	 *          Results of the handlers the mode waited for, in the order they finished. A handler
+	 *          still running after its timeout is reported as `{ error: 'timeout', timedOut: true }`.
+	 *          Handlers a mode stops waiting for keep running, but their results are dropped.
+	 *
+	 * @throws {Error} If the mode is unknown, quorum is not a positive integer or the signal
+	 *   aborts (as a rejection; the abort rejection is named 'AbortError')
+	 *
+	 * @example
+	 * // Collect results from multiple handlers
+	 * const results = await rail.emitAsync('process.order', { orderId: 123 });
+	 * results.forEach(({ module, result, error }) => {
+	 *   if (error) {
+	 *     console.error(`${module} failed:`, error);
+	 *   } else {
+	 *     console.log(`${module} returned:`, result);
+	 *   }
+	 * });
+	 *
+	 * @example
+	 * // Validation pipeline
+	 * const validations = await rail.emitAsync('validate.input', { email: 'user@example.com' });
+	 * const allValid = validations.every(r => r.error === null && r.result === true);
+	 *
+	 * @example
+	 * // Parallel data processing
+	 * rail.on('transform.data', async (data) => {
+	 *   const processed = await expensiveOperation(data);
+	 *   return processed;
+	 * }, 'transformer-1');
+	 *
+	 * const results = await rail.emitAsync('transform.data', rawData);
+	 *
+	 * @example
+	 * // Each step transforms the previous step's output
+	 * rail.on('order.price', (order) => ({ ...order, total: sum(order.items) }), 'pricing');
+	 * rail.on('order.price', (order) => ({ ...order, total: order.total * 0.9 }), 'discounts');
+	 * const steps = await rail.emitAsync('order.price', order, { mode: 'waterfall' });
+	 * const priced = steps[steps.length - 1].result;
+	 *
+	 * @example
+	 * // Two of three replicas must acknowledge
+	 * const acks = await rail.emitAsync('replica.write', record, { mode: 'quorum', quorum: 2 });
+	 *
+	 * @example
+	 * // One slow handler cannot hold up the others
+	 * rail.on('health.check', () => pingDatabase(), { module: 'database', timeout: 500 });
+	 * const checks = await rail.emitAsync('health.check');
+	 * const down = checks.filter((check) => check.timedOut).map((check) => check.module);
+	 *
+	 * @example
+	 * // Give up on a search the user has moved on from
+	 * rail.on('search.run', (query, { signal }) => fetch(searchUrl(query), { signal }), 'search');
+	 * const controller = new AbortController();
+	 * const pending = rail.emitAsync('search.run', query, { signal: controller.signal });
+	 * controller.abort(); // pending rejects with an AbortError and the fetch is cancelled
+	 *
+	 * @see {@link Rail#emit} for synchronous event emission
+	 */
+	async emitAsync(event, data = {}, options = {}) {
+		return this._emitAsync(event, data, options);
+	}
+
+	/**
+	 * Emit asynchronously with extra envelope fields (used by redriveDeadLetter())
+	 *
+	 * @private
+	 * @param {string} event - Event name to emit
+	 * @param {*} data - Event data
+	 * @param {Object} options - Options as for emitAsync
+	 * @param {Object} [fields={}] - Additional envelope fields
+	 * @returns {Promise<Array>} Handler results
+	 */
+	async _emitAsync(event, data, options, fields = {}) {
+		const strategy = this._asyncStrategy(options);
+		const { signal = null } = options;
+		if (signal !== null && typeof signal.addEventListener !== 'function') {
+			throw new Error('emitAsync signal must be an AbortSignal');
+		}
+		if (signal && signal.aborted) {
+			throw abortError(signal, `emitAsync '${event}' was aborted`);
+		}
+
+		if (!this._mayEmit(event)) {
+			return [];
+		}
+
+		const timestamp = Date.now();
+
+		this._record(event, data, timestamp);
+
+		if (this.debug) {
+			console.log(`🔥 [${this.name}] Emitting async '${event}':`, data);
+		}
+
+		const envelope = { ...fields, event, data, timestamp, async: true };
+		if (signal) {
+			envelope.signal = signal; // handed to handlers as info.signal
+		}
+
+		let dispatched;
+		if (this.middleware.length === 0) {
+			dispatched = this._dispatchAsync(envelope, strategy);
+		} else {
+			// Blocked events resolve with no results
+			dispatched = Promise.resolve(
+				this._runMiddleware(envelope, (final) => this._dispatchAsync(final, strategy))
+			).then((results) => (Array.isArray(results) ? results : []));
+		}
+
+		if (!signal) {
+			return dispatched;
+		}
+		return this._untilAborted(dispatched, signal, `emitAsync '${event}' was aborted`);
+	}
+
+	/**
+	 * Settle with a promise, or reject as soon as a signal aborts
+	 *
+	 * @private
+	 * @param {Promise<*>} work - Promise to follow
+	 * @param {AbortSignal} signal - Signal that cancels the wait
+	 * @param {string} message - Message of the AbortError
+	 * @returns {Promise<*>} The work's result, or a rejection with an AbortError
+	 */
+	_untilAborted(work, signal, message) {
+		return new Promise((resolve, reject) => {
+			const onAbort = () => reject(abortError(signal, message));
+			if (signal.aborted) {
+				onAbort(); // a handler aborted while the emit was starting
+			} else {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+			work.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+		});
+	}
+
+	/**
+	 * Validate emitAsync options
+	 *
+	 * @private
+	 * @param {Object} options - Options passed to emitAsync
+	 * @returns {{mode: string, quorum: number}} Execution strategy
+	 * @throws {Error} If the mode or quorum is invalid
+	 */
+	_asyncStrategy(options) {
+		const { mode = 'parallel', quorum = 1 } = options;
+
+		if (!ASYNC_MODES.includes(mode)) {
+			throw new Error(
+				`Unknown emitAsync mode '${mode}' (expected ${ASYNC_MODES.map((m) => `'${m}'`).join(', ')})`
+			);
+		}
+
+		if (mode === 'quorum' && !(Number.isInteger(quorum) && quorum > 0)) {
+			throw new Error('emitAsync quorum must be a positive integer');
+		}
+
+		return { mode, quorum };
+	}
+
+	/**
+	 * Deliver an envelope to its listeners and collect their results, after middleware has run
+	 *
+	 * @private
+	 * @param {{event: string, data: *, timestamp: number}} envelope - Event to deliver
+	 * @param {{mode: string, quorum: number}} [strategy] - Execution strategy from emitAsync
+	 * @returns {Promise<Array<{module: string, result: *, error: string|null, timedOut?: boolean}>>}
+	 *          Handler results
+	 */
+	async _dispatchAsync(envelope, strategy = { mode: 'parallel', quorum: 1 }) {
+		const { event, data } = envelope;
+		if (!this._checkPayload(event, data)) {
+			return [];
+		}
+		if (this.isolation === 'freeze') {
+			this._deepFreeze(data);
+		}
+		const listeners = this._getListeners(event);
+
+		const tally = { accepted: 0 };
+		const started = [];
+		const run = (listener, delivered = envelope) => {
+			const pending = this._runAsyncListener(listener, delivered, tally);
+			started.push(pending);
+			return pending;
+		};
+
+		const results = await this._runStrategy(listeners, envelope, strategy, run);
+
+		// Every listener has been offered the event by now; filtered or refused ones do not count
+		if (tally.accepted === 0 && !(envelope.signal && envelope.signal.aborted)) {
+			if (this.debug) {
+				console.warn(
+					`⚠️  [${this.name}] No listeners for event '${event}'`
+				);
+			}
+			this._deadLetter(envelope, 'unhandled', []);
+			return results;
+		}
+
+		// Handlers that race, any and quorum did not wait for still decide the outcome,
+		// unless the caller aborted the emit
+		Promise.all(started).then((entries) => {
+			if (envelope.signal && envelope.signal.aborted) return;
+			const ran = entries.filter((entry) => entry !== null);
+			this._settleOutcome(envelope, {
+				handled: ran.some((entry) => entry.error === null),
+				failures: ran.map(({ result, ...failure }) => failure),
+			});
+		});
+
+		return results;
+	}
+
+	/**
+	 * Run listeners for emitAsync according to the execution mode
+	 *
+	 * @private
+	 * @param {Object[]} listeners - Listeners in dispatch order
+	 * @param {Object} envelope - Event to deliver
+	 * @param {{mode: string, quorum: number}} strategy - Execution strategy
+	 * @param {function} run - `(listener, envelope?) => Promise<?Object>` running one listener
+	 * @returns {Promise<Array>} Results the mode waits for
+	 */
+	async _runStrategy(listeners, envelope, strategy, run) {
+		switch (strategy.mode) {
+			case 'sequential': {
+				const results = [];
+				for (const listener of listeners) {
+					const result = await run(listener);
+					if (result) results.push(result);
+				}
+				return results;
+			}
+
+			case 'waterfall': {
+				const results = [];
+				let current = envelope;
+				for (const listener of listeners) {
+					const result = await run(listener, current);
+					if (!result) continue;
+
+					results.push(result);
+					if (result.error !== null) break;
+
+					if (result.result !== undefined) {
+						if (this.isolation === 'freeze') {
+							this._deepFreeze(result.result);
+						}
+						current = { ...current, data: result.result };
+					}
+				}
+				return results;
+			}
+
+			case 'race':
+				return this._firstResults(listeners.map((l) => run(l)), 1, true);
+
+			case 'any':
+				return this._firstResults(listeners.map((l) => run(l)), 1, false);
+
+			case 'quorum':
+				return this._firstResults(listeners.map((l) => run(l)), strategy.quorum, false);
+
+			default: {
+				// Wait for all handlers to complete, dropping listeners that were skipped
+				const results = await Promise.all(listeners.map((l) => run(l)));
+				return results.filter((result) => result !== null);
+			}
+		}
+	}
+
+	/**
+	 * Run one listener for emitAsync, containing errors and timeouts
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Event to deliver
+	 * @param {{accepted: number}} [tally] - Counts the listener if it takes the event
+	 * @returns {Promise<?{module: string, result: *, error: string|null, details?: Object, timedOut?: boolean,
+	 *          attempts?: number}>} Result entry (failures carry serialized error `details`, and `attempts`
+	 *          is set when a retry policy applies), or null if the listener skipped the event
+	 */
+	async _runAsyncListener(listener, envelope, tally) {
+		const { module } = listener;
+		const { event, timestamp } = envelope;
+		const policy = this._retryPolicyFor(listener, event);
+		const state = { attempts: 1 };
+		const attempts = () => (policy ? { attempts: state.attempts } : {});
+
+		if (envelope.signal && envelope.signal.aborted) {
+			return null; // not started before the emit was aborted
+		}
+
+		try {
+			const delivery = this._prepareDelivery(listener, envelope, undefined, tally);
+			if (!delivery) return null;
+
+			if (this.debug) {
+				console.log(`   ↳ ${module} handling async '${event}'`);
+			}
+
+			const result = await this._callWithRetry(listener, envelope, delivery, policy, state);
+			this._recordCall(module, true);
+			return { module, result, error: null, ...attempts() };
+		} catch (error) {
+			if (envelope.signal && envelope.signal.aborted) {
+				// The caller cancelled it: neither a failure nor a success, but a trial is over
+				const circuit = this.circuits.get(module);
+				if (circuit) circuit.release();
+				return null;
+			}
+			if (error && error.timedOut) {
+				return this._reportTimeout(listener, event, error, timestamp, attempts());
+			}
+
+			const report = this._reportHandlerError(listener, event, error, timestamp, attempts(), 'async ');
+			return { module, result: null, error: report.error, details: report.details, ...attempts() };
+		}
+	}
+
+	/**
+	 * Call a handler until it succeeds or its retry policy gives up
+	 *
+	 * Every attempt gets a fresh copy of the event data and its own timeout.
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Event being delivered
+	 * @param {{eventData: *, info: Object}} delivery - First delivery from _prepareDelivery
+	 * @param {?Object} policy - Normalized retry policy, or null for a single attempt
+	 * @param {{attempts: number}} state - Updated with the number of calls made
+	 * @param {Error} [failure] - Error from a first attempt that has already run
+	 * @returns {Promise<*>} The handler's result; rejects with the last error
+	 */
+	async _callWithRetry(listener, envelope, delivery, policy, state, failure) {
+		const { callback, module } = listener;
+		const { event, data, signal } = envelope;
+		const timeout = listener.timeout !== null ? listener.timeout : this.handlerTimeout;
+		const aborted = () => Boolean(signal && signal.aborted);
+		let eventData = delivery.eventData;
+		let error = failure;
+		state.attempts = failure === undefined ? 0 : 1;
+
+		for (;;) {
+			if (state.attempts > 0) {
+				if (!policy || aborted() || !this._shouldRetry(error, policy, state.attempts)) {
+					throw error;
+				}
+				await this._waitToRetry(error, policy, state.attempts, module, event);
+				if (aborted()) {
+					throw error;
+				}
+				eventData = this._isolate(data, module, event);
+			}
+
+			state.attempts++;
+			try {
+				return await this._settleWithin(
+					() => this._runAs(module, () => callback(eventData, delivery.info)),
+					timeout
+				);
+			} catch (attemptError) {
+				error = attemptError;
+			}
+		}
+	}
+
+	/**
+	 * Continue retrying a handler that failed during a synchronous emit
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Event being delivered
+	 * @param {{eventData: *, info: Object}} delivery - Delivery used for the first attempt
+	 * @param {Object} policy - Normalized retry policy
+	 * @param {Error} error - Error from the first attempt
+	 * @param {Object} outcome - Outcome of the emit; this call releases one of its pending slots
+	 * @returns {Promise<void>} Resolves once the handler succeeded or the failure was reported
+	 */
+	_retryInBackground(listener, envelope, delivery, policy, error, outcome) {
+		const { module } = listener;
+		const { event, timestamp } = envelope;
+		const state = { attempts: 1 };
+
+		return this._callWithRetry(listener, envelope, delivery, policy, state, error)
+			.then(
+				() => {
+					outcome.handled = true;
+					this._recordCall(module, true);
+				},
+				(finalError) => {
+					const attempts = { attempts: state.attempts };
+					if (finalError && finalError.timedOut) {
+						const { result, ...failure } = this._reportTimeout(listener, event, finalError, timestamp, attempts);
+						outcome.failures.push(failure);
+					} else {
+						const report = this._reportHandlerError(listener, event, finalError, timestamp, attempts);
+						outcome.failures.push({ module, error: report.error, details: report.details, ...attempts });
+					}
+				}
+			)
+			.then(() => this._release(envelope, outcome));
+	}
+
+	/**
+	 * Follow the promise an async handler returned during a synchronous emit
+	 *
+	 * A rejection goes through the same path as a synchronous throw: it is retried if the
+	 * listener has a retry policy, otherwise reported with `rail.error`.
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {Object} envelope - Event being delivered
+	 * @param {{eventData: *, info: Object}} delivery - Delivery used for the call
+	 * @param {PromiseLike<*>} returned - What the handler returned
+	 * @param {Object} outcome - Outcome of the emit; this call releases one of its pending slots
+	 * @returns {Promise<void>} Resolves once the handler settled and any failure was handled
+	 */
+	_watchReturned(listener, envelope, delivery, returned, outcome) {
+		const { module } = listener;
+		const { event, timestamp } = envelope;
+
+		return Promise.resolve(returned).then(
+			() => {
+				outcome.handled = true;
+				this._recordCall(module, true);
+				this._release(envelope, outcome);
+			},
+			(error) => {
+				const policy = this._retryPolicyFor(listener, event);
+				if (policy && this._shouldRetry(error, policy, 1)) {
+					return this._retryInBackground(listener, envelope, delivery, policy, error, outcome);
+				}
+
+				const report = this._reportHandlerError(listener, event, error, timestamp, {}, 'async ');
+				outcome.failures.push({ module, error: report.error, details: report.details });
+				this._release(envelope, outcome);
+			}
+		);
+	}
+
+	/**
+	 * Mark one piece of background work for an emit as finished
+	 *
+	 * @private
+	 * @param {Object} envelope - Event being delivered
+	 * @param {Object} outcome - Outcome of the emit
+	 */
+	_release(envelope, outcome) {
+		if (--outcome.pending === 0) {
+			this._settleOutcome(envelope, outcome);
+		}
+	}
+
+	/**
+	 * Keep background work from a synchronous emit in `inFlight` until it settles
+	 *
+	 * Only when the Rail was created with `trackInFlight`.
+	 *
+	 * @private
+	 * @param {Promise<void>} work - Promise that never rejects
+	 */
+	_track(work) {
+		if (!this.trackInFlight) return;
+
+		this.inFlight.add(work);
+		work.then(() => this.inFlight.delete(work));
+	}
+
+	/**
+	 * Find the retry policy for a delivery: the listener's own, else the event's
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {string} event - Emitted event name
+	 * @returns {?Object} Normalized retry policy
+	 */
+	_retryPolicyFor(listener, event) {
+		return listener.retry || this.retryPolicies.get(event) || null;
+	}
+
+	/**
+	 * Decide whether a failed attempt should be retried
+	 *
+	 * @private
+	 * @param {Error} error - Error from the attempt
+	 * @param {Object} policy - Normalized retry policy
+	 * @param {number} attempt - Number of the attempt that failed
+	 * @returns {boolean} True if another attempt is allowed
+	 */
+	_shouldRetry(error, policy, attempt) {
+		return attempt < policy.attempts && (!policy.retryIf || Boolean(policy.retryIf(error, attempt)));
+	}
+
+	/**
+	 * Announce a retry with `rail.retry` and wait out its backoff
+	 *
+	 * The delay grows by `factor` per attempt up to `maxDelay`, and `jitter` spreads it by up
+	 * to that fraction either way so failing listeners do not retry in lockstep.
+	 *
+	 * @private
+	 * @param {Error} error - Error from the failed attempt
+	 * @param {Object} policy - Normalized retry policy
+	 * @param {number} attempt - Number of the attempt that failed
+	 * @param {string} module - Module whose handler failed
+	 * @param {string} event - Event being handled
+	 * @returns {Promise<void>} Resolves when the next attempt may start
+	 */
+	_waitToRetry(error, policy, attempt, module, event) {
+		const backoff = Math.min(policy.delay * policy.factor ** (attempt - 1), policy.maxDelay);
+		const spread = backoff * policy.jitter * (Math.random() * 2 - 1);
+		const delay = Math.round(Math.max(0, Math.min(backoff + spread, policy.maxDelay)));
+
+		if (this.debug) {
+			console.warn(
+				`🔁 [${this.name}] Retrying '${module}' on '${event}' in ${delay}ms (attempt ${attempt + 1}/${policy.attempts})`
+			);
+		}
+
+		this._emitSystem('rail.retry', {
+			module,
+			event,
+			attempt,
+			attempts: policy.attempts,
+			delay,
+			error: error && error.message !== undefined ? error.message : String(error),
+		});
+
+		return new Promise((resolve) => this.clock.setTimeout(resolve, delay));
+	}
+
+	/**
+	 * Validate and complete a retry policy
+	 *
+	 * @private
+	 * @param {number|Object|null} retry - Number of attempts, policy object, or null for none
+	 * @returns {?Object} Policy with every field set, or null
+	 * @throws {Error} If a field is invalid
+	 */
+	_normalizeRetry(retry) {
+		if (retry === null || retry === undefined) {
+			return null;
+		}
+
+		const policy = typeof retry === 'number' ? { attempts: retry } : retry;
+		if (typeof policy !== 'object') {
+			throw new Error('Retry policy must be an object or a number of attempts');
+		}
+
+		const {
+			attempts = 3,
+			delay = 100,
+			factor = 2,
+			maxDelay = 10000,
+			jitter = 0.2,
+			retryIf = null,
+		} = policy;
+
+		if (!Number.isInteger(attempts) || attempts < 1) {
+			throw new Error('Retry attempts must be a positive integer');
+		}
+		for (const [name, value] of [['delay', delay], ['factor', factor], ['maxDelay', maxDelay]]) {
+			if (typeof value !== 'number' || !(value >= 0)) {
+				throw new Error(`Retry ${name} must be a non-negative number`);
+			}
+		}
+		if (typeof jitter !== 'number' || !(jitter >= 0 && jitter <= 1)) {
+			throw new Error('Retry jitter must be between 0 and 1');
+		}
+		if (retryIf !== null && typeof retryIf !== 'function') {
+			throw new Error('Retry retryIf must be a function');
+		}
+
+		return { attempts, delay, factor, maxDelay, jitter, retryIf };
+	}
+
+	/**
+	 * Validate a listener's throttle, debounce, sample or batch option
+	 *
+	 * @private
+	 * @param {number|Object} [throttle] - Interval or `{ interval, leading, trailing }`
+	 * @param {number} [debounce] - Quiet period in milliseconds
+	 * @param {number} [sample] - Deliver every nth event
+	 * @param {number|Object} [batch] - Batch size or `{ size, maxWait }`
+	 * @returns {?{kind: string, interval?: number, leading?: boolean, trailing?: boolean, wait?: number,
+	 *          every?: number, size?: number, maxWait?: number}} Rate limit, or null for none
+	 * @throws {Error} If more than one is given or a value is invalid
+	 */
+	_normalizeRate(throttle, debounce, sample, batch) {
+		const given = [throttle, debounce, sample, batch].filter((value) => value !== undefined && value !== null);
+		if (given.length === 0) return null;
+		if (given.length > 1) {
+			throw new Error('Listener can only use one of throttle, debounce, sample and batch');
+		}
+
+		if (batch !== undefined && batch !== null) {
+			const { size = 100, maxWait = 1000 } = typeof batch === 'object' ? batch : { size: batch };
+			if (!Number.isInteger(size) || size < 1) {
+				throw new Error('Listener batch size must be a positive integer');
+			}
+			if (typeof maxWait !== 'number' || !(maxWait > 0)) {
+				throw new Error('Listener batch maxWait must be a positive number (or Infinity)');
+			}
+			return { kind: 'batch', size, maxWait };
+		}
+
+		if (sample !== undefined && sample !== null) {
+			if (!Number.isInteger(sample) || sample < 1) {
+				throw new Error('Listener sample must be a positive integer');
+			}
+			return { kind: 'sample', every: sample };
+		}
+
+		if (debounce !== undefined && debounce !== null) {
+			if (typeof debounce !== 'number' || !(debounce > 0)) {
+				throw new Error('Listener debounce must be a positive number of milliseconds');
+			}
+			return { kind: 'debounce', wait: debounce };
+		}
+
+		const { interval, leading = true, trailing = true } =
+			typeof throttle === 'number' ? { interval: throttle } : throttle;
+		if (typeof interval !== 'number' || !(interval > 0)) {
+			throw new Error('Listener throttle interval must be a positive number');
+		}
+		if (!leading && !trailing) {
+			throw new Error('Listener throttle needs leading or trailing delivery');
+		}
+		return { kind: 'throttle', interval, leading: Boolean(leading), trailing: Boolean(trailing) };
+	}
+
+	/**
+	 * Log a failed handler and emit `rail.error`
+	 *
+	 * @private
+	 * @param {string} module - Module whose handler failed
+	 * @param {string} event - Event being handled
+	 * @param {*} error - Value thrown by the handler
+	 * @param {number} timestamp - Emission time
+	 * @param {Object} [extra={}] - Additional `rail.error` fields such as `attempts`
+	 * @param {string} [kind=''] - 'async ' for emitAsync handlers
+	 * @returns {Object} The `rail.error` report
+	 */
+	_reportHandlerError(listener, event, error, timestamp, extra = {}, kind = '') {
+		console.error(
+			`❌ [${this.name}] Error in module '${listener.module}' handling ${kind}'${event}':`,
+			error
+		);
+
+		return this._raiseError(listener, event, error, timestamp, extra);
+	}
+
+	/**
+	 * Build a `rail.error` report, count it against the module's circuit, pass it to `onError`
+	 * and emit it
+	 *
+	 * Errors raised while `rail.error` itself is being delivered are logged and passed to
+	 * `onError` but not emitted again, so a failing error listener cannot recurse. Failures
+	 * outside a handler (a scheduled emit, with no listener id) do not count against the circuit.
+	 *
+	 * @private
+	 * @param {{module: ?string, id: ?number}} listener - Listener record of the failed handler
+	 * @param {string} event - Event being handled
+	 * @param {*} error - Value thrown by the handler
+	 * @param {number} timestamp - Emission time
+	 * @param {Object} fields - Additional report fields
+	 * @returns {{module: string, listenerId: number, event: string, error: string, details: Object,
+	 *          timestamp: number}} The report
+	 */
+	_raiseError(listener, event, error, timestamp, fields) {
+		const details = serializeError(error, this.errorStacks);
+		const report = {
+			module: listener.module,
+			listenerId: listener.id,
+			event,
+			error: details.message,
+			details,
+			timestamp,
+			...fields,
+		};
+
+		if (listener.id !== null) {
+			this._recordCall(listener.module, false);
+		}
+
+		if (this.onError) {
+			try {
+				this.onError(report);
+			} catch (hookError) {
+				console.error(`❌ [${this.name}] onError hook failed:`, hookError);
+			}
+		}
+
+		if (event === 'rail.error' || this.reportingError) {
+			return report;
+		}
+
+		this.reportingError = true;
+		try {
+			this._emitSystem('rail.error', report);
+		} finally {
+			this.reportingError = false;
+		}
+		return report;
+	}
+
+	/**
+	 * Dead-letter an event when its listeners ran and none of them succeeded
+	 *
+	 * A deferred delivery (`deferredTo`) settles on its own, so its entry names the one module
+	 * that failed and a redrive goes back to that module only.
+	 *
+	 * @private
+	 * @param {Object} envelope - Event that was delivered, or a batch listing its events in `batched`
+	 * @param {{handled: boolean, failures: Object[]}} outcome - What its listeners did
+	 */
+	_settleOutcome(envelope, outcome) {
+		if (outcome.handled || outcome.failures.length === 0) {
+			return;
+		}
+		for (const original of envelope.batched || [envelope]) {
+			this._deadLetter(original, 'failed', outcome.failures, envelope.deferredTo);
+		}
+	}
+
+	/**
+	 * Store an event in the dead-letter queue and emit `rail.deadletter`
+	 *
+	 * `rail.*` events are never dead-lettered, so monitoring cannot feed itself. `rail.deadletter`
+	 * is emitted only when something listens for it.
+	 *
+	 * @private
+	 * @param {Object} envelope - Event that was not handled
+	 * @param {string} reason - 'unhandled' (no listener took it) or 'failed' (every listener failed)
+	 * @param {Array<{module: string, error: string}>} failures - Final error of each listener
+	 * @param {?string} [module=null] - Module whose deferred delivery failed, or null for the whole event
+	 */
+	_deadLetter(envelope, reason, failures, module = null) {
+		const { event, data, timestamp, async, redrives = 0 } = envelope;
+		if (this.deadLetters.capacity === 0 || event.startsWith('rail.')) {
+			return;
+		}
+
+		const entry = {
+			id: ++this.deadLetterIdCounter,
+			event,
+			data,
+			reason,
+			failures,
+			module,
+			async,
+			redrives,
+			emittedAt: timestamp,
+			timestamp: Date.now(),
+		};
+		this.deadLetters.push(entry);
+
+		if (this.debug) {
+			console.warn(`📭 [${this.name}] Dead-lettered '${event}' (${reason})`);
+		}
+
+		// Only when monitored, so unlistened events do not double the history
+		if (this._getListeners('rail.deadletter').length > 0) {
+			this._emitSystem('rail.deadletter', entry);
+		}
+	}
+
+	/**
+	 * Resolve as soon as enough handlers have finished
+	 *
+	 * @private
+	 * @param {Array<Promise<?Object>>} pending - Result promises from _runAsyncListener
+	 * @param {number} count - Finished handlers to wait for
+	 * @param {boolean} countFailures - Whether failed handlers count towards `count`
+	 * @returns {Promise<Object[]>} The first `count` qualifying results in finishing order, or
+	 *          every result if fewer qualify
+	 */
+	_firstResults(pending, count, countFailures) {
+		return new Promise((resolve) => {
+			const accepted = [];
+			const failed = [];
+			let remaining = pending.length;
+
+			if (remaining === 0) {
+				resolve([]);
+				return;
+			}
+
+			for (const promise of pending) {
+				promise.then((result) => {
+					remaining--;
+					if (result) {
+						(result.error === null || countFailures ? accepted : failed).push(result);
+					}
+
+					if (accepted.length === count) {
+						resolve(accepted.slice());
+					} else if (remaining === 0) {
+						resolve([...accepted, ...failed]);
+					}
+				});
+			}
+		});
+	}
+
+	/**
+	 * Report a handler that outlived its timeout
+	 *
+	 * @private
+	 * @param {Object} listener - Listener record
+	 * @param {string} event - Event being handled
+	 * @param {Error} error - Timeout error from _settleWithin
+	 * @param {number} timestamp - Emission time
+	 * @param {Object} [extra={}] - Additional fields such as `attempts`
+	 * @returns {{module: string, result: null, error: string, timedOut: boolean, details: Object}} Result entry
+	 */
+	_reportTimeout(listener, event, error, timestamp, extra = {}) {
+		const { module } = listener;
+		const timeout = listener.timeout !== null ? listener.timeout : this.handlerTimeout;
+
+		console.error(
+			`⏱️  [${this.name}] Module '${module}' did not finish async '${event}' within ${timeout}ms`
+		);
+
+		const { details } = this._raiseError(listener, event, error, timestamp, {
+			error: 'timeout',
+			timedOut: true,
+			...extra,
+		});
+
+		return { module, result: null, error: 'timeout', timedOut: true, details, ...extra };
+	}
+
+	/**
+	 * Set the retry policy for every handler of an event
+	 *
+	 * Applies to listeners registered without their own `retry` option. Each retry emits
+	 * `rail.retry` with `{ module, event, attempt, attempts, delay, error }`, and results
+	 * from `emitAsync` report how many `attempts` were made.
+	 *
+	 * @param {string} event - Exact event name
+	 * @param {number|Object|null} policy - Number of attempts, `{ attempts, delay, factor, maxDelay,
+	 *   jitter, retryIf }`, or null to remove the policy
+	 * @returns {Rail} This rail, for chaining
+	 *
+	 * @throws {Error} If the policy is invalid
+	 *
+	 * @example
+	 * rail.setRetryPolicy('payment.charge', {
+	 *   attempts: 5,
+	 *   delay: 250,
+	 *   retryIf: (error) => error.code === 'ECONNRESET',
+	 * });
+	 * const [charge] = await rail.emitAsync('payment.charge', order);
+	 * console.log(`charged after ${charge.attempts} attempts`);
+	 */
+	setRetryPolicy(event, policy) {
+		const normalized = this._normalizeRetry(policy);
+		if (normalized) {
+			this.retryPolicies.set(event, normalized);
+		} else {
+			this.retryPolicies.delete(event);
+		}
+		return this;
+	}
+
+	/**
+	 * Add a middleware to the emit pipeline
+	 *
+	 * Every `emit` and `emitAsync` passes an envelope `{ event, data, timestamp, async }`
+	 * through the middleware in the order they were added. Each middleware receives
+	 * `(envelope, next)` and may:
+	 * - call `next()` to continue, or `next(newEnvelope)` to continue with a transformed event
+	 * - not call `next` at all to block the event
+	 * - call `next` later to delay it (`emit` then reports 0 handlers; with `emitAsync`,
+	 *   return or await the promise from `next`)
+	 *
+	 * `next()` returns what the rest of the pipeline returns: the handler count for `emit`,
+	 * or a promise of the results for `emitAsync`. Errors thrown by middleware propagate
+	 * to the caller of `emit`/`emitAsync`.
+	 *
+	 * @param {function} middleware - Function `(envelope, next) => *`
+	 * @returns {function} Function that removes the middleware from the pipeline
+	 *
+	 * @throws {Error} If middleware is not a function
+	 *
+	 * @example
+	 * // Enrich every event
+	 * rail.use((envelope, next) => next({
+	 *   ...envelope,
+	 *   data: { ...envelope.data, traceId: currentTraceId() },
+	 * }));
+	 *
+	 * @example
+	 * // Block events and remove the middleware later
+	 * const remove = rail.use((envelope, next) => {
+	 *   if (envelope.event.startsWith('debug.')) return;
+	 *   return next();
+	 * });
+	 * remove();
+	 *
+	 * @example
+	 * // Delay async emission
+	 * rail.use(async (envelope, next) => {
+	 *   await rateLimiter.acquire();
+	 *   return next();
+	 * });
+	 */
+	use(middleware) {
+		if (typeof middleware !== 'function') {
+			throw new Error('Middleware must be a function');
+		}
+
+		// Wrap so the same function can be added twice and removed independently
+		const entry = { middleware };
+		this.middleware = [...this.middleware, entry];
+
+		if (this.debug) {
+			console.log(`🧩 [${this.name}] Added middleware (${this.middleware.length} total)`);
+		}
+
+		return () => {
+			const before = this.middleware.length;
+			this.middleware = this.middleware.filter((m) => m !== entry);
+			return this.middleware.length !== before;
+		};
+	}
+
+	/**
+	 * Pass an envelope through the middleware pipeline
+	 *
+	 * @private
+	 * @param {Object} envelope - Event envelope
+	 * @param {function} dispatch - Called with the final envelope once every middleware called next
+	 * @returns {*} Whatever the first middleware returns
+	 */
+	_runMiddleware(envelope, dispatch) {
+		const stack = this.middleware;
+
+		const run = (index, current) => {
+			if (index === stack.length) {
+				return dispatch(current);
+			}
+
+			let called = false;
+			return stack[index].middleware(current, (next = current) => {
+				if (called) {
+					throw new Error('next() called multiple times');
+				}
+				called = true;
+				return run(index + 1, next);
+			});
+		};
+
+		return run(0, envelope);
+	}
+
+	/**
+	 * Register a payload schema for an event
+	 *
+	 * Every `emit`/`emitAsync` of the event is validated after middleware and before any
+	 * listener runs. A failing payload emits `rail.validation.failed` with
+	 * `{ event, errors, mode }`, is counted in `getStats().validationFailures`, and is then
+	 * dropped (`'reject'`) or delivered anyway (`'report'`). Defining an event again
+	 * replaces its schema.
+	 *
+	 * @param {string} event - Exact event name
+	 * @param {Object} schema - JSON-Schema-style schema (`type`, `properties`, `required`,
+	 *   `additionalProperties`, `items`, `enum`, `const`, `minimum`, `maximum`, `minLength`,
+	 *   `maxLength`, `pattern`, `minItems`, `maxItems`)
+	 * @param {Object} [options={}] - Validation options
+	 * @param {string} [options.mode] - 'reject' or 'report' (default: the Rail's `validation` option)
+	 * @returns {Rail} Returns this for method chaining
+	 *
+	 * @throws {Error} If schema is not an object or mode is unknown
+	 *
+	 * @example
+	 * rail.defineEvent('user.login', {
+	 *   type: 'object',
+	 *   required: ['email', 'password'],
+	 *   properties: {
+	 *     email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+	 *     password: { type: 'string', minLength: 6 },
+	 *   },
+	 * });
+	 *
+	 * rail.emit('user.login', { email: 'nope' }); // 0 - rejected, rail.validation.failed emitted
+	 */
+	defineEvent(event, schema, options = {}) {
+		if (!schema || typeof schema !== 'object') {
+			throw new Error('Event schema must be an object');
+		}
+
+		const mode = options.mode || null;
+		if (mode !== null) {
+			this._checkValidationMode(mode);
+		}
+
+		this.schemas.set(event, { schema, mode });
+
+		if (this.debug) {
+			console.log(`📐 [${this.name}] Defined schema for '${event}'`);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Validate data against the schema registered for an event
+	 *
+	 * @param {string} event - Event name
+	 * @param {*} data - Payload to check
+	 * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+	 *          Validation result (always valid when the event has no schema)
+	 *
+	 * @example
+	 * const { valid, errors } = rail.validate('user.login', form);
+	 * if (!valid) showErrors(errors.map((e) => e.message));
+	 */
+	validate(event, data) {
+		const definition = this.schemas.get(event);
+		const errors = definition
+			? validateSchema(definition.schema, data, 'data', [])
+			: [];
+		return { valid: errors.length === 0, errors };
+	}
+
+	/**
+	 * Validate a payload before dispatch and report failures
+	 *
+	 * @private
+	 * @param {string} event - Event name
+	 * @param {*} data - Payload
+	 * @returns {boolean} True if the event should be delivered
+	 */
+	_checkPayload(event, data) {
+		// Never validate the failure report itself, so it cannot recurse
+		if (this.schemas.size === 0 || event === 'rail.validation.failed') {
+			return true;
+		}
+
+		const definition = this.schemas.get(event);
+		if (!definition) {
+			return true;
+		}
+
+		const { valid, errors } = this.validate(event, data);
+		if (valid) {
+			return true;
+		}
+
+		const mode = definition.mode || this.validationMode;
+		this.validationFailures++;
+
+		if (this.debug) {
+			console.warn(
+				`⚠️  [${this.name}] Invalid payload for '${event}' (${mode}):`,
+				errors.map((e) => e.message).join('; ')
+			);
+		}
+
+		this._emitSystem('rail.validation.failed', { event, errors, mode });
+		return mode === 'report';
+	}
+
+	/**
+	 * Validate a validation mode
+	 *
+	 * @private
+	 * @param {string} mode - Validation mode
+	 * @throws {Error} If mode is not supported
+	 */
+	_checkValidationMode(mode) {
+		if (mode !== 'reject' && mode !== 'report') {
+			throw new Error(
+				`Unknown validation mode '${mode}' (expected 'reject' or 'report')`
+			);
+		}
+	}
+
+	/**
+	 * Validate a history or dead-letter capacity
+	 *
+	 * @private
+	 * @param {string} option - Constructor option name
+	 * @param {number} size - Capacity (0 disables the buffer, Infinity keeps everything)
+	 * @throws {Error} If size is not a non-negative number
+	 */
+	_checkBufferSize(option, size) {
+		if (typeof size !== 'number' || Number.isNaN(size) || size < 0) {
+			throw new Error(`${option} must be a non-negative number (0 disables it, Infinity keeps everything)`);
+		}
+	}
+
+	/**
+	 * Attach a module to the Rail instance
+	 *
+	 * Modules are objects with a `name` property and optional `connect` and `disconnect` methods.
+	 * The `connect` method is called immediately and receives the module's context: a view of
+	 * the Rail (`on`, `once`, `off`, `emit`, `emitAsync`, `request`, `respond`, `waitFor`, `use`,
+	 * `defineEvent`) whose listeners, responders and middleware belong to the module without
+	 * passing its name. The context is revoked when the module is detached; `context.rail`
+	 * gives the Rail itself.
+	 *
+	 * @param {Object} module - Module object to attach
+	 * @param {string} module.name - Unique name for the module
+	 * @param {function} [module.connect] - Called when module is attached, receives the module context
+	 * @param {function} [module.disconnect] - Called when module is detached, receives the same context
+	 * @param {string[]} [module.requires] - Modules that must already be attached
+	 * @param {string[]} [module.optional] - Modules used when present; `attachAll()` attaches them first
+	 * @param {string[]} [module.emits] - Events (or patterns) the module may emit; unrestricted if omitted
+	 * @param {string[]} [module.listens] - Events (or patterns) the module may listen to; unrestricted if omitted
+	 * @returns {Rail} Returns this for method chaining
+	 *
+	 * @throws {Error} If module is invalid, missing name, already attached, or a required
+	 *   module is not attached
+	 *
+	 * @example
+	 * // Basic module
+	 * const logger = {
+	 *   name: 'logger',
+	 *   connect(rail) {
+	 *     rail.on('*', (data) => console.log(data));
+	 *   }
+	 * };
+	 * rail.attach(logger);
+	 *
+	 * @example
+	 * // Module with state
+	 * const analytics = {
+	 *   name: 'analytics',
+	 *   events: [],
+	 *   connect(rail) {
+	 *     rail.on('user.action', (data) => {
+	 *       this.events.push(data);
+	 *     });
+	 *   },
+	 *   disconnect() {
+	 *     console.log('Total events:', this.events.length);
+	 *   }
+	 * };
+	 * rail.attach(analytics);
+	 *
+	 * @example
+	 * // Method chaining
+	 * rail.attach(module1).attach(module2).attach(module3);
+	 *
+	 * @example
+	 * // Module that depends on another
+	 * const email = {
+	 *   name: 'email',
+	 *   requires: ['auth'],
+	 *   connect(rail) {
+	 *     rail.on('auth.success', sendWelcome);
+	 *   }
+	 * };
+	 * rail.attach(auth).attach(email);
+	 *
+	 * @see {@link Rail#attachAll} to attach several modules in dependency order
+	 * @see {@link Rail#detach} to remove a module
+	 */
+	attach(module) {
+		const context = this._beginAttach(module);
+
+		// Call connect method if it exists
+		let pending = false;
+		if (typeof module.connect === 'function') {
+			try {
+				const result = this._runAs(module.name, () => module.connect(context));
+				pending = Boolean(result && typeof result.then === 'function');
+				if (pending) {
+					this._watchConnect(module.name, context, result);
+				}
+			} catch (error) {
+				this._rollbackAttach(module.name);
+				throw new Error(
+					`Failed to connect module '${module.name}': ${error.message}`
+				);
+			}
+		}
+
+		if (pending && this.debug) {
+			console.warn(
+				`⚠️  [${this.name}] connect() of '${module.name}' returned a promise; use attachAsync() to wait for it`
+			);
+		}
+
+		this._finishAttach(module.name, !pending);
+
+		return this; // For chaining
+	}
+
+	/**
+	 * Follow a connect promise that attach() could not wait for
+	 *
+	 * Unless the module has been detached since, a resolved connect emits `rail.module.ready`
+	 * and a rejected one rolls the module back and is reported through `rail.error`.
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 * @param {ModuleContext} context - Context connect was given
+	 * @param {Promise} result - Promise returned by connect
+	 */
+	_watchConnect(moduleName, context, result) {
+		result.then(
+			() => {
+				if (this.contexts.get(moduleName) === context) {
+					this._emitSystem('rail.module.ready', { moduleName });
+				}
+			},
+			(error) => {
+				if (this.contexts.get(moduleName) !== context) return; // detached meanwhile
+				console.error(`❌ [${this.name}] Failed to connect module '${moduleName}':`, error);
+				this._rollbackAttach(moduleName);
+				this._raiseError({ module: moduleName, id: null }, 'rail.module.attached', error, Date.now(), {});
+			}
+		);
+	}
+
+	/**
+	 * Attach a module and wait for its connect to finish
+	 *
+	 * `connect` may return a promise. The module is registered while it connects, so its
+	 * listeners are tagged as usual; if `connect` throws, rejects or exceeds the timeout,
+	 * everything it registered is removed again and the returned promise rejects. It also
+	 * rejects if the module is detached before `connect` finishes. `rail.module.ready` is
+	 * emitted once the module is live.
+	 *
+	 * @param {Object} module - Module object to attach (see {@link Rail#attach})
+	 * @param {Object} [options={}] - Attach options
+	 * @param {number} [options.timeout] - Milliseconds to wait for connect (default: the Rail's `moduleTimeout`)
+	 * @returns {Promise<Rail>} Resolves with this once the module is ready
+	 *
+	 * @example
+	 * const cache = {
+	 *   name: 'cache',
+	 *   async connect(rail) {
+	 *     this.entries = await loadCacheFile();
+	 *     rail.on('cache.get', (key) => this.entries[key]);
+	 *   }
+	 * };
+	 *
+	 * await rail.attachAsync(cache, { timeout: 2000 });
+	 */
+	async attachAsync(module, options = {}) {
+		const context = this._beginAttach(module);
+
+		if (typeof module.connect === 'function') {
+			try {
+				await this._settleWithin(
+					() => this._runAs(module.name, () => module.connect(context)),
+					options.timeout !== undefined ? options.timeout : this.moduleTimeout,
+					// A connect that finishes after timing out must not leave listeners behind
+					() => {
+						if (!this.modules.has(module.name)) {
+							this._removeModuleHandlers(module.name);
+						}
+					}
+				);
+			} catch (error) {
+				if (this.contexts.get(module.name) === context) {
+					this._rollbackAttach(module.name);
+				}
+				throw new Error(
+					`Failed to connect module '${module.name}': ${error.message}`
+				);
+			}
+		}
+
+		if (this.contexts.get(module.name) !== context) {
+			throw new Error(`Module '${module.name}' was detached while connecting`);
+		}
+
+		this._finishAttach(module.name, true);
+
+		return this;
+	}
+
+	/**
+	 * Check and register a module before its connect runs
+	 *
+	 * @private
+	 * @param {Object} module - Module object
+	 * @returns {ModuleContext} Context to pass to connect
+	 * @throws {Error} If module is invalid, already attached, or missing a requirement
+	 */
+	_beginAttach(module) {
+		this._checkModule(module);
+
+		if (this.modules.has(module.name)) {
+			throw new Error(`Module '${module.name}' is already attached`);
+		}
+
+		const missing = this._moduleDependencies(module).requires.filter(
+			(name) => !this.modules.has(name)
+		);
+		if (missing.length > 0) {
+			throw new Error(
+				`Module '${module.name}' requires ${missing
+					.map((name) => `'${name}'`)
+					.join(', ')}, which is not attached`
+			);
+		}
+
+		// Store module
+		const context = new ModuleContext(this, module.name);
+		this.modules.set(module.name, module);
+		this.contexts.set(module.name, context);
+
+		const circuit = this._circuitConfig(module);
+		if (circuit) {
+			this.circuits.set(module.name, new CircuitBreaker(circuit));
+		}
+		return context;
+	}
+
+	/**
+	 * Announce a connected module
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 * @param {boolean} ready - Whether connect has finished
+	 */
+	_finishAttach(moduleName, ready) {
+		if (this.debug) {
+			console.log(`🔗 [${this.name}] Attached module '${moduleName}'`);
+		}
+
+		// Emit module attached event
+		this._emitSystem('rail.module.attached', { moduleName });
+		if (ready) {
+			this._emitSystem('rail.module.ready', { moduleName });
+		}
+	}
+
+	/**
+	 * Undo a failed connect: drop the module and everything it registered
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 */
+	_rollbackAttach(moduleName) {
+		this.contexts.get(moduleName)._revoke();
+		this.contexts.delete(moduleName);
+		this._removeModuleHandlers(moduleName);
+		this.modules.delete(moduleName);
+		this.circuits.delete(moduleName);
+	}
+
+	/**
+	 * Remove a module's listeners, responders and scheduled emits
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 */
+	_removeModuleHandlers(moduleName) {
+		for (const schedule of Array.from(this.schedules.values())) {
+			if (schedule.module === moduleName) {
+				this._cancelSchedule(schedule.id);
+			}
+		}
+		for (const [event, listeners] of this.listeners) {
+			this._setListeners(
+				event,
+				listeners.filter((l) => l.module !== moduleName)
+			);
+		}
+		for (const [event, responder] of this.responders) {
+			if (responder.module === moduleName) {
+				this.responders.delete(event);
+			}
+		}
+	}
+
+	/**
+	 * Run a possibly asynchronous step with a time limit
+	 *
+	 * @private
+	 * @param {function} work - Step to run; may throw or return a promise
+	 * @param {number} timeout - Milliseconds to wait (0 or Infinity waits forever)
+	 * @param {function} [onLate] - Called if the step settles after timing out
+	 * @returns {Promise<*>} The step's result; rejects with an error flagged `timedOut` on timeout
+	 */
+	_settleWithin(work, timeout, onLate) {
+		const result = new Promise((resolve) => resolve(work()));
+		if (!(timeout > 0 && timeout !== Infinity)) {
+			return result;
+		}
+
+		return new Promise((resolve, reject) => {
+			let expired = false;
+			const timer = setTimeout(() => {
+				expired = true;
+				const error = new Error(`timed out after ${timeout}ms`);
+				error.timedOut = true;
+				reject(error);
+			}, timeout);
+
+			const settle = (fn) => (value) => {
+				if (expired) {
+					if (onLate) onLate();
+					return;
+				}
+				clearTimeout(timer);
+				fn(value);
+			};
+			result.then(settle(resolve), settle(reject));
+		});
+	}
+
+	/**
+	 * Attach several modules, dependencies first
+	 *
+	 * Modules are ordered so that each one's `requires` and `optional` modules from the list
+	 * are attached before it; otherwise the list order is kept. Everything is checked before
+	 * anything is attached, and if a `connect` fails the modules attached by this call are
+	 * detached again.
+	 *
+	 * @param {Object[]} modules - Modules to attach
+	 * @returns {Rail} Returns this for method chaining
+	 *
+	 * @throws {Error} If a module is invalid or already attached, a required module is
+	 *   neither attached nor in the list, or the dependencies form a cycle
+	 *
+	 * @example
+	 * rail.attachAll([emailModule, loggerModule, authModule, databaseModule]);
+	 * // database, auth, email, logger (auth requires database, email requires auth)
+	 */
+	attachAll(modules) {
+		if (!Array.isArray(modules)) {
+			throw new Error('attachAll() expects an array of modules');
+		}
+
+		const pending = new Map();
+		for (const module of modules) {
+			this._checkModule(module);
+			if (this.modules.has(module.name) || pending.has(module.name)) {
+				throw new Error(`Module '${module.name}' is already attached`);
+			}
+			pending.set(module.name, module);
+		}
+
+		// Depth-first topological sort: a module is pushed after everything it depends on
+		const order = [];
+		const done = new Set();
+		const visiting = new Set();
+		const visit = (name, path) => {
+			if (done.has(name)) return;
+			if (visiting.has(name)) {
+				throw new Error(
+					`Circular module dependency: ${[...path, name].join(' -> ')}`
+				);
+			}
+
+			const module = pending.get(name);
+			const { requires, optional } = this._moduleDependencies(module);
+			visiting.add(name);
+
+			for (const dependency of requires) {
+				if (pending.has(dependency)) {
+					visit(dependency, [...path, name]);
+				} else if (!this.modules.has(dependency)) {
+					throw new Error(
+						`Module '${name}' requires '${dependency}', which is not attached`
+					);
+				}
+			}
+			for (const dependency of optional) {
+				// An optional dependency only orders modules; it never closes a cycle
+				if (pending.has(dependency) && !visiting.has(dependency)) {
+					visit(dependency, [...path, name]);
+				}
+			}
+
+			visiting.delete(name);
+			done.add(name);
+			order.push(module);
+		};
+		for (const name of pending.keys()) {
+			visit(name, []);
+		}
+
+		const attached = [];
+		try {
+			for (const module of order) {
+				this.attach(module);
+				attached.push(module.name);
+			}
+		} catch (error) {
+			for (const name of attached.reverse()) {
+				this.detach(name, { force: true });
+			}
+			throw error;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Validate the shape shared by every module
+	 *
+	 * @private
+	 * @param {*} module - Candidate module
+	 * @throws {Error} If module is not an object with a string name
+	 */
+	_checkModule(module) {
+		if (!module || typeof module !== 'object') {
+			throw new Error('Module must be an object');
+		}
+
+		if (!module.name || typeof module.name !== 'string') {
+			throw new Error('Module must have a name property');
+		}
+
+		this._moduleDependencies(module);
+		this._circuitConfig(module);
+
+		for (const key of ['emits', 'listens']) {
+			const events = module[key];
+			if (
+				events !== undefined &&
+				(!Array.isArray(events) || events.some((e) => typeof e !== 'string'))
+			) {
+				throw new Error(
+					`Module '${module.name}' ${key} must be an array of event names`
+				);
+			}
+		}
+	}
+
+	/**
+	 * Read a module's dependency declarations
+	 *
+	 * @private
+	 * @param {Object} module - Module object
+	 * @returns {{requires: string[], optional: string[]}} Declared dependencies
+	 * @throws {Error} If requires or optional is not an array of names
+	 */
+	_moduleDependencies(module) {
+		const { requires = [], optional = [] } = module;
+
+		for (const [key, names] of [
+			['requires', requires],
+			['optional', optional],
+		]) {
+			if (!Array.isArray(names) || names.some((n) => typeof n !== 'string')) {
+				throw new Error(
+					`Module '${module.name}' ${key} must be an array of module names`
+				);
+			}
+		}
+
+		return { requires, optional };
+	}
+
+	/**
+	 * Names of attached modules that require a module
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 * @returns {string[]} Dependent module names
+	 */
+	_dependentsOf(moduleName) {
+		const dependents = [];
+		for (const module of this.modules.values()) {
+			if (this._moduleDependencies(module).requires.includes(moduleName)) {
+				dependents.push(module.name);
+			}
+		}
+		return dependents;
+	}
+
+	/**
+	 * Check that the active module may emit an event
+	 *
+	 * @private
+	 * @param {string} event - Event name
+	 * @returns {boolean} True if the emit should go ahead
+	 */
+	_mayEmit(event) {
+		return this.activeModule === null || this._checkPermission(this.activeModule, 'emit', event);
+	}
+
+	/**
+	 * Check that a module may subscribe to an event or pattern
+	 *
+	 * @private
+	 * @param {string} moduleName - Module registering the listener
+	 * @param {string} event - Event name or pattern
+	 * @returns {boolean} True if the listener should be registered
+	 */
+	_mayListen(moduleName, event) {
+		return this._checkPermission(moduleName, 'listen', event);
+	}
+
+	/**
+	 * Compare an action with the module's `emits`/`listens` declaration and report violations
+	 *
+	 * Modules that are not attached or did not declare the list are unrestricted.
+	 *
+	 * @private
+	 * @param {string} moduleName - Module performing the action
+	 * @param {string} action - 'emit' or 'listen'
+	 * @param {string} event - Event name or pattern
+	 * @returns {boolean} True if the action is allowed (always true in 'audit' mode)
+	 */
+	_checkPermission(moduleName, action, event) {
+		const module = this.modules.get(moduleName);
+		const declared = module && module[action === 'emit' ? 'emits' : 'listens'];
+		if (!declared || declared.some((pattern) => patternCovers(pattern, event))) {
+			return true;
+		}
+
+		const mode = this.permissionMode;
+		this.permissionDenials++;
+
+		if (this.debug) {
+			console.warn(
+				`🚫 [${this.name}] Module '${moduleName}' may not ${action} '${event}' (${mode})`
+			);
+		}
+
+		this._emitSystem('rail.permission.denied', {
+			module: moduleName,
+			action,
+			event,
+			mode,
+		});
+
+		return mode === 'audit';
+	}
+
+	/**
+	 * Validate a permissions mode
+	 *
+	 * @private
+	 * @param {string} mode - Mode to check
+	 * @throws {Error} If mode is not 'enforce' or 'audit'
+	 */
+	_checkPermissionMode(mode) {
+		if (mode !== 'enforce' && mode !== 'audit') {
+			throw new Error(
+				`Unknown permissions mode '${mode}' (expected 'enforce' or 'audit')`
+			);
+		}
+	}
+
+	/**
+	 * Resolve a module's circuit breaker settings
+	 *
+	 * @private
+	 * @param {Object} module - Module object
+	 * @returns {?Object} Normalized settings, or null if the module has no breaker
+	 * @throws {Error} If the module's circuitBreaker is invalid
+	 */
+	_circuitConfig(module) {
+		const own = module.circuitBreaker;
+		if (own === undefined) return this.circuitBreaker;
+		if (own === false) return null;
+		if (own === true) return this.circuitBreaker || this._normalizeCircuit(true);
+		if (own === null || typeof own !== 'object') {
+			throw new Error(`Module '${module.name}' circuitBreaker must be a boolean or an object`);
+		}
+		return this._normalizeCircuit({ ...this.circuitBreaker, ...own });
+	}
+
+	/**
+	 * Validate and complete circuit breaker settings
+	 *
+	 * @private
+	 * @param {boolean|Object} [settings] - true for the defaults, an object, or false/undefined for none
+	 * @returns {?{threshold: number, minCalls: number, window: number, cooldown: number}} Settings or null
+	 * @throws {Error} If a field is invalid
+	 */
+	_normalizeCircuit(settings) {
+		if (settings === undefined || settings === null || settings === false) {
+			return null;
+		}
+
+		const { threshold = 0.5, minCalls = 5, window = 20, cooldown = 30000 } =
+			settings === true ? {} : settings;
+
+		if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 1)) {
+			throw new Error('Circuit breaker threshold must be greater than 0 and at most 1');
+		}
+		if (!Number.isInteger(minCalls) || minCalls < 1) {
+			throw new Error('Circuit breaker minCalls must be a positive integer');
+		}
+		if (!Number.isInteger(window) || window < minCalls) {
+			throw new Error('Circuit breaker window must be an integer of at least minCalls');
+		}
+		if (typeof cooldown !== 'number' || !(cooldown >= 0)) {
+			throw new Error('Circuit breaker cooldown must be a non-negative number');
+		}
+
+		return { threshold, minCalls, window, cooldown };
+	}
+
+	/**
+	 * Count a handler outcome against its module's circuit and announce state changes
+	 *
+	 * @private
+	 * @param {string} moduleName - Module whose handler finished
+	 * @param {boolean} ok - Whether it succeeded
+	 */
+	_recordCall(moduleName, ok) {
+		const circuit = this.circuits.get(moduleName);
+		if (!circuit) return;
+
+		const change = circuit.record(ok, this.clock.now());
+		if (change === 'opened') {
+			if (this.debug) {
+				console.warn(
+					`🔌 [${this.name}] Circuit for module '${moduleName}' opened; skipping its handlers for ${circuit.config.cooldown}ms`
+				);
+			}
+			this._emitSystem('rail.circuit.opened', {
+				module: moduleName,
+				failures: circuit.failures,
+				calls: circuit.results.length,
+				cooldown: circuit.config.cooldown,
+			});
+		} else if (change === 'closed') {
+			if (this.debug) {
+				console.log(`🔌 [${this.name}] Circuit for module '${moduleName}' closed`);
+			}
+			this._emitSystem('rail.circuit.closed', { module: moduleName });
+		}
+	}
+
+	/**
+	 * Detach a module from the Rail instance
+	 *
+	 * Removes the module and all its event listeners. Calls the module's `disconnect` method if present.
+	 * A module that other attached modules list in `requires` stays attached unless `force` is set.
+	 *
+	 * @param {string} moduleName - Name of the module to detach
+	 * @param {Object} [options={}] - Detach options
+	 * @param {boolean} [options.force=false] - Detach even though dependents still require it
+	 * @returns {boolean} True if module was found and detached, false if module wasn't attached
+	 *
+	 * @throws {Error} If attached modules require this one and force is not set
+	 *
+	 * @example
+	 * // Detach a module
+	 * rail.detach('analytics');
+	 *
+	 * @example
+	 * // Hot-swap modules at runtime
+	 * if (rail.detach('old-logger')) {
+	 *   rail.attach(newLogger);
+	 * }
+	 *
+	 * @example
+	 * // Check if detach succeeded
+	 * const removed = rail.detach('optional-module');
+	 * if (removed) {
+	 *   console.log('Module removed');
+	 * }
+	 *
+	 * @example
+	 * // Detach a dependency anyway; rail.module.detached lists who is now broken
+	 * rail.detach('auth', { force: true });
+	 *
+	 * @see {@link Rail#attach} to add a module
+	 */
+	detach(moduleName, options = {}) {
+		const detaching = this._beginDetach(moduleName, options);
+		if (!detaching) {
+			return false;
+		}
+		const { module, context, dependents } = detaching;
+
+		// Call disconnect method if it exists
+		if (typeof module.disconnect === 'function') {
+			try {
+				this._runAs(moduleName, () => module.disconnect(context));
+			} catch (error) {
+				console.error(
+					`❌ [${this.name}] Error disconnecting module '${moduleName}':`,
+					error
+				);
+			}
+		}
+
+		this._finishDetach(moduleName, dependents);
+
+		return true;
+	}
+
+	/**
+	 * Detach a module and wait for its disconnect to finish
+	 *
+	 * Listeners are removed straight away; the module stays listed in `getModules()` until
+	 * `disconnect` resolves. A failing or slow disconnect is logged and the module is
+	 * detached anyway.
 	 *
-	 * @constructor
-	 * @param {Object} [options={}] - Configuration options
-	 * @param {string} [options.name='rail-app'] - Name of the Rail instance (for debugging)
-	 * @param {boolean} [options.debug=false] - Enable debug logging
-	 * @param {boolean} [options.clone=true] - Enable deep cloning of event data for module isolation
+	 * @param {string} moduleName - Name of the module to detach
+	 * @param {Object} [options={}] - Detach options
+	 * @param {boolean} [options.force=false] - Detach even though dependents still require it
+	 * @param {number} [options.timeout] - Milliseconds to wait for disconnect (default: the Rail's `moduleTimeout`)
+	 * @returns {Promise<boolean>} True if module was found and detached
+	 *
+	 * @throws {Error} If attached modules require this one and force is not set (as a rejection)
 	 *
 	 * @example
-	 * // Basic usage
-	 * const rail = new Rail();
+	 * await rail.detachAsync('cache'); // cache file flushed by disconnect()
+	 */
+	async detachAsync(moduleName, options = {}) {
+		const detaching = this._beginDetach(moduleName, options);
+		if (!detaching) {
+			return false;
+		}
+		const { module, context, dependents } = detaching;
+
+		if (typeof module.disconnect === 'function') {
+			try {
+				await this._settleWithin(
+					() => this._runAs(moduleName, () => module.disconnect(context)),
+					options.timeout !== undefined ? options.timeout : this.moduleTimeout
+				);
+			} catch (error) {
+				console.error(
+					`❌ [${this.name}] Error disconnecting module '${moduleName}':`,
+					error
+				);
+			}
+		}
+
+		this._finishDetach(moduleName, dependents);
+
+		return true;
+	}
+
+	/**
+	 * Check a detach and remove the module's handlers
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 * @param {Object} options - Detach options
+	 * @returns {?{module: Object, context: ModuleContext, dependents: string[]}} Null if the
+	 *   module is not attached
+	 * @throws {Error} If attached modules require this one and force is not set
+	 */
+	_beginDetach(moduleName, options) {
+		const module = this.modules.get(moduleName);
+		if (!module) {
+			if (this.debug) {
+				console.warn(
+					`⚠️  [${this.name}] Module '${moduleName}' not found`
+				);
+			}
+			return null;
+		}
+
+		const dependents = this._dependentsOf(moduleName);
+		if (dependents.length > 0) {
+			const names = dependents.map((name) => `'${name}'`).join(', ');
+			if (!options.force) {
+				throw new Error(
+					`Cannot detach '${moduleName}': required by ${names} (detach them first or pass { force: true })`
+				);
+			}
+			if (this.debug) {
+				console.warn(
+					`⚠️  [${this.name}] Force-detaching '${moduleName}'; ${names} will lose a required module`
+				);
+			}
+		}
+
+		// Remove all listeners for this module
+		this._removeModuleHandlers(moduleName);
+
+		return { module, context: this.contexts.get(moduleName), dependents };
+	}
+
+	/**
+	 * Forget a disconnected module and announce it
+	 *
+	 * @private
+	 * @param {string} moduleName - Module name
+	 * @param {string[]} dependents - Attached modules that required it
+	 */
+	_finishDetach(moduleName, dependents) {
+		// The context stayed live through disconnect, so drop anything registered meanwhile
+		this._removeModuleHandlers(moduleName);
+		this.contexts.get(moduleName)._revoke();
+		this.contexts.delete(moduleName);
+		this.modules.delete(moduleName);
+		this.circuits.delete(moduleName);
+
+		if (this.debug) {
+			console.log(`🔓 [${this.name}] Detached module '${moduleName}'`);
+		}
+
+		// Emit module detached event
+		this._emitSystem('rail.module.detached', { moduleName, dependents });
+	}
+
+	/**
+	 * Get list of attached module names
+	 *
+	 * @returns {string[]} Array of module names currently attached
 	 *
 	 * @example
-	 * // With configuration
-	 * const rail = new Rail({
-	 *   name: 'api-gateway',
-	 *   debug: process.env.NODE_ENV !== 'production',
-	 *   clone: true
-	 * });
+	 * const modules = rail.getModules();
+	 * console.log('Active modules:', modules);
+	 * // ['logger', 'analytics', 'cache']
+	 */
+	getModules() {
+		return Array.from(this.modules.keys());
+	}
+
+	/**
+	 * Get information about registered event listeners
+	 *
+	 * Module names are listed in the order their listeners are called, after priorities and
+	 * `before`/`after` constraints are applied.
+	 *
+	 * @returns {Object<string, string[]>} Object mapping event names to arrays of module names
 	 *
 	 * @example
-	 * // Performance mode (no cloning)
-	 * const fastRail = new Rail({ clone: false });
+	 * const events = rail.getEvents();
+	 * console.log(events);
+	 * // {
+	 * //   'user.login': ['auth', 'analytics'],
+	 * //   'data.saved': ['cache', 'logger']
+	 * // }
 	 */
-	constructor(options = {}) {
-		this.name = options.name || 'rail-app';
-		this.debug = options.debug || false;
-		this.clone = options.clone !== undefined ? options.clone : true; // Deep clone by default
-		this.listeners = new Map(); // event -> array of {callback, module, id}
-		this.modules = new Map(); // module name -> module instance
-		this.eventHistory = []; // For debugging and replay
-		this.listenerIdCounter = 0;
+	getEvents() {
+		const events = {};
+		for (const [event, listeners] of this.listeners) {
+			events[event] = this._resolveOrder(listeners).map((l) => l.module);
+		}
+		return events;
+	}
 
-		if (this.debug) {
-			console.log(`🚂 [${this.name}] Rail started in debug mode`);
-			if (!this.clone) {
-				console.warn(`⚠️  [${this.name}] Deep cloning is DISABLED - modules can contaminate each other's data`);
+	/**
+	 * Get the events each attached module has emitted through its context
+	 *
+	 * Only emits made with the context passed to `connect` are recorded; calls on the Rail
+	 * itself have no owner.
+	 *
+	 * @returns {Object<string, string[]>} Object mapping event names to emitting module names
+	 *
+	 * @example
+	 * rail.getEmitters();
+	 * // { 'auth.success': ['auth'], 'email.sent': ['email'] }
+	 */
+	getEmitters() {
+		const emitters = {};
+		for (const [moduleName, context] of this.contexts) {
+			for (const event of context.emitted) {
+				(emitters[event] || (emitters[event] = [])).push(moduleName);
 			}
 		}
+		return emitters;
 	}
 
 	/**
-	 * Register an event listener
+	 * Get the state of every module circuit breaker
 	 *
-	 * @param {string} event - Event name to listen for (e.g., 'user.login', 'data.updated')
-	 * @param {function} callback - Function to call when event is emitted. Receives event data as argument.
-	 * @param {string} [moduleName='anonymous'] - Name of the module registering the listener (for debugging)
-	 * @returns {function} Unsubscribe function - Call to remove this listener
+	 * @returns {Object<string, {state: string, failures: number, calls: number, openedAt: number|null}>}
+	 *          Object mapping module names to their circuit: 'closed', 'open' or 'half-open', with
+	 *          the failures among the recent calls counted by the breaker
 	 *
 	 * @example
-	 * // Basic listener
-	 * rail.on('user.created', (data) => {
-	 *   console.log('New user:', data.username);
-	 * }, 'user-module');
+	 * const rail = new Rail({ circuitBreaker: { threshold: 0.5, minCalls: 10, cooldown: 60000 } });
+	 * rail.on('rail.circuit.opened', ({ module }) => pager.alert(`${module} quarantined`), 'ops');
+	 *
+	 * rail.getCircuits();
+	 * // { 'flaky-plugin': { state: 'open', failures: 7, calls: 10, openedAt: 1700000000000 } }
+	 */
+	getCircuits() {
+		const circuits = {};
+		for (const [moduleName, circuit] of this.circuits) {
+			circuits[moduleName] = {
+				state: circuit.state,
+				failures: circuit.failures,
+				calls: circuit.results.length,
+				openedAt: circuit.openedAt,
+			};
+		}
+		return circuits;
+	}
+
+	/**
+	 * Close a module's circuit breaker and forget its recent failures
+	 *
+	 * @param {string} moduleName - Module name
+	 * @returns {boolean} True if the module has a circuit breaker
+	 */
+	resetCircuit(moduleName) {
+		const circuit = this.circuits.get(moduleName);
+		if (!circuit) return false;
+
+		const wasClosed = circuit.state === 'closed';
+		this.circuits.set(moduleName, new CircuitBreaker(circuit.config));
+		if (!wasClosed) {
+			this._emitSystem('rail.circuit.closed', { module: moduleName });
+		}
+		return true;
+	}
+
+	/**
+	 * Get recent event history for debugging
+	 *
+	 * @param {number} [limit=10] - Maximum number of recent events to return
+	 * @returns {Array<{event: string, data: *, timestamp: number, module: string|null}>} Array of recent events
 	 *
 	 * @example
-	 * // Unsubscribe pattern
-	 * const unsubscribe = rail.on('event', handler, 'module');
-	 * unsubscribe(); // Remove listener
+	 * // Get last 5 events
+	 * const recent = rail.getHistory(5);
+	 * recent.forEach(({ event, data, timestamp }) => {
+	 *   console.log(`${new Date(timestamp).toISOString()} - ${event}:`, data);
+	 * });
+	 */
+	getHistory(limit = 10) {
+		return this.eventHistory.toArray().slice(-limit);
+	}
+
+	/**
+	 * Search the event history
+	 *
+	 * All criteria are optional and combined with AND. Results are in emission order;
+	 * `limit` keeps the most recent matches.
+	 *
+	 * @param {Object} [query={}] - Search criteria
+	 * @param {string} [query.event] - Exact event name
+	 * @param {string} [query.pattern] - Wildcard pattern such as 'user.*' or 'auth.**'
+	 * @param {number|Date} [query.since] - Only entries at or after this time
+	 * @param {number|Date} [query.until] - Only entries at or before this time
+	 * @param {string} [query.module] - Only entries emitted while this module's handler or connect() was running
+	 * @param {number} [query.limit] - Maximum number of entries to return
+	 * @returns {Array<{event: string, data: *, timestamp: number, module: string|null}>} Matching entries
 	 *
 	 * @example
-	 * // Async handler (use emitAsync to get results)
-	 * rail.on('process.data', async (data) => {
-	 *   const result = await someAsyncOperation(data);
-	 *   return result;
-	 * }, 'processor');
+	 * // Failed logins in the last minute
+	 * const failures = rail.queryHistory({
+	 *   event: 'auth.failed',
+	 *   since: Date.now() - 60000,
+	 * });
 	 *
-	 * @throws {Error} If callback is not a function
+	 * @example
+	 * // Last 20 events the auth module emitted
+	 * rail.queryHistory({ pattern: 'auth.**', module: 'auth', limit: 20 });
 	 */
-	on(event, callback, moduleName = 'anonymous') {
-		if (typeof callback !== 'function') {
-			throw new Error('Callback must be a function');
+	queryHistory(query = {}) {
+		const { event, pattern, since, until, module, limit } = query;
+
+		let matcher = null;
+		if (pattern !== undefined) {
+			matcher = new PatternTrie();
+			matcher.add(pattern);
 		}
 
-		if (!this.listeners.has(event)) {
-			this.listeners.set(event, []);
+		const from = since !== undefined ? Number(since) : -Infinity;
+		const to = until !== undefined ? Number(until) : Infinity;
+
+		const matches = this.eventHistory.toArray().filter(
+			(entry) =>
+				(event === undefined || entry.event === event) &&
+				(matcher === null || matcher.match(entry.event).size > 0) &&
+				entry.timestamp >= from &&
+				entry.timestamp <= to &&
+				(module === undefined || entry.module === module)
+		);
+
+		return limit !== undefined ? matches.slice(-limit) : matches;
+	}
+
+	/**
+	 * Run a function with a module marked as the active emitter
+	 *
+	 * Events emitted synchronously inside `fn` are attributed to the module in history.
+	 *
+	 * @private
+	 * @param {string} moduleName - Module that owns the code being run
+	 * @param {function} fn - Code to run
+	 * @returns {*} Whatever `fn` returns
+	 */
+	_runAs(moduleName, fn) {
+		const previous = this.activeModule;
+		this.activeModule = moduleName;
+		try {
+			return fn();
+		} finally {
+			this.activeModule = previous;
 		}
+	}
 
-		const listenerId = ++this.listenerIdCounter;
-		this.listeners.get(event).push({
-			callback,
-			module: moduleName,
-			id: listenerId,
-		});
+	/**
+	 * Re-emit recorded events
+	 *
+	 * Accepts entries from `getHistory()`/`queryHistory()` or a persisted log (for example
+	 * the same entries after a JSON round trip, with `timestamp` as a number or ISO string).
+	 * Entries are emitted in array order. Handlers see `info.replay === true` so they can
+	 * rebuild state while skipping side effects such as sending emails.
+	 *
+	 * @param {Array<{event: string, data: *, timestamp: number|string}>} entries - Events to replay
+	 * @param {Object} [options={}] - Replay options
+	 * @param {number} [options.speed=0] - 0 replays immediately; 1 keeps the original gaps between
+	 *   events, 2 replays twice as fast, and so on
+	 * @param {function} [options.filter] - Predicate `(entry) => boolean` choosing entries to replay
+	 * @param {Rail} [options.target=this] - Rail instance to emit into
+	 * @returns {Promise<{replayed: number, skipped: number}>} Resolves once every entry was emitted
+	 *
+	 * @throws {Error} Rejects if entries is not an array or speed is not a non-negative number
+	 *
+	 * @example
+	 * // Rebuild a fresh instance from a saved log
+	 * const log = JSON.parse(fs.readFileSync('events.json', 'utf-8'));
+	 * const fresh = new Rail();
+	 * fresh.attach(databaseModule);
+	 * await rail.replay(log, { target: fresh, filter: (e) => e.event.startsWith('auth.') });
+	 *
+	 * @example
+	 * // Re-run the last minute in real time
+	 * await rail.replay(rail.queryHistory({ since: Date.now() - 60000 }), { speed: 1 });
+	 */
+	async replay(entries, options = {}) {
+		const { speed = 0, filter = null, target = this } = options;
+
+		if (!Array.isArray(entries)) {
+			throw new Error('Replay entries must be an array');
+		}
+
+		if (typeof speed !== 'number' || !(speed >= 0)) {
+			throw new Error('Replay speed must be a non-negative number');
+		}
+
+		let replayed = 0;
+		let previous = null;
+
+		for (const entry of entries) {
+			if (filter && !filter(entry)) continue;
+
+			const timestamp = new Date(entry.timestamp).getTime();
+			if (speed > 0 && previous !== null && timestamp > previous) {
+				await new Promise((resolve) =>
+					setTimeout(resolve, (timestamp - previous) / speed)
+				);
+			}
+			if (!Number.isNaN(timestamp)) {
+				previous = timestamp;
+			}
+
+			target._emit(entry.event, entry.data, { replay: true });
+			replayed++;
+		}
 
 		if (this.debug) {
-			console.log(
-				`📡 [${this.name}] ${moduleName} listening for '${event}'`
-			);
+			console.log(`⏪ [${this.name}] Replayed ${replayed} of ${entries.length} events`);
+		}
+
+		return { replayed, skipped: entries.length - replayed };
+	}
+
+	/**
+	 * Add an emitted event to history
+	 *
+	 * @private
+	 * @param {string} event - Event name
+	 * @param {*} data - Event data
+	 * @param {number} timestamp - Emission time
+	 */
+	_record(event, data, timestamp, scheduleId) {
+		this.eventsEmitted++;
+		const entry = {
+			event,
+			data,
+			timestamp,
+			module: this.activeModule,
+		};
+		if (scheduleId !== undefined) {
+			entry.scheduleId = scheduleId;
+		}
+		this.eventHistory.push(entry);
+	}
+
+	/**
+	 * Clear the event history
+	 *
+	 * Useful to free memory in long-running applications or reset debugging state.
+	 *
+	 * @example
+	 * rail.clearHistory();
+	 */
+	clearHistory() {
+		this.eventHistory.clear();
+	}
+
+	/**
+	 * Wait for background work started by `emit()` to finish
+	 *
+	 * Covers promises returned by async handlers and retries of failed handlers, including work
+	 * started while draining. Requires the `trackInFlight` option; without it there is nothing
+	 * to wait for and the promise resolves at once.
+	 *
+	 * @param {number} [timeout=0] - Milliseconds to wait before rejecting (0 waits forever)
+	 * @returns {Promise<void>} Resolves when no work is in flight
+	 *
+	 * @throws {Error} Rejects if the work does not finish within the timeout
+	 *
+	 * @example
+	 * // Graceful shutdown
+	 * const rail = new Rail({ trackInFlight: true });
+	 * process.on('SIGTERM', async () => {
+	 *   await rail.drain(5000);
+	 *   process.exit(0);
+	 * });
+	 */
+	drain(timeout = 0) {
+		return this._settleWithin(async () => {
+			while (this.inFlight.size > 0) {
+				await Promise.all(this.inFlight);
+			}
+		}, timeout);
+	}
+
+	/**
+	 * Deliver the pending events of batched listeners now
+	 *
+	 * @param {string} [moduleName] - Only flush this module's listeners
+	 * @returns {number} Number of batches delivered
+	 *
+	 * @example
+	 * rail.on('metrics.sample', (samples) => upload(samples), { module: 'metrics', batch: 500 });
+	 * window.addEventListener('pagehide', () => rail.flush('metrics'));
+	 */
+	flush(moduleName) {
+		const batchers = [];
+		for (const listeners of this.listeners.values()) {
+			for (const listener of listeners) {
+				if (listener.batcher && (moduleName === undefined || listener.module === moduleName)) {
+					batchers.push(listener.batcher);
+				}
+			}
+		}
+		return batchers.filter((batcher) => batcher.flush()).length;
+	}
+
+	/**
+	 * Detach every module, deliver pending batches and wait for background work
+	 *
+	 * Modules are detached in reverse attach order, dependents first, each with `detachAsync`
+	 * (so their batched listeners are flushed, their scheduled emits cancelled and `disconnect`
+	 * awaited). Remaining scheduled emits are then cancelled, batches of listeners that belong
+	 * to no module are flushed, and in-flight work is drained.
+	 *
+	 * @param {Object} [options={}] - Shutdown options
+	 * @param {number} [options.timeout] - Milliseconds to wait for each `disconnect` (default: the
+	 *   Rail's `moduleTimeout`) and for in-flight work (default: forever)
+	 * @returns {Promise<void>} Resolves when everything has been delivered
+	 *
+	 * @throws {Error} Rejects if in-flight work does not finish within the timeout
+	 *
+	 * @example
+	 * process.on('SIGTERM', async () => {
+	 *   await rail.shutdown({ timeout: 5000 });
+	 *   process.exit(0);
+	 * });
+	 */
+	async shutdown(options = {}) {
+		const { timeout } = options;
+		for (const moduleName of Array.from(this.modules.keys()).reverse()) {
+			await this.detachAsync(moduleName, { force: true, timeout });
 		}
-
-		// Return unsubscribe function
-		return () => this.off(event, listenerId);
+		for (const id of Array.from(this.schedules.keys())) {
+			this._cancelSchedule(id);
+		}
+		this.flush();
+		await this.drain(timeout);
 	}
 
 	/**
-	 * Remove an event listener by ID
+	 * List dead-lettered events
 	 *
-	 * @param {string} event - Event name
-	 * @param {number} listenerId - Internal listener ID to remove
-	 * @returns {boolean} True if listener was found and removed, false otherwise
+	 * An event is dead-lettered when nothing listens for it, or when every listener that
+	 * received it failed (after any retries). Each entry keeps the original event and data,
+	 * whether it came from `emitAsync`, and the final error of every listener. The queue keeps
+	 * the newest `deadLetterSize` entries (default: 100).
+	 *
+	 * @param {Object} [query={}] - Criteria, combined with AND
+	 * @param {string} [query.event] - Exact event name
+	 * @param {string} [query.reason] - 'unhandled' or 'failed'
+	 * @param {number} [query.limit] - Maximum number of entries, keeping the most recent
+	 * @returns {Array<{id: number, event: string, data: *, reason: string, failures: Object[],
+	 *          async: boolean, redrives: number, emittedAt: number, timestamp: number}>} Entries, oldest first
 	 *
 	 * @example
-	 * // Typically used via the unsubscribe function returned by on()
-	 * const unsubscribe = rail.on('event', handler);
-	 * unsubscribe(); // Internally calls off()
+	 * rail.on('rail.deadletter', ({ event, reason }) => alert(`${event} was ${reason}`), 'monitoring');
 	 *
-	 * @see {@link Rail#on} for the recommended way to unsubscribe
+	 * rail.getDeadLetters({ reason: 'failed' }).forEach(({ event, failures }) => {
+	 *   failures.forEach(({ module, error, attempts }) => console.log(event, module, error, attempts));
+	 * });
 	 */
-	off(event, listenerId) {
-		const listeners = this.listeners.get(event);
-		if (!listeners) return false;
-
-		const filtered = listeners.filter((l) => l.id !== listenerId);
-		if (filtered.length === 0) {
-			this.listeners.delete(event);
-		} else {
-			this.listeners.set(event, filtered);
-		}
-		return true;
+	getDeadLetters(query = {}) {
+		const { limit } = query;
+		const matches = this.deadLetters.toArray().filter((entry) => this._matchesDeadLetter(entry, query));
+		return limit !== undefined ? matches.slice(-limit) : matches;
 	}
 
 	/**
-	 * Emit an event synchronously to all registered listeners
+	 * Inspect one dead-lettered event
 	 *
-	 * @param {string} event - Event name to emit (e.g., 'user.login', 'data.saved')
-	 * @param {*} [data={}] - Data to send with the event. Will be deep cloned if cloning is enabled.
-	 * @returns {number} Number of listeners that handled the event
+	 * @param {number} id - Entry id
+	 * @returns {?Object} The entry, or null if it is not in the queue
+	 */
+	getDeadLetter(id) {
+		return this.deadLetters.toArray().find((entry) => entry.id === id) || null;
+	}
+
+	/**
+	 * Remove a dead-lettered event from the queue and emit it again
 	 *
-	 * @example
-	 * // Emit a simple event
-	 * rail.emit('user.login', { username: 'john', timestamp: Date.now() });
+	 * Events from `emitAsync` are redriven with `emitAsync` and the promise waits for their
+	 * handlers. An entry with a `module` (a throttled, debounced or batched delivery that
+	 * failed) goes back to that module's listeners only, skipping middleware and rate limits.
+	 * If the event fails again it returns to the queue as a new entry with `redrives` increased.
 	 *
-	 * @example
-	 * // Check how many handlers received it
-	 * const handlerCount = rail.emit('notification', { message: 'Hello' });
-	 * console.log(`Event handled by ${handlerCount} modules`);
+	 * @param {number} id - Entry id
+	 * @returns {Promise<boolean>} True if the entry was redriven, false if it is not in the queue
 	 *
 	 * @example
-	 * // With deep cloning (default), data is isolated
-	 * const data = { counter: 0 };
-	 * rail.emit('increment', data);
-	 * console.log(data.counter); // Still 0 - modules get cloned copies
-	 *
-	 * @see {@link Rail#emitAsync} for async event emission with return values
+	 * // Retry everything that failed once the payment provider is back
+	 * for (const { id } of rail.getDeadLetters({ event: 'payment.charge' })) {
+	 *   await rail.redriveDeadLetter(id);
+	 * }
 	 */
-	emit(event, data = {}) {
-		const timestamp = Date.now();
+	async redriveDeadLetter(id) {
+		const entry = this.getDeadLetter(id);
+		if (!entry) {
+			return false;
+		}
 
-		// Store in history for debugging
-		this.eventHistory.push({ event, data, timestamp });
+		this.deadLetters.remove((candidate) => candidate === entry);
 
 		if (this.debug) {
-			console.log(`🔥 [${this.name}] Emitting '${event}':`, data);
+			console.log(`📬 [${this.name}] Redriving '${entry.event}' (dead letter ${id})`);
 		}
 
-		const listeners = this.listeners.get(event) || [];
-		let handledCount = 0;
-
-		listeners.forEach(({ callback, module }) => {
-			try {
-				// Deep clone to prevent contamination between modules (if enabled)
-				const eventData = this.clone ? this._deepClone(data) : data;
-
-				if (this.debug) {
-					console.log(`   ↳ ${module} handling '${event}'`);
-				}
+		const fields = { redrives: entry.redrives + 1 };
+		if (entry.module !== null) {
+			this._redriveTo(entry, fields);
+		} else if (entry.async) {
+			await this._emitAsync(entry.event, entry.data, {}, fields);
+		} else {
+			this._emit(entry.event, entry.data, fields);
+		}
+		return true;
+	}
 
-				callback(eventData);
-				handledCount++;
-			} catch (error) {
-				console.error(
-					`❌ [${this.name}] Error in module '${module}' handling '${event}':`,
-					error
-				);
+	/**
+	 * Deliver a dead-lettered event again to the one module it failed for
+	 *
+	 * @private
+	 * @param {Object} entry - Dead-letter entry with a `module`
+	 * @param {{redrives: number}} fields - Envelope fields for the new delivery
+	 */
+	_redriveTo(entry, fields) {
+		const { event, data, module } = entry;
+		const envelope = { event, data, timestamp: Date.now(), async: false, ...fields };
+		const listeners = this._getListeners(event).filter((listener) => listener.module === module);
+		if (listeners.length === 0) {
+			this._deadLetter(envelope, 'unhandled', [], module);
+			return;
+		}
 
-				// Emit error event for error handling modules
-				// Note: Always clone error events to prevent recursion issues
-				const errorData = {
-					module,
-					event,
-					error: error.message,
-					timestamp,
-				};
-
-				// Temporarily force cloning for error events to avoid infinite loops
-				const originalClone = this.clone;
-				this.clone = true;
-				this.emit('rail.error', errorData);
-				this.clone = originalClone;
+		for (const listener of listeners) {
+			if (listener.batcher) {
+				const eventData = this._isolate(data, module, event);
+				this._deliverBatch(listener, [{ data: eventData, event, timestamp: envelope.timestamp, envelope }]);
+			} else {
+				this._deliverLater(listener, envelope, 0);
 			}
-		});
-
-		if (this.debug && handledCount === 0) {
-			console.warn(
-				`⚠️  [${this.name}] No listeners for event '${event}'`
-			);
 		}
+	}
 
-		return handledCount;
+	/**
+	 * Remove dead-lettered events without emitting them
+	 *
+	 * @param {Object} [query={}] - Criteria as for getDeadLetters(), plus `id`; empty purges everything
+	 * @param {number} [query.id] - Entry id
+	 * @param {string} [query.event] - Exact event name
+	 * @param {string} [query.reason] - 'unhandled' or 'failed'
+	 * @returns {number} Number of entries removed
+	 *
+	 * @example
+	 * rail.purgeDeadLetters({ reason: 'unhandled' });
+	 */
+	purgeDeadLetters(query = {}) {
+		return this.deadLetters.remove(
+			(entry) =>
+				(query.id === undefined || entry.id === query.id) && this._matchesDeadLetter(entry, query)
+		);
 	}
 
 	/**
-	 * Emit an event asynchronously and wait for all handlers to complete
+	 * @private
+	 * @param {Object} entry - Dead-letter entry
+	 * @param {{event?: string, reason?: string}} query - Criteria
+	 * @returns {boolean} True if the entry matches every given criterion
+	 */
+	_matchesDeadLetter(entry, { event, reason }) {
+		return (event === undefined || entry.event === event) && (reason === undefined || entry.reason === reason);
+	}
+
+	/**
+	 * Emit an event after a delay
 	 *
-	 * Unlike emit(), this method awaits all handlers (including async ones) and returns their results.
-	 * Useful for data processing pipelines, validation workflows, and collecting responses.
+	 * The scheduled emit belongs to the module that scheduled it: it is attributed to that
+	 * module when it fires, and cancelled when the module is detached. Fired emits are recorded
+	 * in history with the handle's id as `scheduleId`.
 	 *
 	 * @param {string} event - Event name to emit
-	 * @param {*} [data={}] - Data to send with the event. Will be deep cloned if cloning is enabled.
-	 * @returns {Promise<Array<{module: string, result: *, error: string|null}>}
-	 *          Array of results from all handlers, even if some fail
+	 * @param {*} data - Event data
+	 * @param {number} delay - Milliseconds to wait
+	 * @returns {{id: number, event: string, module: ?string, cancel: function(): boolean}} Handle;
+	 *   `cancel()` returns false if the emit already happened or was cancelled
+	 *
+	 * @throws {Error} If the delay is not a non-negative number
 	 *
 	 * @example
-	 * // Collect results from multiple handlers
-	 * const results = await rail.emitAsync('process.order', { orderId: 123 });
-	 * results.forEach(({ module, result, error }) => {
-	 *   if (error) {
-	 *     console.error(`${module} failed:`, error);
-	 *   } else {
-	 *     console.log(`${module} returned:`, result);
-	 *   }
-	 * });
+	 * // Expire a session in 30 minutes unless the user comes back
+	 * const expiry = rail.emitLater('session.expired', { userId }, 30 * 60 * 1000);
+	 * rail.once('user.active', () => expiry.cancel(), 'sessions');
+	 */
+	emitLater(event, data, delay) {
+		if (typeof delay !== 'number' || !(delay >= 0)) {
+			throw new Error('Delay must be a non-negative number of milliseconds');
+		}
+		return this._schedule(event, data, this.clock.now() + delay, null);
+	}
+
+	/**
+	 * Emit an event at a given time
+	 *
+	 * Works like {@link Rail#emitLater}; a time in the past emits on the next tick.
+	 *
+	 * @param {string} event - Event name to emit
+	 * @param {*} data - Event data
+	 * @param {Date|number} time - Date or timestamp in milliseconds, on the Rail's clock
+	 * @returns {{id: number, event: string, module: ?string, cancel: function(): boolean}} Handle
+	 *
+	 * @throws {Error} If time is not a valid Date or timestamp
 	 *
 	 * @example
-	 * // Validation pipeline
-	 * const validations = await rail.emitAsync('validate.input', { email: 'user@example.com' });
-	 * const allValid = validations.every(r => r.error === null && r.result === true);
+	 * rail.emitAt('report.daily', { day: '2024-06-01' }, new Date('2024-06-02T00:00:00Z'));
+	 */
+	emitAt(event, data, time) {
+		const at = time instanceof Date ? time.getTime() : time;
+		if (typeof at !== 'number' || !Number.isFinite(at)) {
+			throw new Error('Time must be a valid Date or timestamp');
+		}
+		return this._schedule(event, data, at, null);
+	}
+
+	/**
+	 * Emit an event repeatedly until cancelled
+	 *
+	 * The first emit happens one interval from now. Otherwise works like {@link Rail#emitLater},
+	 * repeating until `cancel()` is called or its module is detached.
+	 *
+	 * @param {number} interval - Milliseconds between emits
+	 * @param {string} event - Event name to emit
+	 * @param {*} [data={}] - Event data, emitted each time
+	 * @returns {{id: number, event: string, module: ?string, cancel: function(): boolean}} Handle
+	 *
+	 * @throws {Error} If the interval is not a positive number
 	 *
 	 * @example
-	 * // Parallel data processing
-	 * rail.on('transform.data', async (data) => {
-	 *   const processed = await expensiveOperation(data);
-	 *   return processed;
-	 * }, 'transformer-1');
+	 * const heartbeat = rail.every(5000, 'health.ping');
+	 * // Later
+	 * heartbeat.cancel();
+	 */
+	every(interval, event, data = {}) {
+		if (typeof interval !== 'number' || !(interval > 0) || interval === Infinity) {
+			throw new Error('Interval must be a positive number of milliseconds');
+		}
+		return this._schedule(event, data, this.clock.now() + interval, interval);
+	}
+
+	/**
+	 * List pending scheduled emits
 	 *
-	 * const results = await rail.emitAsync('transform.data', rawData);
+	 * @returns {Array<{id: number, event: string, module: ?string, runAt: number, every: ?number,
+	 *          runs: number}>} Scheduled emits by id; `runAt` is the next emit time on the Rail's clock
 	 *
-	 * @see {@link Rail#emit} for synchronous event emission
+	 * @example
+	 * rail.getScheduled().forEach(({ event, module, runAt }) => console.log(event, module, new Date(runAt)));
 	 */
-	async emitAsync(event, data = {}) {
-		const timestamp = Date.now();
+	getScheduled() {
+		return Array.from(this.schedules.values(), ({ id, event, module, runAt, every, runs }) => ({
+			id,
+			event,
+			module,
+			runAt,
+			every,
+			runs,
+		}));
+	}
 
-		// Store in history for debugging
-		this.eventHistory.push({ event, data, timestamp });
+	/**
+	 * Register a scheduled emit for the active module and start its timer
+	 *
+	 * @private
+	 * @param {string} event - Event name
+	 * @param {*} data - Event data
+	 * @param {number} runAt - Clock time of the first emit
+	 * @param {?number} every - Repeat interval, or null for a single emit
+	 * @returns {{id: number, event: string, module: ?string, cancel: function(): boolean}} Handle
+	 */
+	_schedule(event, data = {}, runAt, every) {
+		const id = ++this.scheduleIdCounter;
+		const schedule = { id, event, data, module: this.activeModule, runAt, every, runs: 0, timer: null };
+		this.schedules.set(id, schedule);
+		this._armSchedule(schedule);
 
 		if (this.debug) {
-			console.log(`🔥 [${this.name}] Emitting async '${event}':`, data);
-		}
-
-		const listeners = this.listeners.get(event) || [];
-
-		if (this.debug && listeners.length === 0) {
-			console.warn(
-				`⚠️  [${this.name}] No listeners for event '${event}'`
-			);
+			console.log(`⏰ [${this.name}] Scheduled '${event}' (#${id})`);
 		}
 
-		// Map all listeners to promises
-		const promises = listeners.map(async ({ callback, module }) => {
-			try {
-				// Deep clone to prevent contamination between modules (if enabled)
-				const eventData = this.clone ? this._deepClone(data) : data;
-
-				if (this.debug) {
-					console.log(`   ↳ ${module} handling async '${event}'`);
-				}
+		return {
+			id,
+			event,
+			module: schedule.module,
+			cancel: () => this._cancelSchedule(id),
+		};
+	}
 
-				const result = await callback(eventData);
-				return { module, result, error: null };
-			} catch (error) {
-				console.error(
-					`❌ [${this.name}] Error in module '${module}' handling async '${event}':`,
-					error
-				);
+	/**
+	 * Start the timer for a scheduled emit's next run
+	 *
+	 * @private
+	 * @param {Object} schedule - Schedule record
+	 */
+	_armSchedule(schedule) {
+		const delay = Math.max(0, schedule.runAt - this.clock.now());
+		// Timers overflow past ~24.8 days, so longer waits are split
+		schedule.timer = this.clock.setTimeout(() => {
+			if (schedule.runAt > this.clock.now()) {
+				this._armSchedule(schedule);
+			} else {
+				this._runSchedule(schedule);
+			}
+		}, Math.min(delay, MAX_TIMER_DELAY));
+	}
 
-				// Emit error event for error handling modules
-				const errorData = {
-					module,
-					event,
-					error: error.message,
-					timestamp,
-				};
+	/**
+	 * Emit a due scheduled event as its module and arm the next run
+	 *
+	 * @private
+	 * @param {Object} schedule - Schedule record
+	 */
+	_runSchedule(schedule) {
+		schedule.timer = null;
+		schedule.runs++;
+		if (schedule.every === null) {
+			this.schedules.delete(schedule.id);
+		} else {
+			// Armed first, so a handler can cancel the next run
+			schedule.runAt = this.clock.now() + schedule.every;
+			this._armSchedule(schedule);
+		}
 
-				// Temporarily force cloning for error events to avoid infinite loops
-				const originalClone = this.clone;
-				this.clone = true;
-				this.emit('rail.error', errorData);
-				this.clone = originalClone;
+		try {
+			this._runAs(schedule.module, () =>
+				this._emit(schedule.event, schedule.data, { scheduleId: schedule.id })
+			);
+		} catch (error) {
+			// Nothing can catch a throw from a timer, so it is reported like a handler error
+			console.error(`❌ [${this.name}] Scheduled emit of '${schedule.event}' failed:`, error);
+			this._raiseError({ module: schedule.module, id: null }, schedule.event, error, Date.now(), {
+				scheduleId: schedule.id,
+			});
+		}
+	}
 
-				return { module, result: null, error: error.message };
-			}
-		});
+	/**
+	 * Cancel a scheduled emit
+	 *
+	 * @private
+	 * @param {number} id - Schedule id
+	 * @returns {boolean} True if it was still pending
+	 */
+	_cancelSchedule(id) {
+		const schedule = this.schedules.get(id);
+		if (!schedule) return false;
 
-		// Wait for all handlers to complete
-		return await Promise.all(promises);
+		if (schedule.timer !== null) {
+			this.clock.clearTimeout(schedule.timer);
+		}
+		this.schedules.delete(id);
+		return true;
 	}
 
 	/**
-	 * Attach a module to the Rail instance
+	 * Wait for a specific event to be emitted (useful for testing)
 	 *
-	 * Modules are objects with a `name` property and optional `connect` and `disconnect` methods.
-	 * The `connect` method is called immediately and receives the Rail instance as an argument.
+	 * Returns a promise that resolves with the event data when the event is emitted,
+	 * or rejects if the timeout is reached or the signal aborts. Either way the temporary
+	 * listener and timer are removed.
 	 *
-	 * @param {Object} module - Module object to attach
-	 * @param {string} module.name - Unique name for the module
-	 * @param {function} [module.connect] - Called when module is attached, receives Rail instance
-	 * @param {function} [module.disconnect] - Called when module is detached
-	 * @returns {Rail} Returns this for method chaining
+	 * @param {string} event - Event name to wait for
+	 * @param {number|Object} [options=5000] - Timeout in milliseconds, or options
+	 * @param {number} [options.timeout=5000] - Milliseconds to wait (0 or Infinity waits until the
+	 *   event or an abort)
+	 * @param {AbortSignal} [options.signal] - Stops waiting when aborted
+	 * @returns {Promise<*>} Promise that resolves with event data
 	 *
-	 * @throws {Error} If module is invalid, missing name, or already attached
+	 * @throws {Error} If timeout is reached before event is emitted, or an error named
+	 *   'AbortError' if the signal aborts first (as a rejection)
 	 *
 	 * @example
-	 * // Basic module
-	 * const logger = {
-	 *   name: 'logger',
-	 *   connect(rail) {
-	 *     rail.on('*', (data) => console.log(data), 'logger');
-	 *   }
-	 * };
-	 * rail.attach(logger);
+	 * // Wait for event in test
+	 * test('emits user.created', async () => {
+	 *   const promise = rail.waitFor('user.created', 1000);
+	 *   rail.emit('user.created', { id: 1 });
+	 *   const data = await promise;
+	 *   expect(data.id).toBe(1);
+	 * });
 	 *
 	 * @example
-	 * // Module with state
-	 * const analytics = {
-	 *   name: 'analytics',
-	 *   events: [],
-	 *   connect(rail) {
-	 *     rail.on('user.action', (data) => {
-	 *       this.events.push(data);
-	 *     }, 'analytics');
-	 *   },
-	 *   disconnect() {
-	 *     console.log('Total events:', this.events.length);
-	 *   }
-	 * };
-	 * rail.attach(analytics);
+	 * // Wait for async operation
+	 * setTimeout(() => rail.emit('delayed', { msg: 'hello' }), 100);
+	 * const data = await rail.waitFor('delayed');
+	 * console.log(data.msg); // 'hello'
 	 *
 	 * @example
-	 * // Method chaining
-	 * rail.attach(module1).attach(module2).attach(module3);
-	 *
-	 * @see {@link Rail#detach} to remove a module
+	 * // Stop waiting when the page is closed
+	 * const controller = new AbortController();
+	 * rail.waitFor('payment.confirmed', { timeout: 0, signal: controller.signal })
+	 *   .then(showReceipt)
+	 *   .catch((error) => error.name === 'AbortError' || showError(error));
+	 * window.addEventListener('pagehide', () => controller.abort());
 	 */
-	attach(module) {
-		if (!module || typeof module !== 'object') {
-			throw new Error('Module must be an object');
-		}
-
-		if (!module.name || typeof module.name !== 'string') {
-			throw new Error('Module must have a name property');
-		}
-
-		if (this.modules.has(module.name)) {
-			throw new Error(`Module '${module.name}' is already attached`);
-		}
-
-		// Store module
-		this.modules.set(module.name, module);
+	waitFor(event, options = 5000) {
+		return this._waitFor(event, options, 'wait-for');
+	}
 
-		// Call connect method if it exists
-		if (typeof module.connect === 'function') {
-			try {
-				module.connect(this);
-			} catch (error) {
-				// Remove module if connection fails
-				this.modules.delete(module.name);
-				throw new Error(
-					`Failed to connect module '${module.name}': ${error.message}`
-				);
+	/**
+	 * Wait for an event with a temporary listener owned by a module
+	 *
+	 * @private
+	 * @param {string} event - Event name to wait for
+	 * @param {number|Object} [options=5000] - Timeout in milliseconds, or `{ timeout, signal }`
+	 * @param {string} moduleName - Module the temporary listener belongs to
+	 * @returns {Promise<*>} Promise that resolves with event data; rejects at once if the
+	 *   module may not listen for the event
+	 */
+	_waitFor(event, options = 5000, moduleName) {
+		const { timeout = 5000, signal = null } =
+			options !== null && typeof options === 'object' ? options : { timeout: options };
+
+		return new Promise((resolve, reject) => {
+			if (signal && signal.aborted) {
+				reject(abortError(signal, `Aborted waiting for event '${event}'`));
+				return;
 			}
-		}
 
-		if (this.debug) {
-			console.log(`🔗 [${this.name}] Attached module '${module.name}'`);
-		}
+			let timer = null;
+			const onAbort = () => {
+				stop();
+				reject(abortError(signal, `Aborted waiting for event '${event}'`));
+			};
+			const stop = () => {
+				clearTimeout(timer);
+				unsubscribe();
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+			};
 
-		// Emit module attached event
-		this.emit('rail.module.attached', { moduleName: module.name });
+			// once() checks the listen permission, so a denial shows as no new listener id
+			const lastListenerId = this.listenerIdCounter;
+			const unsubscribe = this.once(
+				event,
+				(data) => {
+					stop();
+					resolve(data);
+				},
+				moduleName
+			);
+			if (this.listenerIdCounter === lastListenerId) {
+				reject(new Error(`Module '${moduleName}' may not listen for '${event}'`));
+				return;
+			}
 
-		return this; // For chaining
+			if (timeout > 0 && timeout !== Infinity) {
+				timer = setTimeout(() => {
+					stop();
+					reject(new Error(`Timeout waiting for event '${event}'`));
+				}, timeout);
+			}
+			if (signal) {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+		});
 	}
 
 	/**
-	 * Detach a module from the Rail instance
+	 * Register the responder for a request event
 	 *
-	 * Removes the module and all its event listeners. Calls the module's `disconnect` method if present.
+	 * The handler answers `rail.request()` calls for the event (or wildcard pattern). Its
+	 * return value, or the value its promise resolves to, is sent back (cloned if cloning is
+	 * enabled) to the requester only; a thrown error or rejection rejects that request. Plain `emit()` calls of the
+	 * event are ignored by the responder. Only one responder may be registered per event.
 	 *
-	 * @param {string} moduleName - Name of the module to detach
-	 * @returns {boolean} True if module was found and detached, false if module wasn't attached
+	 * @param {string} event - Event name or pattern to answer
+	 * @param {function} handler - Function `(data, info) => result` where `info.correlationId` identifies the request
+	 * @param {string|Object} [options='anonymous'] - Module name or listener options (`once` is not supported)
+	 * @returns {function} Function that removes the responder
 	 *
-	 * @example
-	 * // Detach a module
-	 * rail.detach('analytics');
+	 * @throws {Error} If handler is not a function or the event already has a responder
 	 *
 	 * @example
-	 * // Hot-swap modules at runtime
-	 * if (rail.detach('old-logger')) {
-	 *   rail.attach(newLogger);
-	 * }
+	 * rail.respond('data.get.user', (data) => users.get(data.userId), 'database');
 	 *
-	 * @example
-	 * // Check if detach succeeded
-	 * const removed = rail.detach('optional-module');
-	 * if (removed) {
-	 *   console.log('Module removed');
-	 * }
+	 * const user = await rail.request('data.get.user', { userId: 1 });
 	 *
-	 * @see {@link Rail#attach} to add a module
+	 * @see {@link Rail#request} to send a request
 	 */
-	detach(moduleName) {
-		const module = this.modules.get(moduleName);
-		if (!module) {
-			if (this.debug) {
-				console.warn(
-					`⚠️  [${this.name}] Module '${moduleName}' not found`
-				);
-			}
-			return false;
-		}
-
-		// Remove all listeners for this module
-		for (const [event, listeners] of this.listeners) {
-			const filtered = listeners.filter((l) => l.module !== moduleName);
-			if (filtered.length === 0) {
-				this.listeners.delete(event);
-			} else {
-				this.listeners.set(event, filtered);
-			}
+	respond(event, handler, options = 'anonymous') {
+		if (typeof handler !== 'function') {
+			throw new Error('Responder must be a function');
 		}
 
-		// Call disconnect method if it exists
-		if (typeof module.disconnect === 'function') {
-			try {
-				module.disconnect(this);
-			} catch (error) {
-				console.error(
-					`❌ [${this.name}] Error disconnecting module '${moduleName}':`,
-					error
-				);
-			}
+		if (this.responders.has(event)) {
+			throw new Error(`Event '${event}' already has a responder`);
 		}
 
-		this.modules.delete(moduleName);
+		const listenerOptions = this._normalizeListenerOptions(options);
+		// on() checks the listen permission, so a denial shows as no new listener id
+		const lastListenerId = this.listenerIdCounter;
+		const unsubscribe = this.on(
+			event,
+			(data, info) => {
+				const pending = this.pendingRequests.get(info.correlationId);
+				if (!pending) return; // Plain emit, or request already settled
 
-		if (this.debug) {
-			console.log(`🔓 [${this.name}] Detached module '${moduleName}'`);
+				this.pendingRequests.delete(info.correlationId);
+				try {
+					// Clone the reply so the requester cannot reach the responder's state
+					Promise.resolve(handler(data, info)).then(
+						(result) => pending.resolve(this.isolation !== 'none' ? this._deepClone(result) : result),
+						pending.reject
+					);
+				} catch (error) {
+					pending.reject(error);
+				}
+			},
+			{ ...listenerOptions, once: false }
+		);
+		if (this.listenerIdCounter === lastListenerId) {
+			return unsubscribe;
 		}
 
-		// Emit module detached event
-		this.emit('rail.module.detached', { moduleName });
+		const responder = { module: listenerOptions.module || 'anonymous' };
+		this.responders.set(event, responder);
 
-		return true;
+		return () => {
+			if (this.responders.get(event) === responder) {
+				this.responders.delete(event);
+			}
+			return unsubscribe();
+		};
 	}
 
 	/**
-	 * Get list of attached module names
+	 * Send a request and wait for the responder's reply
 	 *
-	 * @returns {string[]} Array of module names currently attached
+	 * The request is emitted as a normal event with a unique correlation id (visible to
+	 * middleware as `envelope.correlationId` and to handlers as `info.correlationId`).
+	 * Only the requester receives the reply, so concurrent requests cannot pick up each
+	 * other's answers.
+	 *
+	 * @param {string} event - Event name to request
+	 * @param {*} [data={}] - Request data
+	 * @param {Object} [options={}] - Request options
+	 * @param {number} [options.timeout=5000] - Milliseconds to wait for the reply
+	 * @returns {Promise<*>} Promise that resolves with the responder's return value
+	 *
+	 * @throws {Error} Rejects immediately if no responder is registered, on timeout,
+	 *   or with the error thrown by the responder
 	 *
 	 * @example
-	 * const modules = rail.getModules();
-	 * console.log('Active modules:', modules);
-	 * // ['logger', 'analytics', 'cache']
+	 * try {
+	 *   const sessions = await rail.request('data.get.sessions', {}, { timeout: 1000 });
+	 * } catch (error) {
+	 *   console.error('No answer:', error.message);
+	 * }
+	 *
+	 * @see {@link Rail#respond} to answer requests
 	 */
-	getModules() {
-		return Array.from(this.modules.keys());
+	request(event, data = {}, options = {}) {
+		const { timeout = 5000 } = options;
+
+		if (!this._hasResponder(event)) {
+			return Promise.reject(
+				new Error(`No responder registered for '${event}'`)
+			);
+		}
+
+		if (!this._mayEmit(event)) {
+			return Promise.reject(
+				new Error(`Module '${this.activeModule}' may not emit '${event}'`)
+			);
+		}
+
+		const correlationId = `${this.name}:${++this.requestIdCounter}`;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.pendingRequests.delete(correlationId);
+				reject(
+					new Error(`Request '${event}' timed out after ${timeout}ms`)
+				);
+			}, timeout);
+
+			this.pendingRequests.set(correlationId, {
+				resolve: (value) => {
+					clearTimeout(timer);
+					resolve(value);
+				},
+				reject: (error) => {
+					clearTimeout(timer);
+					reject(error);
+				},
+			});
+
+			this._emit(event, data, { correlationId }, true);
+		});
 	}
 
 	/**
-	 * Get information about registered event listeners
+	 * Check whether a responder is registered for an event, directly or through a pattern
 	 *
-	 * @returns {Object<string, string[]>} Object mapping event names to arrays of module names
-	 *
-	 * @example
-	 * const events = rail.getEvents();
-	 * console.log(events);
-	 * // {
-	 * //   'user.login': ['auth', 'analytics'],
-	 * //   'data.saved': ['cache', 'logger']
-	 * // }
+	 * @private
+	 * @param {string} event - Concrete event name
+	 * @returns {boolean} True if request() can be answered
 	 */
-	getEvents() {
-		const events = {};
-		for (const [event, listeners] of this.listeners) {
-			events[event] = listeners.map((l) => l.module);
+	_hasResponder(event) {
+		if (this.responders.has(event)) {
+			return true;
 		}
-		return events;
+		for (const pattern of this.patterns.match(event)) {
+			if (this.responders.has(pattern)) {
+				return true;
+			}
+		}
+		return false;
 	}
 
 	/**
-	 * Get recent event history for debugging
-	 *
-	 * @param {number} [limit=10] - Maximum number of recent events to return
-	 * @returns {Array<{event: string, data: *, timestamp: number}>} Array of recent events
+	 * Give a listener its view of the event data according to the isolation mode
 	 *
-	 * @example
-	 * // Get last 5 events
-	 * const recent = rail.getHistory(5);
-	 * recent.forEach(({ event, data, timestamp }) => {
-	 *   console.log(`${new Date(timestamp).toISOString()} - ${event}:`, data);
-	 * });
+	 * @private
+	 * @param {*} data - Event data as emitted
+	 * @param {string} module - Module receiving the data
+	 * @param {string} event - Event name
+	 * @returns {*} A clone, a guarded frozen view (freeze mode with debug), or the data itself
 	 */
-	getHistory(limit = 10) {
-		return this.eventHistory.slice(-limit);
+	_isolate(data, module, event) {
+		// Deep clone to prevent contamination between modules (if enabled)
+		if (this.clone) {
+			return this._deepClone(data);
+		}
+
+		if (this.isolation === 'freeze' && this.debug) {
+			return this._guardFrozen(data, module, event, new Map());
+		}
+
+		return data;
 	}
 
 	/**
-	 * Clear the event history
+	 * Deep-freeze event data in place
 	 *
-	 * Useful to free memory in long-running applications or reset debugging state.
+	 * Objects and arrays are frozen with Object.freeze. Map, Set and Date instances also get
+	 * their mutating methods replaced with ones that throw. Typed arrays cannot be frozen
+	 * and stay writable.
 	 *
-	 * @example
-	 * rail.clearHistory();
+	 * @private
+	 * @param {*} value - Value to freeze
+	 * @returns {*} The same value
 	 */
-	clearHistory() {
-		this.eventHistory = [];
+	_deepFreeze(value) {
+		if (value === null || typeof value !== 'object' || this.frozen.has(value)) {
+			return value;
+		}
+		this.frozen.add(value);
+
+		if (ArrayBuffer.isView(value)) {
+			return value;
+		}
+
+		if (value instanceof Map) {
+			value.forEach((entry, key) => {
+				this._deepFreeze(key);
+				this._deepFreeze(entry);
+			});
+		} else if (value instanceof Set) {
+			value.forEach((entry) => this._deepFreeze(entry));
+		}
+
+		for (const method of frozenMutators(value)) {
+			Object.defineProperty(value, method, {
+				value: () => {
+					throw new TypeError(`Cannot call ${method}() on frozen event data`);
+				},
+			});
+		}
+
+		for (const key of Reflect.ownKeys(value)) {
+			const descriptor = Object.getOwnPropertyDescriptor(value, key);
+			if ('value' in descriptor) {
+				this._deepFreeze(descriptor.value);
+			}
+		}
+
+		return Object.freeze(value);
 	}
 
 	/**
-	 * Wait for a specific event to be emitted (useful for testing)
-	 *
-	 * Returns a promise that resolves with the event data when the event is emitted,
-	 * or rejects if the timeout is reached.
-	 *
-	 * @param {string} event - Event name to wait for
-	 * @param {number} [timeout=5000] - Timeout in milliseconds (default: 5 seconds)
-	 * @returns {Promise<*>} Promise that resolves with event data
+	 * Wrap frozen event data so a mutation attempt names the offending module
 	 *
-	 * @throws {Error} If timeout is reached before event is emitted
-	 *
-	 * @example
-	 * // Wait for event in test
-	 * test('emits user.created', async () => {
-	 *   const promise = rail.waitFor('user.created', 1000);
-	 *   rail.emit('user.created', { id: 1 });
-	 *   const data = await promise;
-	 *   expect(data.id).toBe(1);
-	 * });
+	 * Used in debug mode with `isolation: 'freeze'`. Writes, deletes and calls to mutating
+	 * Map/Set/Date/typed array methods throw a TypeError naming the module and event, even
+	 * from sloppy-mode code where writes to frozen objects would otherwise be ignored.
 	 *
-	 * @example
-	 * // Wait for async operation
-	 * setTimeout(() => rail.emit('delayed', { msg: 'hello' }), 100);
-	 * const data = await rail.waitFor('delayed');
-	 * console.log(data.msg); // 'hello'
+	 * @private
+	 * @param {*} value - Frozen value
+	 * @param {string} module - Module receiving the data
+	 * @param {string} event - Event name
+	 * @param {Map<Object, Proxy>} views - Guards already created for this delivery
+	 * @returns {*} Guarded view of the value
 	 */
-	waitFor(event, timeout = 5000) {
-		return new Promise((resolve, reject) => {
-			const timer = setTimeout(() => {
-				reject(new Error(`Timeout waiting for event '${event}'`));
-			}, timeout);
+	_guardFrozen(value, module, event, views) {
+		if (value === null || typeof value !== 'object') {
+			return value;
+		}
 
-			const unsubscribe = this.on(
-				event,
-				(data) => {
-					clearTimeout(timer);
-					unsubscribe();
-					resolve(data);
-				},
-				'wait-for'
+		if (views.has(value)) {
+			return views.get(value);
+		}
+
+		const reject = (action) => {
+			throw new TypeError(
+				`Module '${module}' tried to ${action} on frozen '${event}' event data`
 			);
+		};
+		const guard = (nested) => this._guardFrozen(nested, module, event, views);
+		const mutators = frozenMutators(value);
+		const proto = Object.getPrototypeOf(value);
+		const plain = Array.isArray(value) || proto === Object.prototype || proto === null;
+
+		// The proxy target is an unfrozen stand-in: proxies of frozen targets must return
+		// the raw property values, which would let nested objects escape the guard.
+		const shadow = Array.isArray(value) ? [] : Object.create(proto);
+		if (Array.isArray(value)) {
+			shadow.length = value.length;
+		}
+
+		const view = new Proxy(shadow, {
+			get: (target, key) => {
+				if (key === 'length' && Array.isArray(value)) {
+					return value.length;
+				}
+
+				const property = Reflect.get(value, key, value);
+				if (typeof property !== 'function' || plain) {
+					return guard(property);
+				}
+
+				// Built-in methods need the real object as receiver
+				if (mutators.includes(key)) {
+					return () => reject(`call ${String(key)}()`);
+				}
+				return (...args) => guard(property.apply(value, args));
+			},
+			has: (target, key) => Reflect.has(value, key),
+			ownKeys: () => Reflect.ownKeys(value),
+			getOwnPropertyDescriptor: (target, key) => {
+				if (key === 'length' && Array.isArray(value)) {
+					return Reflect.getOwnPropertyDescriptor(target, key);
+				}
+				const descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+				if (descriptor) {
+					descriptor.configurable = true;
+					if ('value' in descriptor) {
+						descriptor.value = guard(descriptor.value);
+					}
+				}
+				return descriptor;
+			},
+			set: (target, key) => reject(`set '${String(key)}'`),
+			defineProperty: (target, key) => reject(`define '${String(key)}'`),
+			deleteProperty: (target, key) => reject(`delete '${String(key)}'`),
+			setPrototypeOf: () => reject('change the prototype'),
 		});
+
+		views.set(value, view);
+		return view;
 	}
 
 	/**
 	 * Deep clone object to prevent data contamination between modules
 	 *
+	 * Handles plain objects, arrays, Date, RegExp, Map, Set, ArrayBuffer, typed arrays
+	 * (including Node Buffers), DataView, Error (message, stack, cause and custom
+	 * properties), boxed primitives including BigInt, and circular references. Class
+	 * instances keep their prototype; a class can take over with a
+	 * `[Rail.cloneHook](clone)` method. Functions, promises, weak collections and
+	 * SharedArrayBuffers are passed by reference.
+	 *
 	 * @private
 	 * @param {*} obj - Object to clone
 	 * @returns {*} Deep cloned copy
 	 */
 	_deepClone(obj) {
-		if (obj === null || typeof obj !== 'object') {
-			return obj;
+		return this._cloneValue(obj, new Map());
+	}
+
+	/**
+	 * Clone one value, reusing copies already made for this graph
+	 *
+	 * @private
+	 * @param {*} value - Value to clone
+	 * @param {Map<Object, Object>} seen - Original -> copy for objects already cloned
+	 * @returns {*} Cloned value
+	 */
+	_cloneValue(value, seen) {
+		if (value === null || typeof value !== 'object') {
+			return value;
+		}
+
+		if (seen.has(value)) {
+			const copy = seen.get(value);
+			if (copy === HOOK_PENDING) {
+				throw new Error(
+					'Circular reference back to an object whose clone hook is still running; ' +
+						'call clone.register(copy) before cloning nested values'
+				);
+			}
+			return copy;
+		}
+
+		const clone = (nested) => this._cloneValue(nested, seen);
+
+		if (typeof value[CLONE_HOOK] === 'function') {
+			clone.register = (copy) => {
+				seen.set(value, copy);
+				return copy;
+			};
+			seen.set(value, HOOK_PENDING);
+			const copy = value[CLONE_HOOK](clone);
+			seen.set(value, copy);
+			return copy;
+		}
+
+		// Plain objects and arrays (the common case) skip the built-in type checks
+		const proto = Object.getPrototypeOf(value);
+		if (proto !== Object.prototype && proto !== Array.prototype) {
+			if (
+				value instanceof Promise ||
+				value instanceof WeakMap ||
+				value instanceof WeakSet ||
+				(typeof SharedArrayBuffer !== 'undefined' && value instanceof SharedArrayBuffer)
+			) {
+				return value;
+			}
+
+			const leaf = this._cloneLeaf(value);
+			if (leaf !== undefined) {
+				seen.set(value, leaf);
+				return leaf;
+			}
 		}
 
-		if (obj instanceof Date) {
-			return new Date(obj.getTime());
+		let copy;
+
+		if (Array.isArray(value)) {
+			copy = new Array(value.length);
+		} else if (value instanceof Map) {
+			copy = new Map();
+		} else if (value instanceof Set) {
+			copy = new Set();
+		} else {
+			copy = Object.create(proto);
 		}
 
-		if (obj instanceof Array) {
-			return obj.map((item) => this._deepClone(item));
+		// Keep subclass prototypes (e.g. custom Map or Array subclasses)
+		if (Object.getPrototypeOf(copy) !== proto) {
+			Object.setPrototypeOf(copy, proto);
 		}
 
-		if (obj instanceof RegExp) {
-			return new RegExp(obj);
+		// Register before recursing so circular references resolve to the copy
+		seen.set(value, copy);
+
+		if (value instanceof Map) {
+			value.forEach((entry, key) => copy.set(clone(key), clone(entry)));
+		} else if (value instanceof Set) {
+			value.forEach((entry) => copy.add(clone(entry)));
 		}
 
-		if (typeof obj === 'object') {
-			const cloned = {};
-			for (const key in obj) {
-				if (obj.hasOwnProperty(key)) {
-					cloned[key] = this._deepClone(obj[key]);
+		if (value instanceof Error) {
+			// message, stack and cause are non-enumerable own properties
+			for (const key of Object.getOwnPropertyNames(value)) {
+				const descriptor = Object.getOwnPropertyDescriptor(value, key);
+				if ('value' in descriptor) {
+					descriptor.value = clone(descriptor.value);
 				}
+				Object.defineProperty(copy, key, descriptor);
+			}
+		} else {
+			// Own enumerable properties, including array elements (holes stay holes)
+			for (const key of Object.keys(value)) {
+				copy[key] = clone(value[key]);
 			}
-			return cloned;
 		}
 
-		return obj;
+		for (const symbol of Object.getOwnPropertySymbols(value)) {
+			if (Object.prototype.propertyIsEnumerable.call(value, symbol)) {
+				copy[symbol] = clone(value[symbol]);
+			}
+		}
+
+		return copy;
+	}
+
+	/**
+	 * Clone values that have no nested values to recurse into
+	 *
+	 * @private
+	 * @param {Object} value - Object to clone
+	 * @returns {Object|undefined} Copy, or undefined if the value has nested structure
+	 */
+	_cloneLeaf(value) {
+		let copy;
+
+		if (value instanceof Date) {
+			copy = new Date(value.getTime());
+		} else if (value instanceof RegExp) {
+			copy = new RegExp(value);
+			copy.lastIndex = value.lastIndex;
+		} else if (value instanceof ArrayBuffer) {
+			copy = value.slice(0);
+		} else if (ArrayBuffer.isView(value)) {
+			// Copy only the viewed bytes (Node Buffers are often views into a shared pool)
+			const bytes = value.buffer.slice(
+				value.byteOffset,
+				value.byteOffset + value.byteLength
+			);
+			const type = Object.prototype.toString.call(value).slice(8, -1);
+			copy = type === 'DataView' ? new DataView(bytes) : new globalThis[type](bytes);
+		} else if (
+			value instanceof Number ||
+			value instanceof String ||
+			value instanceof Boolean ||
+			(typeof BigInt !== 'undefined' && value instanceof BigInt) ||
+			value instanceof Symbol
+		) {
+			copy = Object(value.valueOf());
+		} else {
+			return undefined;
+		}
+
+		// Keep subclass prototypes (e.g. Buffer)
+		if (Object.getPrototypeOf(copy) !== Object.getPrototypeOf(value)) {
+			Object.setPrototypeOf(copy, Object.getPrototypeOf(value));
+		}
+		return copy;
 	}
 
 	/**
@@ -668,6 +5027,7 @@ export class Rail {
 	 * @see {@link https://github.com/PxPerfectMike/RailJS#performance|Performance Guide}
 	 */
 	setClone(enabled) {
+		this.isolation = enabled ? 'clone' : 'none';
 		this.clone = enabled;
 		if (this.debug) {
 			if (enabled) {
@@ -678,6 +5038,50 @@ export class Rail {
 		}
 	}
 
+	/**
+	 * Choose how listeners are isolated from each other's changes to event data
+	 *
+	 * - `'clone'` (default): every listener gets its own deep copy
+	 * - `'freeze'`: the payload is deep-frozen once and shared by all listeners. The
+	 *   emitted object itself becomes immutable, so emit copies of state you still need to
+	 *   change. In debug mode listeners get a guarded view that reports which module
+	 *   tried to mutate the data.
+	 * - `'none'`: every listener gets the same mutable object
+	 *
+	 * @param {string} mode - 'clone', 'freeze' or 'none'
+	 *
+	 * @throws {Error} If mode is not one of the supported values
+	 *
+	 * @example
+	 * rail.setIsolation('freeze');
+	 * rail.on('order.placed', (order) => {
+	 *   order.total = 0; // TypeError: frozen event data
+	 * }, 'billing');
+	 */
+	setIsolation(mode) {
+		this._checkIsolation(mode);
+		this.isolation = mode;
+		this.clone = mode === 'clone';
+		if (this.debug) {
+			console.log(`🔒 [${this.name}] Isolation mode set to '${mode}'`);
+		}
+	}
+
+	/**
+	 * Validate an isolation mode
+	 *
+	 * @private
+	 * @param {string} mode - Isolation mode
+	 * @throws {Error} If mode is not supported
+	 */
+	_checkIsolation(mode) {
+		if (!['clone', 'freeze', 'none'].includes(mode)) {
+			throw new Error(
+				`Unknown isolation mode '${mode}' (expected 'clone', 'freeze' or 'none')`
+			);
+		}
+	}
+
 	/**
 	 * Get Rail instance statistics
 	 *
@@ -686,7 +5090,17 @@ export class Rail {
 	 * @returns {number} .modules - Number of attached modules
 	 * @returns {number} .events - Number of unique events with listeners
 	 * @returns {number} .totalListeners - Total number of event listeners
-	 * @returns {number} .eventsEmitted - Total events emitted (history size)
+	 * @returns {number} .eventsEmitted - Total events emitted since the Rail was created
+	 * @returns {number} .historySize - Events currently kept in history
+	 * @returns {number} .historyDropped - History entries evicted by `historySize` or expired by `historyTtl`
+	 * @returns {number} .schemas - Number of events with a schema from `defineEvent()`
+	 * @returns {number} .validationFailures - Payloads that failed their event schema
+	 * @returns {number} .permissionDenials - Emits and subscriptions outside a module's `emits`/`listens`
+	 * @returns {number} .deadLetters - Events currently in the dead-letter queue
+	 * @returns {number} .inFlight - Async handlers and retries from `emit()` still running (with `trackInFlight`)
+	 * @returns {number} .scheduled - Pending `emitLater`/`emitAt`/`every` emits
+	 * @returns {number} .batched - Events waiting in batched listeners' pending batches
+	 * @returns {string[]} .openCircuits - Modules whose circuit breaker is open or half-open
 	 *
 	 * @example
 	 * const stats = rail.getStats();
@@ -703,7 +5117,23 @@ export class Rail {
 				(sum, listeners) => sum + listeners.length,
 				0
 			),
-			eventsEmitted: this.eventHistory.length,
+			eventsEmitted: this.eventsEmitted,
+			historySize: this.eventHistory.size,
+			historyDropped: this.eventHistory.dropped,
+			schemas: this.schemas.size,
+			validationFailures: this.validationFailures,
+			permissionDenials: this.permissionDenials,
+			deadLetters: this.deadLetters.size,
+			inFlight: this.inFlight.size,
+			scheduled: this.schedules.size,
+			batched: Array.from(this.listeners.values()).reduce(
+				(sum, listeners) =>
+					sum + listeners.reduce((count, l) => count + (l.batcher ? l.batcher.entries.length : 0), 0),
+				0
+			),
+			openCircuits: Array.from(this.circuits)
+				.filter(([, circuit]) => circuit.state !== 'closed')
+				.map(([moduleName]) => moduleName),
 		};
 	}
 }
@@ -2,9 +2,47 @@
  * RailJS Test Suite - Vitest format
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { Rail } from './rail.js';
 
+// Run a call with console.error silenced, for tests that expect handler failures
+const quietly = async (fn) => {
+	const originalError = console.error;
+	console.error = () => {};
+	try {
+		return await fn();
+	} finally {
+		console.error = originalError;
+	}
+};
+
+// Manual clock: advance() runs due timers in order
+const manualClock = () => {
+	let now = 0;
+	let nextId = 0;
+	const timers = new Map();
+	return {
+		now: () => now,
+		setTimeout: (fn, ms) => {
+			timers.set(++nextId, { fn, at: now + ms });
+			return nextId;
+		},
+		clearTimeout: (id) => timers.delete(id),
+		advance(ms) {
+			const target = now + ms;
+			for (;;) {
+				const due = [...timers].filter(([, t]) => t.at <= target).sort((a, b) => a[1].at - b[1].at)[0];
+				if (!due) break;
+				timers.delete(due[0]);
+				now = due[1].at;
+				due[1].fn();
+			}
+			now = target;
+		},
+		pending: () => timers.size,
+	};
+};
+
 describe('Basic event system', () => {
 	it('should emit and listen for events', () => {
 		const rail = new Rail();
@@ -345,6 +383,7 @@ describe('Utility methods', () => {
 		const rail = new Rail();
 
 		await expect(rail.waitFor('nonexistent.event', 50)).rejects.toThrow('Timeout');
+		expect(rail.getEvents()['nonexistent.event']).toBeUndefined();
 	});
 
 	it('should provide rail statistics', () => {
@@ -365,3 +404,3449 @@ describe('Utility methods', () => {
 		expect(stats.events).toBeGreaterThan(0);
 	});
 });
+
+describe('Wildcard subscriptions', () => {
+	it('should match a single segment with *', () => {
+		const rail = new Rail();
+		const received = [];
+
+		rail.on('user.*', (data, { event, pattern }) => {
+			received.push({ event, pattern });
+		}, 'audit');
+
+		rail.emit('user.login');
+		rail.emit('user.logout');
+		rail.emit('user.profile.updated');
+		rail.emit('admin.login');
+
+		expect(received).toEqual([
+			{ event: 'user.login', pattern: 'user.*' },
+			{ event: 'user.logout', pattern: 'user.*' },
+		]);
+	});
+
+	it('should match zero or more segments with **', () => {
+		const rail = new Rail();
+		const received = [];
+
+		rail.on('auth.**', (data, { event }) => received.push(event));
+
+		rail.emit('auth');
+		rail.emit('auth.success');
+		rail.emit('auth.registration.success');
+		rail.emit('user.login');
+
+		expect(received).toEqual(['auth', 'auth.success', 'auth.registration.success']);
+	});
+
+	it('should deliver every event to a bare * listener', () => {
+		const rail = new Rail();
+		const received = [];
+
+		rail.on('*', (data, { event }) => received.push(event));
+
+		rail.emit('ping');
+		rail.emit('user.login');
+		rail.emit('a.b.c.d');
+
+		expect(received).toEqual(['ping', 'user.login', 'a.b.c.d']);
+	});
+
+	it('should combine exact and wildcard listeners in registration order', () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.on('user.*', () => order.push('wildcard-1'));
+		rail.on('user.login', () => order.push('exact'));
+		rail.on('**', () => order.push('wildcard-2'));
+
+		const handled = rail.emit('user.login');
+
+		expect(handled).toBe(3);
+		expect(order).toEqual(['wildcard-1', 'exact', 'wildcard-2']);
+	});
+
+	it('should include wildcard listeners in emitAsync', async () => {
+		const rail = new Rail();
+
+		rail.on('job.*', (data, { event }) => `${event}:${data.id}`, 'worker');
+
+		const results = await rail.emitAsync('job.run', { id: 7 });
+
+		expect(results).toEqual([{ module: 'worker', result: 'job.run:7', error: null }]);
+	});
+
+	it('should stop matching after unsubscribe and detach', () => {
+		const rail = new Rail();
+		let count = 0;
+
+		const unsubscribe = rail.on('a.*', () => count++);
+		rail.attach({
+			name: 'wild',
+			connect(rail) {
+				rail.on('a.**', () => count++, 'wild');
+			},
+		});
+
+		rail.emit('a.b');
+		unsubscribe();
+		rail.detach('wild');
+		rail.emit('a.b');
+
+		expect(count).toBe(2);
+		expect(rail.patterns.size).toBe(0);
+		expect(rail.getEvents()['a.*']).toBeUndefined();
+	});
+});
+
+describe('Listener options', () => {
+	it('should call once() listeners a single time', () => {
+		const rail = new Rail();
+		let count = 0;
+
+		rail.once('test.once', () => count++, 'once-module');
+
+		expect(rail.emit('test.once')).toBe(1);
+		expect(rail.emit('test.once')).toBe(0);
+		expect(count).toBe(1);
+		expect(rail.getEvents()['test.once']).toBeUndefined();
+	});
+
+	it('should not deliver a once() listener twice from a nested emit', () => {
+		const rail = new Rail();
+		let count = 0;
+
+		rail.on('outer', () => rail.emit('inner'));
+		rail.on('outer', () => rail.emit('inner'));
+		rail.once('inner', () => count++);
+
+		rail.emit('outer');
+
+		expect(count).toBe(1);
+	});
+
+	it('should accept an options object with module and once', () => {
+		const rail = new Rail();
+		let count = 0;
+
+		rail.on('test.options', () => count++, { module: 'opts', once: true });
+
+		expect(rail.getEvents()['test.options']).toEqual(['opts']);
+		rail.emit('test.options');
+		rail.emit('test.options');
+		expect(count).toBe(1);
+	});
+
+	it('should only deliver events accepted by the filter', () => {
+		const rail = new Rail();
+		const received = [];
+
+		rail.once('state.value', (data) => received.push(data.value), {
+			filter: (data) => data.key === 'todos',
+		});
+
+		expect(rail.emit('state.value', { key: 'theme', value: 'dark' })).toBe(0);
+		expect(rail.emit('state.value', { key: 'todos', value: [1] })).toBe(1);
+		rail.emit('state.value', { key: 'todos', value: [2] });
+
+		expect(received).toEqual([[1]]);
+	});
+
+	it('should skip filtered listeners in emitAsync results', async () => {
+		const rail = new Rail();
+
+		rail.on('calc', (data) => data.n * 2, { module: 'even', filter: (data) => data.n % 2 === 0 });
+		rail.on('calc', (data) => data.n * 3, 'any');
+
+		const results = await rail.emitAsync('calc', { n: 3 });
+
+		expect(results).toEqual([{ module: 'any', result: 9, error: null }]);
+	});
+
+	it('should call higher priority listeners first', () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.on('test.priority', () => order.push('default'));
+		rail.on('test.priority', () => order.push('high'), { priority: 10 });
+		rail.on('test.priority', () => order.push('low'), { priority: -5 });
+		rail.on('test.priority', () => order.push('high-2'), { priority: 10 });
+
+		rail.emit('test.priority');
+
+		expect(order).toEqual(['high', 'high-2', 'default', 'low']);
+	});
+
+	it('should remove the listener when its signal aborts', () => {
+		const rail = new Rail();
+		const controller = new AbortController();
+		let count = 0;
+
+		rail.on('test.signal', () => count++, { signal: controller.signal });
+		rail.emit('test.signal');
+		controller.abort();
+		rail.emit('test.signal');
+
+		expect(count).toBe(1);
+		expect(rail.getEvents()['test.signal']).toBeUndefined();
+	});
+
+	it('should not register a listener with an already aborted signal', () => {
+		const rail = new Rail();
+		const controller = new AbortController();
+		controller.abort();
+
+		rail.on('test.signal', () => {}, { signal: controller.signal });
+
+		expect(rail.getStats().totalListeners).toBe(0);
+	});
+
+	it('should reject invalid options', () => {
+		const rail = new Rail();
+
+		expect(() => rail.on('x', () => {}, { filter: 'nope' })).toThrow('filter must be a function');
+		expect(() => rail.on('x', () => {}, { priority: NaN })).toThrow('priority must be a finite number');
+	});
+});
+
+describe('Dispatch order', () => {
+	it('should run a before-constrained module first regardless of attach order', () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.attach({
+			name: 'database',
+			connect(rail) {
+				rail.on('auth.registration.success', () => order.push('database'), 'database');
+			},
+		});
+		rail.attach({
+			name: 'validation',
+			connect(rail) {
+				rail.on('auth.registration.success', () => order.push('validation'), {
+					module: 'validation',
+					before: 'database',
+				});
+			},
+		});
+
+		rail.emit('auth.registration.success', { user: {} });
+
+		expect(order).toEqual(['validation', 'database']);
+		expect(rail.getEvents()['auth.registration.success']).toEqual(['validation', 'database']);
+	});
+
+	it('should honour after constraints over priority', () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.on('job', () => order.push('audit'), { module: 'audit', priority: 100, after: ['worker'] });
+		rail.on('job', () => order.push('worker'), 'worker');
+		rail.on('job', () => order.push('metrics'), { module: 'metrics', priority: 50 });
+
+		rail.emit('job');
+
+		expect(order).toEqual(['metrics', 'worker', 'audit']);
+	});
+
+	it('should apply constraints across wildcard and exact listeners', async () => {
+		const rail = new Rail();
+
+		rail.on('order.placed', () => 'store', 'store');
+		rail.on('order.*', () => 'check', { module: 'check', before: 'store' });
+
+		const results = await rail.emitAsync('order.placed');
+
+		expect(results.map((r) => r.module)).toEqual(['check', 'store']);
+	});
+
+	it('should fall back to priority order on a constraint cycle', () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.on('loop', () => order.push('a'), { module: 'a', after: 'b' });
+		rail.on('loop', () => order.push('b'), { module: 'b', after: 'a' });
+
+		rail.emit('loop');
+
+		expect(order).toEqual(['a', 'b']);
+	});
+
+	it('should reject non-string constraints', () => {
+		const rail = new Rail();
+		expect(() => rail.on('x', () => {}, { before: [42] })).toThrow('must be module names');
+	});
+});
+
+describe('Middleware', () => {
+	it('should run middleware in order for emit', () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.use((envelope, next) => {
+			order.push(`first:${envelope.event}`);
+			return next();
+		});
+		rail.use((envelope, next) => {
+			order.push(`second:${envelope.async}`);
+			return next();
+		});
+		rail.on('mw.test', () => order.push('handler'));
+
+		expect(rail.emit('mw.test')).toBe(1);
+		expect(order).toEqual(['first:mw.test', 'second:false', 'handler']);
+	});
+
+	it('should transform envelopes passed to next', async () => {
+		const rail = new Rail();
+		const received = [];
+
+		rail.use((envelope, next) =>
+			next({ ...envelope, data: { ...envelope.data, enriched: true } })
+		);
+		rail.use((envelope, next) =>
+			next({ ...envelope, event: envelope.event.replace('legacy.', 'v2.') })
+		);
+		rail.on('v2.user', (data, { event }) => {
+			received.push({ event, data });
+			return 'ok';
+		}, 'v2');
+
+		rail.emit('legacy.user', { id: 1 });
+		const results = await rail.emitAsync('legacy.user', { id: 2 });
+
+		expect(received).toEqual([
+			{ event: 'v2.user', data: { id: 1, enriched: true } },
+			{ event: 'v2.user', data: { id: 2, enriched: true } },
+		]);
+		expect(results).toEqual([{ module: 'v2', result: 'ok', error: null }]);
+	});
+
+	it('should block events when next is not called', async () => {
+		const rail = new Rail();
+		let called = false;
+
+		rail.use((envelope, next) => {
+			if (envelope.event !== 'blocked') return next();
+		});
+		rail.on('blocked', () => {
+			called = true;
+		});
+
+		expect(rail.emit('blocked')).toBe(0);
+		expect(await rail.emitAsync('blocked')).toEqual([]);
+		expect(called).toBe(false);
+	});
+
+	it('should delay async emission until next is called', async () => {
+		const rail = new Rail();
+		const order = [];
+
+		rail.use(async (envelope, next) => {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			order.push('released');
+			return next();
+		});
+		rail.on('slow', () => {
+			order.push('handler');
+			return 'done';
+		});
+
+		const results = await rail.emitAsync('slow');
+
+		expect(order).toEqual(['released', 'handler']);
+		expect(results[0].result).toBe('done');
+	});
+
+	it('should stop running removed middleware', () => {
+		const rail = new Rail();
+		let count = 0;
+
+		const remove = rail.use((envelope, next) => {
+			count++;
+			return next();
+		});
+
+		rail.emit('a');
+		expect(remove()).toBe(true);
+		expect(remove()).toBe(false);
+		rail.emit('a');
+
+		expect(count).toBe(1);
+	});
+
+	it('should reject calling next twice and non-function middleware', () => {
+		const rail = new Rail();
+
+		expect(() => rail.use('nope')).toThrow('Middleware must be a function');
+
+		rail.use((envelope, next) => {
+			next();
+			return next();
+		});
+		expect(() => rail.emit('twice')).toThrow('next() called multiple times');
+	});
+});
+
+describe('Request/response', () => {
+	it('should resolve with the responder result', async () => {
+		const rail = new Rail();
+
+		rail.respond('user.get', (data) => ({ id: data.id, name: `user-${data.id}` }), 'users');
+
+		const user = await rail.request('user.get', { id: 7 });
+
+		expect(user).toEqual({ id: 7, name: 'user-7' });
+	});
+
+	it('should route concurrent replies to their own requester', async () => {
+		const rail = new Rail();
+
+		rail.respond('double', async (data, { correlationId }) => {
+			await new Promise((resolve) => setTimeout(resolve, data.delay));
+			return { value: data.n * 2, correlationId };
+		});
+
+		const [slow, fast] = await Promise.all([
+			rail.request('double', { n: 1, delay: 20 }),
+			rail.request('double', { n: 2, delay: 1 }),
+		]);
+
+		expect(slow.value).toBe(2);
+		expect(fast.value).toBe(4);
+		expect(slow.correlationId).not.toBe(fast.correlationId);
+	});
+
+	it('should let observers and middleware see the request', async () => {
+		const rail = new Rail();
+		const seen = [];
+
+		rail.use((envelope, next) => {
+			seen.push(`mw:${envelope.correlationId !== undefined}`);
+			return next();
+		});
+		rail.on('ping', (data, info) => seen.push(`observer:${info.correlationId !== undefined}`));
+		rail.respond('ping', () => 'pong');
+
+		expect(await rail.request('ping')).toBe('pong');
+		expect(seen).toEqual(['mw:true', 'observer:true']);
+	});
+
+	it('should fail fast without a responder', async () => {
+		const rail = new Rail();
+		rail.on('user.get', () => 'not a responder');
+
+		await expect(rail.request('user.get')).rejects.toThrow("No responder registered for 'user.get'");
+	});
+
+	it('should reject on timeout', async () => {
+		const rail = new Rail();
+		rail.respond('never', () => new Promise(() => {}));
+
+		await expect(rail.request('never', {}, { timeout: 20 })).rejects.toThrow('timed out after 20ms');
+		expect(rail.pendingRequests.size).toBe(0);
+	});
+
+	it('should reject with the responder error', async () => {
+		const rail = new Rail();
+		rail.respond('fail.sync', () => {
+			throw new Error('sync failure');
+		});
+		rail.respond('fail.async', async () => {
+			throw new Error('async failure');
+		});
+
+		await expect(rail.request('fail.sync')).rejects.toThrow('sync failure');
+		await expect(rail.request('fail.async')).rejects.toThrow('async failure');
+	});
+
+	it('should answer through a wildcard responder and ignore plain emits', async () => {
+		const rail = new Rail();
+		let calls = 0;
+
+		rail.respond('data.get.*', (data, { event }) => {
+			calls++;
+			return event;
+		});
+
+		rail.emit('data.get.user');
+		expect(calls).toBe(0);
+		expect(await rail.request('data.get.user')).toBe('data.get.user');
+	});
+
+	it('should clone replies and allow one responder per event', async () => {
+		const rail = new Rail();
+		const state = { items: [1] };
+
+		rail.respond('state', () => state);
+		expect(() => rail.respond('state', () => null)).toThrow('already has a responder');
+
+		const reply = await rail.request('state');
+		reply.items.push(2);
+
+		expect(state.items).toEqual([1]);
+	});
+
+	it('should remove responders on unsubscribe and detach', async () => {
+		const rail = new Rail();
+		const remove = rail.respond('a', () => 'a');
+		rail.attach({
+			name: 'b-module',
+			connect(rail) {
+				rail.respond('b', () => 'b', 'b-module');
+			},
+		});
+
+		remove();
+		rail.detach('b-module');
+
+		await expect(rail.request('a')).rejects.toThrow('No responder');
+		await expect(rail.request('b')).rejects.toThrow('No responder');
+	});
+});
+
+describe('Event history', () => {
+	it('should keep only the newest historySize entries', () => {
+		const rail = new Rail({ historySize: 3 });
+
+		for (let i = 0; i < 5; i++) {
+			rail.emit('tick', { i });
+		}
+
+		expect(rail.getHistory(10).map((e) => e.data.i)).toEqual([2, 3, 4]);
+		expect(rail.getStats()).toMatchObject({ eventsEmitted: 5, historySize: 3, historyDropped: 2 });
+	});
+
+	it('should disable history with historySize 0', () => {
+		const rail = new Rail({ historySize: 0 });
+
+		rail.emit('tick');
+
+		expect(rail.getHistory()).toEqual([]);
+		expect(rail.getStats()).toMatchObject({ eventsEmitted: 1, historySize: 0, historyDropped: 0 });
+	});
+
+	it('should reject a negative or non-numeric historySize', () => {
+		expect(() => new Rail({ historySize: -1 })).toThrow('historySize must be a non-negative number');
+		expect(() => new Rail({ historySize: '50' })).toThrow('historySize must be a non-negative number');
+		expect(() => new Rail({ historySize: NaN })).toThrow('historySize must be a non-negative number');
+		expect(new Rail({ historySize: Infinity }).getStats().historySize).toBe(0);
+	});
+
+	it('should expire entries older than historyTtl', async () => {
+		const rail = new Rail({ historyTtl: 20 });
+
+		rail.emit('old');
+		await new Promise((resolve) => setTimeout(resolve, 40));
+		rail.emit('new');
+
+		expect(rail.getHistory().map((e) => e.event)).toEqual(['new']);
+		expect(rail.getStats().historyDropped).toBe(1);
+	});
+
+	it('should query by event, pattern, time range and limit', () => {
+		const rail = new Rail();
+
+		rail.emit('user.login', { id: 1 });
+		rail.emit('user.logout', { id: 1 });
+		rail.emit('order.placed', { id: 2 });
+		rail.emit('user.login', { id: 3 });
+
+		const [first, , , last] = rail.getHistory();
+
+		expect(rail.queryHistory({ event: 'user.login' }).map((e) => e.data.id)).toEqual([1, 3]);
+		expect(rail.queryHistory({ pattern: 'user.*' }).length).toBe(3);
+		expect(rail.queryHistory({ pattern: 'user.*', limit: 1 })[0].data.id).toBe(3);
+		expect(rail.queryHistory({ since: last.timestamp + 1 })).toEqual([]);
+		expect(rail.queryHistory({ until: first.timestamp - 1 })).toEqual([]);
+		expect(rail.queryHistory({ since: new Date(first.timestamp) }).length).toBe(4);
+	});
+
+	it('should attribute events to the emitting module', () => {
+		const rail = new Rail();
+
+		rail.attach({
+			name: 'auth',
+			connect(rail) {
+				rail.on('user.login', () => rail.emit('auth.success'), 'auth');
+				rail.emit('auth.ready');
+			},
+		});
+		rail.emit('user.login');
+
+		expect(rail.queryHistory({ module: 'auth' }).map((e) => e.event)).toEqual([
+			'auth.ready',
+			'auth.success',
+		]);
+		expect(rail.queryHistory({ event: 'user.login' })[0].module).toBeNull();
+	});
+
+	it('should clear history', () => {
+		const rail = new Rail();
+		rail.emit('a');
+		rail.clearHistory();
+		expect(rail.getHistory()).toEqual([]);
+	});
+});
+
+describe('Replay', () => {
+	it('should rebuild state in a fresh instance from a persisted log', async () => {
+		const source = new Rail();
+		source.emit('audit.add', { action: 'USER_CREATED' });
+		source.emit('other.event');
+		source.emit('audit.add', { action: 'USER_LOGIN' });
+
+		const log = JSON.parse(JSON.stringify(source.getHistory()));
+		const fresh = new Rail();
+		const auditLog = [];
+		fresh.on('audit.add', (data, { replay }) => auditLog.push({ ...data, replay }));
+
+		const summary = await source.replay(log, {
+			target: fresh,
+			filter: (entry) => entry.event.startsWith('audit.'),
+		});
+
+		expect(summary).toEqual({ replayed: 2, skipped: 1 });
+		expect(auditLog).toEqual([
+			{ action: 'USER_CREATED', replay: true },
+			{ action: 'USER_LOGIN', replay: true },
+		]);
+		expect(fresh.getHistory().length).toBe(2);
+	});
+
+	it('should preserve original timing scaled by speed', async () => {
+		const rail = new Rail();
+		const times = [];
+		rail.on('tick', () => times.push(Date.now()));
+
+		const start = Date.now();
+		await rail.replay(
+			[
+				{ event: 'tick', data: {}, timestamp: 1000 },
+				{ event: 'tick', data: {}, timestamp: 1080 },
+			],
+			{ speed: 2 }
+		);
+
+		expect(times.length).toBe(2);
+		expect(times[1] - times[0]).toBeGreaterThanOrEqual(30);
+		expect(Date.now() - start).toBeLessThan(500);
+	});
+
+	it('should reject invalid input', async () => {
+		const rail = new Rail();
+
+		await expect(rail.replay('nope')).rejects.toThrow('must be an array');
+		await expect(rail.replay([], { speed: -1 })).rejects.toThrow('non-negative number');
+	});
+});
+
+describe('Structured cloning', () => {
+	const rail = new Rail();
+
+	it('should clone Maps and Sets deeply', () => {
+		const session = { createdAt: new Date(2024, 0, 1) };
+		const original = {
+			sessions: new Map([['token', session]]),
+			roles: new Set(['admin', { nested: true }]),
+		};
+
+		const copy = rail._deepClone(original);
+		copy.sessions.get('token').createdAt.setFullYear(2030);
+
+		expect(copy.sessions).toBeInstanceOf(Map);
+		expect(copy.roles).toBeInstanceOf(Set);
+		expect(copy.roles.has('admin')).toBe(true);
+		expect([...copy.roles][1]).not.toBe([...original.roles][1]);
+		expect(session.createdAt.getFullYear()).toBe(2024);
+	});
+
+	it('should copy ArrayBuffers, typed arrays and Buffers', () => {
+		const bytes = new Uint8Array([1, 2, 3]);
+		const floats = new Float64Array([1.5, 2.5]);
+		const buffer = Buffer.from('hello');
+		const view = new DataView(new ArrayBuffer(4));
+		view.setInt16(0, 42);
+
+		const copy = rail._deepClone({ bytes, floats, buffer, view, raw: bytes.buffer });
+		copy.bytes[0] = 99;
+		copy.buffer[0] = 72;
+
+		expect(copy.bytes).toBeInstanceOf(Uint8Array);
+		expect(Array.from(copy.floats)).toEqual([1.5, 2.5]);
+		expect(Buffer.isBuffer(copy.buffer)).toBe(true);
+		expect(copy.buffer.toString()).toBe('Hello');
+		expect(buffer.toString()).toBe('hello');
+		expect(bytes[0]).toBe(1);
+		expect(copy.view.getInt16(0)).toBe(42);
+		expect(copy.raw).toBeInstanceOf(ArrayBuffer);
+		expect(copy.raw).not.toBe(bytes.buffer);
+	});
+
+	it('should keep error details', () => {
+		const cause = new Error('root cause');
+		const error = new TypeError('bad input', { cause });
+		error.code = 'E_INPUT';
+
+		const copy = rail._deepClone(error);
+
+		expect(copy).toBeInstanceOf(TypeError);
+		expect(copy).not.toBe(error);
+		expect(copy.message).toBe('bad input');
+		expect(copy.stack).toBe(error.stack);
+		expect(copy.code).toBe('E_INPUT');
+		expect(copy.cause.message).toBe('root cause');
+		expect(copy.cause).not.toBe(cause);
+	});
+
+	it('should clone boxed primitives including BigInt', () => {
+		const copy = rail._deepClone({ big: Object(10n), str: new String('x'), plain: 5n });
+
+		expect(typeof copy.big).toBe('object');
+		expect(copy.big.valueOf()).toBe(10n);
+		expect(copy.str.valueOf()).toBe('x');
+		expect(copy.plain).toBe(5n);
+	});
+
+	it('should handle circular references', () => {
+		const node = { name: 'a', children: [] };
+		node.self = node;
+		node.children.push({ parent: node });
+		const map = new Map();
+		map.set('me', map);
+
+		const copy = rail._deepClone({ node, map });
+
+		expect(copy.node).not.toBe(node);
+		expect(copy.node.self).toBe(copy.node);
+		expect(copy.node.children[0].parent).toBe(copy.node);
+		expect(copy.map.get('me')).toBe(copy.map);
+	});
+
+	it('should preserve class prototypes and use clone hooks', () => {
+		class Point {
+			constructor(x, y) {
+				this.x = x;
+				this.y = y;
+			}
+			length() {
+				return Math.hypot(this.x, this.y);
+			}
+		}
+		class Handle {
+			constructor(id) {
+				this.id = id;
+				this.socket = { open: true };
+			}
+			[Rail.cloneHook]() {
+				return new Handle(`${this.id}-copy`);
+			}
+		}
+
+		const copy = rail._deepClone({ point: new Point(3, 4), handle: new Handle('h1') });
+
+		expect(copy.point).toBeInstanceOf(Point);
+		expect(copy.point.length()).toBe(5);
+		expect(copy.handle).toBeInstanceOf(Handle);
+		expect(copy.handle.id).toBe('h1-copy');
+		expect(Rail.cloneHook).toBe(Symbol.for('railjs.clone'));
+	});
+
+	it('should keep cycles through clone hooks that register their copy', () => {
+		class Node {
+			constructor(name) {
+				this.name = name;
+				this.child = null;
+			}
+			[Rail.cloneHook](clone) {
+				const copy = clone.register(new Node(this.name));
+				copy.child = clone(this.child);
+				return copy;
+			}
+		}
+		class Unregistered extends Node {
+			[Rail.cloneHook](clone) {
+				const copy = new Unregistered(this.name);
+				copy.child = clone(this.child);
+				return copy;
+			}
+		}
+
+		const root = new Node('root');
+		root.child = { parent: root };
+		const copy = rail._deepClone(root);
+		expect(copy).not.toBe(root);
+		expect(copy.child.parent).toBe(copy);
+
+		const loop = new Unregistered('loop');
+		loop.child = { parent: loop };
+		expect(() => rail._deepClone(loop)).toThrow('call clone.register(copy) before cloning nested values');
+	});
+
+	it('should keep array holes and pass functions through', () => {
+		const fn = () => {};
+		const sparse = [1, , 3];
+
+		const copy = rail._deepClone({ sparse, fn, nullProto: Object.create(null) });
+
+		expect(1 in copy.sparse).toBe(false);
+		expect(copy.sparse.length).toBe(3);
+		expect(copy.fn).toBe(fn);
+		expect(Object.getPrototypeOf(copy.nullProto)).toBeNull();
+	});
+
+	it('should isolate Map payloads between listeners', () => {
+		const rail = new Rail();
+		const payload = { sessions: new Map([['a', { active: true }]]) };
+
+		rail.on('sessions', (data) => data.sessions.get('a').active = false);
+		rail.on('sessions', (data) => expect(data.sessions.get('a').active).toBe(true));
+
+		rail.emit('sessions', payload);
+
+		expect(payload.sessions.get('a').active).toBe(true);
+	});
+});
+
+describe('Freeze isolation', () => {
+	it('should share one deep-frozen payload between listeners', () => {
+		const rail = new Rail({ isolation: 'freeze' });
+		const payload = { user: { name: 'Ann' }, tags: ['a'] };
+		const received = [];
+
+		rail.on('user.saved', (data) => received.push(data), 'one');
+		rail.on('user.saved', (data) => received.push(data), 'two');
+		rail.emit('user.saved', payload);
+
+		expect(received[0]).toBe(payload);
+		expect(received[1]).toBe(payload);
+		expect(Object.isFrozen(payload)).toBe(true);
+		expect(Object.isFrozen(payload.user)).toBe(true);
+		expect(Object.isFrozen(payload.tags)).toBe(true);
+		expect(rail.clone).toBe(false);
+	});
+
+	it('should reject mutations from strict-mode handlers', () => {
+		const rail = new Rail({ isolation: 'freeze' });
+		const errors = [];
+		const payload = { sessions: new Map([['a', 1]]), at: new Date(0) };
+
+		rail.on('rail.error', (data) => errors.push(data.module));
+		rail.on('x', (data) => {
+			data.extra = true;
+		}, 'writer');
+		rail.on('x', (data) => data.sessions.set('b', 2), 'map-writer');
+		rail.on('x', (data) => data.at.setFullYear(2030), 'date-writer');
+
+		quietly(() => rail.emit('x', payload));
+
+		expect(errors).toEqual(['writer', 'map-writer', 'date-writer']);
+		expect(payload.sessions.size).toBe(1);
+		expect(payload.at.getTime()).toBe(0);
+	});
+
+	it('should name the mutating module in debug mode', () => {
+		const messages = [];
+		const logs = [console.log, console.error, console.warn];
+		console.log = console.error = console.warn = () => {};
+
+		try {
+			const rail = new Rail({ isolation: 'freeze', debug: true });
+			rail.on('rail.error', (data) => messages.push(data.error));
+			rail.on('order', (data) => {
+				expect(data.items.length).toBe(1);
+				expect(data.lookup.get('k')).toEqual({ v: 1 });
+				expect(JSON.parse(JSON.stringify(data))).toEqual({ items: [{ id: 1 }], lookup: {} });
+				data.items[0].id = 2;
+			}, 'billing');
+			rail.on('order', (data) => data.lookup.get('k').v++, 'counter');
+			rail.on('order', (data) => data.lookup.clear(), 'cleaner');
+
+			rail.emit('order', { items: [{ id: 1 }], lookup: new Map([['k', { v: 1 }]]) });
+		} finally {
+			[console.log, console.error, console.warn] = logs;
+		}
+
+		expect(messages).toEqual([
+			"Module 'billing' tried to set 'id' on frozen 'order' event data",
+			"Module 'counter' tried to set 'v' on frozen 'order' event data",
+			"Module 'cleaner' tried to call clear() on frozen 'order' event data",
+		]);
+	});
+
+	it('should switch modes at runtime and validate them', () => {
+		const rail = new Rail();
+		const data = { n: 1 };
+
+		rail.on('e', (received) => {
+			expect(received).toBe(data);
+		});
+
+		rail.setIsolation('freeze');
+		rail.emit('e', data);
+		expect(Object.isFrozen(data)).toBe(true);
+
+		rail.setClone(true);
+		expect(rail.isolation).toBe('clone');
+		expect(() => rail.setIsolation('copy')).toThrow("Unknown isolation mode 'copy'");
+		expect(() => new Rail({ isolation: 'bogus' })).toThrow('Unknown isolation mode');
+	});
+
+	it('should map clone: false to isolation none', () => {
+		expect(new Rail({ clone: false }).isolation).toBe('none');
+		expect(new Rail().isolation).toBe('clone');
+	});
+});
+
+describe('Event schemas', () => {
+	const loginSchema = {
+		type: 'object',
+		required: ['email', 'password'],
+		additionalProperties: false,
+		properties: {
+			email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+			password: { type: 'string', minLength: 6 },
+			attempts: { type: 'integer', minimum: 0, maximum: 5 },
+			roles: { type: 'array', items: { enum: ['user', 'admin'] }, maxItems: 2 },
+		},
+	};
+
+	it('should deliver valid payloads', () => {
+		const rail = new Rail();
+		let received = null;
+
+		rail.defineEvent('user.login', loginSchema);
+		rail.on('user.login', (data) => {
+			received = data;
+		});
+
+		expect(rail.emit('user.login', { email: 'a@b.c', password: 'secret', roles: ['user'] })).toBe(1);
+		expect(received.email).toBe('a@b.c');
+	});
+
+	it('should reject malformed payloads before listeners run', async () => {
+		const rail = new Rail();
+		const failures = [];
+		let called = false;
+
+		rail.defineEvent('user.login', loginSchema);
+		rail.on('rail.validation.failed', (data) => failures.push(data));
+		rail.on('user.login', () => {
+			called = true;
+		});
+
+		expect(rail.emit('user.login', { email: 'nope' })).toBe(0);
+		expect(await rail.emitAsync('user.login')).toEqual([]);
+
+		expect(called).toBe(false);
+		expect(failures.length).toBe(2);
+		expect(failures[0].event).toBe('user.login');
+		expect(failures[0].mode).toBe('reject');
+		expect(failures[0].errors.map((e) => e.message)).toEqual([
+			'data.password is required',
+			'data.email must match ^[^@]+@[^@]+$',
+		]);
+		expect(rail.getStats()).toMatchObject({ schemas: 1, validationFailures: 2 });
+	});
+
+	it('should deliver invalid payloads in report mode', () => {
+		const rail = new Rail({ validation: 'report' });
+		const failures = [];
+
+		rail.defineEvent('metric', { type: 'object', properties: { value: { type: 'number' } } });
+		rail.defineEvent('strict', { type: 'object', required: ['id'] }, { mode: 'reject' });
+		rail.on('rail.validation.failed', (data) => failures.push(data.event));
+		rail.on('metric', () => {});
+		rail.on('strict', () => {});
+
+		expect(rail.emit('metric', { value: 'high' })).toBe(1);
+		expect(rail.emit('strict', {})).toBe(0);
+		expect(failures).toEqual(['metric', 'strict']);
+	});
+
+	it('should report nested errors through validate()', () => {
+		const rail = new Rail();
+		rail.defineEvent('user.login', loginSchema);
+
+		const { valid, errors } = rail.validate('user.login', {
+			email: 'a@b.c',
+			password: 'short',
+			attempts: 9.5,
+			roles: ['root'],
+			extra: true,
+		});
+
+		expect(valid).toBe(false);
+		expect(errors.map((e) => e.path)).toEqual([
+			'data.password',
+			'data.attempts',
+			'data.roles[0]',
+			'data.extra',
+		]);
+		expect(rail.validate('undefined.event', 42)).toEqual({ valid: true, errors: [] });
+	});
+
+	it('should validate the payload after middleware', () => {
+		const rail = new Rail();
+		rail.defineEvent('stamped', { type: 'object', required: ['at'] });
+		rail.use((envelope, next) => next({ ...envelope, data: { ...envelope.data, at: 1 } }));
+		rail.on('stamped', () => {});
+
+		expect(rail.emit('stamped', {})).toBe(1);
+	});
+
+	it('should protect the auth module from bad input', async () => {
+		const { authModule } = await import('./modules/auth.js');
+		const rail = new Rail();
+		const errors = [];
+		rail.on('rail.error', (data) => errors.push(data));
+		rail.attach(authModule);
+
+		rail.emit('user.register', { email: 'x@y.z' });
+		rail.emit('user.logout');
+
+		expect(errors).toEqual([]);
+		expect(rail.getStats().validationFailures).toBe(2);
+		rail.detach('auth');
+	});
+
+	it('should reject invalid definitions', () => {
+		const rail = new Rail();
+		expect(() => rail.defineEvent('x', null)).toThrow('schema must be an object');
+		expect(() => rail.defineEvent('x', {}, { mode: 'warn' })).toThrow("Unknown validation mode 'warn'");
+		expect(() => new Rail({ validation: 'ignore' })).toThrow('Unknown validation mode');
+	});
+});
+
+describe('Module dependencies', () => {
+	const mod = (name, deps = {}) => ({ name, ...deps, connect() {} });
+
+	it('should refuse to attach a module whose requirement is missing', () => {
+		const rail = new Rail();
+
+		expect(() => rail.attach(mod('email', { requires: ['auth'] }))).toThrow(
+			"Module 'email' requires 'auth', which is not attached"
+		);
+		expect(rail.getModules()).toEqual([]);
+
+		rail.attach(mod('auth')).attach(mod('email', { requires: ['auth'] }));
+		expect(rail.getModules()).toEqual(['auth', 'email']);
+	});
+
+	it('should attach optional dependencies in any order', () => {
+		const rail = new Rail();
+		rail.attach(mod('audit', { optional: ['logger'] }));
+		expect(rail.getModules()).toEqual(['audit']);
+	});
+
+	it('should attach a list in dependency order', () => {
+		const rail = new Rail();
+		rail.attach(mod('database'));
+
+		rail.attachAll([
+			mod('email', { requires: ['auth'] }),
+			mod('audit', { optional: ['logger'] }),
+			mod('auth', { requires: ['database'] }),
+			mod('logger'),
+		]);
+
+		expect(rail.getModules()).toEqual(['database', 'auth', 'email', 'logger', 'audit']);
+	});
+
+	it('should check the whole list before attaching anything', () => {
+		const rail = new Rail();
+
+		expect(() =>
+			rail.attachAll([mod('auth'), mod('email', { requires: ['auth', 'smtp'] })])
+		).toThrow("Module 'email' requires 'smtp', which is not attached");
+		expect(() =>
+			rail.attachAll([mod('a', { requires: ['b'] }), mod('b', { requires: ['a'] })])
+		).toThrow('Circular module dependency: a -> b -> a');
+		expect(() => rail.attachAll([mod('a'), mod('a')])).toThrow("Module 'a' is already attached");
+		expect(() => rail.attachAll([mod('a', { requires: 'b' })])).toThrow(
+			"Module 'a' requires must be an array of module names"
+		);
+
+		expect(rail.getModules()).toEqual([]);
+	});
+
+	it('should not treat optional dependencies as cycles', () => {
+		const rail = new Rail();
+		rail.attachAll([mod('a', { optional: ['b'] }), mod('b', { optional: ['a'] })]);
+		expect(rail.getModules()).toEqual(['b', 'a']);
+	});
+
+	it('should roll back when a connect fails', () => {
+		const rail = new Rail();
+		const broken = { name: 'broken', requires: ['auth'], connect() { throw new Error('boom'); } };
+
+		expect(() => rail.attachAll([mod('auth'), broken])).toThrow(
+			"Failed to connect module 'broken': boom"
+		);
+		expect(rail.getModules()).toEqual([]);
+	});
+
+	it('should refuse to detach a module that others require', () => {
+		const rail = new Rail();
+		const detached = [];
+		rail.on('rail.module.detached', (data) => detached.push(data));
+		rail.attachAll([mod('auth'), mod('email', { requires: ['auth'] }), mod('audit', { optional: ['auth'] })]);
+
+		expect(() => rail.detach('auth')).toThrow(
+			"Cannot detach 'auth': required by 'email' (detach them first or pass { force: true })"
+		);
+		expect(rail.getModules()).toContain('auth');
+
+		expect(rail.detach('auth', { force: true })).toBe(true);
+		expect(detached).toEqual([{ moduleName: 'auth', dependents: ['email'] }]);
+	});
+
+	it('should declare email as dependent on auth', async () => {
+		const [{ authModule }, { emailModule }] = await Promise.all([
+			import('./modules/auth.js'),
+			import('./modules/email.js'),
+		]);
+		const rail = new Rail();
+
+		expect(() => rail.attach(emailModule)).toThrow("requires 'auth'");
+		rail.attachAll([emailModule, authModule]);
+		expect(rail.getModules()).toEqual(['auth', 'email']);
+
+		rail.detach('email');
+		rail.detach('auth');
+	});
+});
+
+describe('Async module lifecycle', () => {
+	const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	it('should wait for connect before announcing the module ready', async () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('rail.module.ready', ({ moduleName }) => seen.push(`ready:${moduleName}`));
+
+		const cache = {
+			name: 'cache',
+			async connect(rail) {
+				await tick(5);
+				this.entries = { a: 1 };
+				seen.push('loaded');
+				rail.respond('cache.get', (key) => this.entries[key], 'cache');
+			},
+		};
+
+		const attaching = rail.attachAsync(cache);
+		expect(rail.getModules()).toEqual(['cache']);
+		expect(seen).toEqual([]);
+
+		expect(await attaching).toBe(rail);
+		expect(seen).toEqual(['loaded', 'ready:cache']);
+		expect(await rail.request('cache.get', 'a')).toBe(1);
+	});
+
+	it('should roll back listeners registered by a failed connect', async () => {
+		const rail = new Rail();
+		const ready = [];
+		rail.on('rail.module.ready', (data) => ready.push(data));
+
+		const broken = {
+			name: 'broken',
+			async connect(rail) {
+				rail.on('orders.created', () => {}, 'broken');
+				rail.respond('orders.count', () => 0, 'broken');
+				await tick(1);
+				throw new Error('database unavailable');
+			},
+		};
+
+		await expect(rail.attachAsync(broken)).rejects.toThrow(
+			"Failed to connect module 'broken': database unavailable"
+		);
+		expect(rail.getModules()).toEqual([]);
+		expect(rail.getEvents()).toEqual({ 'rail.module.ready': ['anonymous'] });
+		await expect(rail.request('orders.count')).rejects.toThrow('No responder');
+		expect(ready).toEqual([]);
+	});
+
+	it('should follow an async connect passed to attach', async () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('rail.module.ready', ({ moduleName }) => seen.push(`ready:${moduleName}`));
+		rail.on('rail.error', ({ module, error }) => seen.push(`error:${module}:${error}`));
+		const connecting = (name, fail) => ({
+			name,
+			async connect(ctx) {
+				ctx.on('orders.created', () => {});
+				await tick(1);
+				if (fail) throw new Error('database unavailable');
+			},
+		});
+
+		rail.attach(connecting('cache'));
+		rail.attach(connecting('broken', true));
+		await quietly(() => tick(5));
+
+		expect(seen).toEqual(['ready:cache', 'error:broken:database unavailable']);
+		expect(rail.getModules()).toEqual(['cache']);
+		expect(rail.getEvents()['orders.created']).toEqual(['cache']);
+	});
+
+	it('should reject when the module is detached while connecting', async () => {
+		const rail = new Rail();
+		const ready = [];
+		rail.on('rail.module.ready', (data) => ready.push(data));
+		let finish;
+		const attaching = rail.attachAsync({
+			name: 'slow',
+			connect: () => new Promise((resolve) => {
+				finish = resolve;
+			}),
+		});
+
+		rail.detach('slow');
+		finish();
+		await expect(attaching).rejects.toThrow("Module 'slow' was detached while connecting");
+		expect(rail.getModules()).toEqual([]);
+		expect(ready).toEqual([]);
+	});
+
+	it('should time out a slow connect and clean up after it', async () => {
+		const rail = new Rail({ moduleTimeout: 10 });
+		let finish;
+		const slow = {
+			name: 'slow',
+			connect(rail) {
+				return new Promise((resolve) => {
+					finish = () => {
+						rail.on('late', () => {}, 'slow');
+						resolve();
+					};
+				});
+			},
+		};
+
+		await expect(rail.attachAsync(slow)).rejects.toThrow(
+			"Failed to connect module 'slow': timed out after 10ms"
+		);
+		expect(finish).toThrow("Module 'slow' is not attached; its rail context was revoked");
+		await tick(0);
+
+		expect(rail.getModules()).toEqual([]);
+		expect(rail.getEvents()).toEqual({});
+	});
+
+	it('should accept a per-call timeout and sync connect', async () => {
+		const rail = new Rail({ moduleTimeout: 10 });
+		await rail.attachAsync({ name: 'sync', connect() {} });
+		await rail.attachAsync(
+			{ name: 'patient', connect: () => tick(20) },
+			{ timeout: 0 }
+		);
+		expect(rail.getModules()).toEqual(['sync', 'patient']);
+	});
+
+	it('should apply the same checks as attach', async () => {
+		const rail = new Rail();
+		await expect(rail.attachAsync({ name: 'email', requires: ['auth'] })).rejects.toThrow(
+			"Module 'email' requires 'auth'"
+		);
+		await expect(rail.attachAsync(null)).rejects.toThrow('Module must be an object');
+	});
+
+	it('should not report a module ready when attach ignores its promise', () => {
+		const rail = new Rail();
+		const events = [];
+		rail.on('rail.module.*', (data, { event }) => events.push(event));
+
+		rail.attach({ name: 'sync', connect() {} });
+		rail.attach({ name: 'async', connect: async () => {} });
+
+		expect(events).toEqual([
+			'rail.module.attached',
+			'rail.module.ready',
+			'rail.module.attached',
+		]);
+	});
+
+	it('should roll back listeners when a sync connect throws', () => {
+		const rail = new Rail();
+		const broken = {
+			name: 'broken',
+			connect(rail) {
+				rail.on('x', () => {}, 'broken');
+				throw new Error('nope');
+			},
+		};
+
+		expect(() => rail.attach(broken)).toThrow("Failed to connect module 'broken': nope");
+		expect(rail.getEvents()).toEqual({});
+	});
+
+	it('should wait for disconnect', async () => {
+		const rail = new Rail();
+		const steps = [];
+		rail.on('rail.module.detached', () => steps.push('detached'));
+		rail.attach({
+			name: 'cache',
+			connect(rail) {
+				rail.on('cache.get', () => {}, 'cache');
+			},
+			async disconnect() {
+				await tick(5);
+				steps.push('flushed');
+			},
+		});
+
+		const detaching = rail.detachAsync('cache');
+		expect(rail.emit('cache.get')).toBe(0);
+		expect(rail.getModules()).toEqual(['cache']);
+
+		expect(await detaching).toBe(true);
+		expect(steps).toEqual(['flushed', 'detached']);
+		expect(rail.getModules()).toEqual([]);
+		expect(await rail.detachAsync('cache')).toBe(false);
+	});
+
+	it('should detach anyway when disconnect fails or hangs', async () => {
+		const rail = new Rail();
+		const errors = [];
+		const originalError = console.error;
+		console.error = (...args) => errors.push(args);
+
+		try {
+			rail.attach({ name: 'failing', disconnect: async () => { throw new Error('flush failed'); } });
+			rail.attach({ name: 'hanging', disconnect: () => new Promise(() => {}) });
+
+			await rail.detachAsync('failing');
+			await rail.detachAsync('hanging', { timeout: 5 });
+		} finally {
+			console.error = originalError;
+		}
+
+		expect(rail.getModules()).toEqual([]);
+		expect(errors.map((args) => args[1].message)).toEqual(['flush failed', 'timed out after 5ms']);
+	});
+
+	it('should refuse to detach a required module', async () => {
+		const rail = new Rail();
+		rail.attach({ name: 'auth' }).attach({ name: 'email', requires: ['auth'] });
+
+		await expect(rail.detachAsync('auth')).rejects.toThrow("Cannot detach 'auth'");
+		expect(await rail.detachAsync('auth', { force: true })).toBe(true);
+	});
+});
+
+describe('Module context', () => {
+	it('should tag listeners and responders with the owning module', async () => {
+		const rail = new Rail();
+		rail.attach({
+			name: 'orders',
+			connect(ctx) {
+				ctx.on('order.placed', () => {});
+				ctx.on('order.*', () => {}, 'ordres'); // typo is overridden
+				ctx.once('order.cancelled', () => {}, { priority: 5 });
+				ctx.respond('order.count', () => 3);
+			},
+		});
+
+		expect(rail.getEvents()).toEqual({
+			'order.placed': ['orders'],
+			'order.*': ['orders'],
+			'order.cancelled': ['orders'],
+			'order.count': ['orders'],
+		});
+		expect(await rail.request('order.count')).toBe(3);
+
+		rail.detach('orders');
+		expect(rail.getEvents()).toEqual({});
+		await expect(rail.request('order.count')).rejects.toThrow('No responder');
+	});
+
+	it('should attribute and record emitted events', async () => {
+		const rail = new Rail();
+		let ctx;
+		rail.attach({
+			name: 'auth',
+			connect(context) {
+				ctx = context;
+			},
+		});
+		rail.attach({ name: 'audit', connect: (c) => c.emit('audit.started') });
+
+		setTimeout(() => ctx.emit('auth.success', { id: 1 }), 0);
+		await rail.waitFor('auth.success');
+		await ctx.emitAsync('auth.logout.success');
+
+		expect(rail.queryHistory({ event: 'auth.success' })[0].module).toBe('auth');
+		expect(rail.getEmitters()).toEqual({
+			'auth.success': ['auth'],
+			'auth.logout.success': ['auth'],
+			'audit.started': ['audit'],
+		});
+		expect(ctx.emitted).toEqual(new Set(['auth.success', 'auth.logout.success']));
+	});
+
+	it('should pass emitAsync options through', async () => {
+		const rail = new Rail();
+		let ctx;
+		rail.attach({
+			name: 'pricing',
+			connect(context) {
+				ctx = context;
+			},
+		});
+		rail.on('price', (price) => price * 2, 'double');
+		rail.on('price', (price) => price + 1, 'plusOne');
+
+		const results = await ctx.emitAsync('price', 5, { mode: 'waterfall' });
+		expect(results.map((r) => r.result)).toEqual([10, 11]);
+
+		const controller = new AbortController();
+		controller.abort();
+		await expect(ctx.emitAsync('price', 5, { signal: controller.signal })).rejects.toThrow();
+	});
+
+	it('should revoke the context after detach', () => {
+		const rail = new Rail();
+		let ctx;
+		let handler;
+		rail.attach({
+			name: 'timer',
+			connect(context) {
+				ctx = context;
+				handler = () => context.emit('tick');
+			},
+			disconnect(context) {
+				context.emit('timer.stopping');
+			},
+		});
+		const seen = [];
+		rail.on('timer.stopping', () => seen.push('stopping'));
+
+		rail.detach('timer');
+
+		expect(seen).toEqual(['stopping']);
+		expect(ctx.revoked).toBe(true);
+		expect(handler).toThrow("Module 'timer' is not attached; its rail context was revoked");
+		expect(() => ctx.on('x', () => {})).toThrow('revoked');
+		expect(() => ctx.rail).toThrow('revoked');
+		expect(rail.getEmitters()).toEqual({});
+	});
+
+	it('should remove middleware added through the context on detach', () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.attach({
+			name: 'tracer',
+			connect(ctx) {
+				ctx.use((envelope, next) => {
+					seen.push(envelope.event);
+					return next();
+				});
+			},
+		});
+
+		rail.emit('a');
+		rail.detach('tracer');
+		rail.emit('b');
+
+		expect(seen).toEqual(['rail.module.attached', 'rail.module.ready', 'a']);
+	});
+
+	it('should expose the rail and chain schema definitions', () => {
+		const rail = new Rail();
+		rail.attach({
+			name: 'forms',
+			connect(ctx) {
+				expect(ctx.rail).toBeInstanceOf(Rail);
+				expect(ctx.rail.getStats()).toEqual(rail.getStats());
+				expect(ctx.module).toBe('forms');
+				expect(ctx.defineEvent('form.a', { type: 'object' })).toBe(ctx);
+			},
+		});
+		expect(rail.getStats().schemas).toBe(1);
+	});
+
+	it('should remove listeners registered while disconnecting', async () => {
+		const rail = new Rail();
+		const seen = [];
+		const module = (name, disconnect) => ({
+			name,
+			disconnect(ctx) {
+				ctx.on('late', () => seen.push(name));
+				return disconnect && disconnect();
+			},
+		});
+		rail.attach(module('sync'));
+		rail.attach(module('async', () => new Promise((resolve) => setTimeout(resolve, 0))));
+
+		rail.detach('sync');
+		await rail.detachAsync('async');
+		rail.emit('late');
+
+		expect(seen).toEqual([]);
+		expect(rail.getEvents()).toEqual({});
+	});
+
+	it('should remove schemas the module defined when it is detached or fails to connect', () => {
+		const rail = new Rail();
+		rail.attach({
+			name: 'forms',
+			connect(ctx) {
+				ctx.defineEvent('form.a', { type: 'object', required: ['id'] });
+				ctx.defineEvent('form.b', { type: 'object', required: ['id'] });
+			},
+		});
+		rail.defineEvent('form.b', { type: 'object' }); // the application takes over form.b
+
+		rail.detach('forms');
+		expect(rail.validate('form.a', {}).valid).toBe(true);
+		expect(rail.validate('form.b', 'text').valid).toBe(false);
+		expect(rail.getStats().schemas).toBe(1);
+
+		expect(() =>
+			rail.attach({
+				name: 'broken',
+				connect(ctx) {
+					ctx.defineEvent('broken.x', { type: 'object' });
+					throw new Error('no config');
+				},
+			})
+		).toThrow('no config');
+		expect(rail.validate('broken.x', 'text').valid).toBe(true);
+	});
+});
+
+describe('Module permissions', () => {
+	const auth = {
+		name: 'auth',
+		listens: ['user.*'],
+		emits: ['auth.success', 'auth.failed'],
+		connect(rail) {
+			rail.on('user.login', (data) => rail.emit(data.ok ? 'auth.success' : 'auth.failed'));
+		},
+	};
+
+	it('should allow declared emits and subscriptions', () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('auth.*', (data, { event }) => seen.push(event));
+		rail.attach(auth);
+
+		rail.emit('user.login', { ok: true });
+		rail.emit('user.login', { ok: false });
+
+		expect(seen).toEqual(['auth.success', 'auth.failed']);
+		expect(rail.getStats().permissionDenials).toBe(0);
+	});
+
+	it('should block undeclared emits and report them', () => {
+		const rail = new Rail();
+		const denied = [];
+		let delivered = false;
+		rail.on('rail.permission.denied', (data) => denied.push(data));
+		rail.on('auth.success', () => {
+			delivered = true;
+		});
+
+		rail.attach({
+			name: 'rogue',
+			emits: ['rogue.*'],
+			connect(rail) {
+				rail.on('tick', () => rail.emit('auth.success', { user: 'admin' }));
+			},
+		});
+
+		rail.emit('tick');
+
+		expect(delivered).toBe(false);
+		expect(denied).toEqual([
+			{ module: 'rogue', action: 'emit', event: 'auth.success', mode: 'enforce' },
+		]);
+		expect(rail.queryHistory({ event: 'auth.success' })).toEqual([]);
+		expect(rail.getStats().permissionDenials).toBe(1);
+	});
+
+	it('should check emits made after an await', async () => {
+		const rail = new Rail();
+		const delivered = [];
+		rail.on('auth.success', (data) => delivered.push(data.via));
+
+		rail.attach({
+			name: 'rogue',
+			emits: ['rogue.*'],
+			connect(ctx) {
+				ctx.on('tick', async () => {
+					await null;
+					ctx.rail.emit('auth.success', { via: 'rail' });
+					ctx.emit('auth.success', { via: 'context' });
+					await ctx.rail.emitAsync('auth.success', { via: 'rail async' });
+					ctx.rail.emit('rogue.done');
+				});
+			},
+		});
+
+		rail.emit('tick');
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		const settled = rail.queryHistory({ event: 'rogue.done' });
+
+		expect(delivered).toEqual([]);
+		expect(rail.getStats().permissionDenials).toBe(3);
+		expect(settled.map(({ module }) => module)).toEqual(['rogue']);
+	});
+
+	it('should check waitFor and subscriptions made through the context rail', async () => {
+		const rail = new Rail();
+		const seen = [];
+		let ctx;
+		rail.attach({
+			name: 'snoop',
+			listens: ['public.*'],
+			connect(context) {
+				ctx = context;
+			},
+		});
+
+		await expect(ctx.waitFor('secret.token', 100)).rejects.toThrow("Module 'snoop' may not listen for 'secret.token'");
+		await expect(ctx.rail.waitFor('secret.token', 100)).rejects.toThrow('may not listen');
+		ctx.rail.on('secret.token', (data) => seen.push(data.token));
+		ctx.rail.once('secret.token', (data) => seen.push(data.token));
+		ctx.rail.respond('secret.get', () => 'token');
+		const news = ctx.waitFor('public.news', 100);
+		ctx.rail.on('public.news', () => seen.push('news'), 'someone-else');
+
+		rail.emit('secret.token', { token: 't0p' });
+		rail.emit('public.news');
+		await expect(news).resolves.toEqual({});
+		await expect(rail.request('secret.get')).rejects.toThrow('No responder');
+		expect(seen).toEqual(['news']);
+		expect(rail.getEvents()).toEqual({ 'public.news': ['snoop'] });
+		expect(rail.getStats().permissionDenials).toBe(5);
+	});
+
+	it('should block undeclared subscriptions and responders', async () => {
+		const rail = new Rail();
+		const denied = [];
+		rail.on('rail.permission.denied', ({ action, event }) => denied.push(`${action}:${event}`));
+
+		rail.attach({
+			name: 'snoop',
+			listens: ['user.*'],
+			connect(rail) {
+				rail.on('user.login', () => {});
+				rail.on('user.**', () => {});
+				rail.on('*', () => {});
+				rail.respond('auth.validate', () => true);
+			},
+		});
+
+		expect(rail.getEvents()['user.login']).toEqual(['snoop']);
+		expect(rail.getEvents()['user.**']).toBeUndefined();
+		expect(rail.getEvents()['*']).toBeUndefined();
+		await expect(rail.request('auth.validate')).rejects.toThrow('No responder');
+		expect(denied).toEqual(['listen:user.**', 'listen:*', 'listen:auth.validate']);
+	});
+
+	it('should reject requests outside the emits declaration', async () => {
+		const rail = new Rail();
+		rail.respond('data.get.user', () => ({ id: 1 }));
+
+		let request;
+		rail.attach({
+			name: 'reports',
+			emits: ['reports.*'],
+			connect(rail) {
+				request = () => rail.request('data.get.user', {});
+			},
+		});
+
+		await expect(request()).rejects.toThrow("Module 'reports' may not emit 'data.get.user'");
+	});
+
+	it('should only report violations in audit mode', () => {
+		const rail = new Rail({ permissions: 'audit' });
+		const denied = [];
+		rail.on('rail.permission.denied', (data) => denied.push(data.mode));
+
+		rail.attach({
+			name: 'legacy',
+			emits: [],
+			listens: [],
+			connect(rail) {
+				rail.on('anything', () => rail.emit('other'));
+			},
+		});
+
+		expect(rail.emit('anything')).toBe(1);
+		expect(denied).toEqual(['audit', 'audit']);
+		expect(rail.queryHistory({ event: 'other' }).length).toBe(1);
+	});
+
+	it('should count each request and responder violation once', async () => {
+		const rail = new Rail({ permissions: 'audit' });
+		const denied = [];
+		rail.on('rail.permission.denied', ({ action, event }) => denied.push(`${action}:${event}`));
+		rail.respond('data.get.user', () => ({ id: 1 }));
+
+		let request;
+		rail.attach({
+			name: 'legacy',
+			emits: [],
+			listens: [],
+			connect(rail) {
+				rail.respond('auth.validate', () => true);
+				request = () => rail.request('data.get.user');
+			},
+		});
+
+		expect(await request()).toEqual({ id: 1 });
+		expect(denied).toEqual(['listen:auth.validate', 'emit:data.get.user']);
+		expect(rail.getStats().permissionDenials).toBe(2);
+	});
+
+	it('should leave undeclared modules and the application unrestricted', () => {
+		const rail = new Rail();
+		rail.attach({
+			name: 'free',
+			connect(rail) {
+				rail.on('*', () => {});
+				rail.emit('auth.success');
+			},
+		});
+		rail.attach(auth);
+
+		rail.emit('auth.success'); // application code may emit anything
+		expect(rail.getStats().permissionDenials).toBe(0);
+	});
+
+	it('should never attribute rail events to the running module', () => {
+		const rail = new Rail();
+		const denied = [];
+		rail.on('rail.permission.denied', (data) => denied.push(data));
+		rail.on('rail.error', () => {});
+
+		rail.attach({
+			name: 'broken',
+			emits: ['broken.step'],
+			listens: ['broken.*'],
+			connect(rail) {
+				rail.on('broken.step', () => {
+					throw new Error('fail');
+				});
+				rail.on('broken.start', () => rail.emit('broken.step'));
+			},
+		});
+
+		const originalError = console.error;
+		console.error = () => {};
+		try {
+			rail.emit('broken.start');
+		} finally {
+			console.error = originalError;
+		}
+
+		expect(denied).toEqual([]);
+		expect(rail.queryHistory({ event: 'rail.error' })[0].module).toBe(null);
+	});
+
+	it('should validate declarations and mode', () => {
+		const rail = new Rail();
+		expect(() => rail.attach({ name: 'bad', emits: 'auth.*' })).toThrow(
+			"Module 'bad' emits must be an array of event names"
+		);
+		expect(() => new Rail({ permissions: 'off' })).toThrow("Unknown permissions mode 'off'");
+	});
+
+	it('should declare what the bundled modules emit and listen to', async () => {
+		const modules = await Promise.all(
+			['auth', 'database', 'email', 'logger', 'notifications'].map((name) =>
+				import(`./modules/${name}.js`).then((m) => m.default)
+			)
+		);
+		const rail = new Rail();
+		const { log, error } = console;
+		console.log = console.error = () => {};
+
+		try {
+			rail.attachAll(modules);
+			rail.emit('user.register', { email: 'new@example.com', password: 'secret123', name: 'New' });
+			rail.emit('user.login', { email: 'new@example.com', password: 'secret123' });
+			rail.emit('email.send', { to: 'new@example.com', subject: 'Hi', body: 'Hello' });
+			rail.emit('logs.get', {});
+		} finally {
+			Object.assign(console, { log, error });
+		}
+
+		expect(rail.getStats().permissionDenials).toBe(0);
+	});
+});
+
+describe('Handler timeouts', () => {
+	it('should report a hung handler without holding up the others', async () => {
+		const rail = new Rail({ handlerTimeout: 20 });
+		const errors = [];
+		rail.on('rail.error', (data) => errors.push(data));
+		rail.on('health.check', () => new Promise(() => {}), 'database');
+		rail.on('health.check', async () => 'ok', 'cache');
+
+		const started = Date.now();
+		const results = await quietly(() => rail.emitAsync('health.check'));
+
+		expect(Date.now() - started).toBeLessThan(1000);
+		expect(results).toEqual([
+			{
+				module: 'database',
+				result: null,
+				error: 'timeout',
+				timedOut: true,
+				details: expect.objectContaining({ message: 'timed out after 20ms' }),
+			},
+			{ module: 'cache', result: 'ok', error: null },
+		]);
+		expect(errors).toEqual([
+			expect.objectContaining({ module: 'database', event: 'health.check', error: 'timeout', timedOut: true }),
+		]);
+	});
+
+	it('should let a listener override the default', async () => {
+		const rail = new Rail({ handlerTimeout: 5 });
+		const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+		rail.on('job', () => tick(30).then(() => 'slow but allowed'), { module: 'worker', timeout: 200 });
+		rail.on('job', () => tick(30).then(() => 'too slow'), { module: 'impatient', timeout: 10 });
+
+		const results = await quietly(() => rail.emitAsync('job'));
+
+		expect(results.map((r) => r.result)).toEqual(['slow but allowed', null]);
+		expect(results[1].timedOut).toBe(true);
+	});
+
+	it('should wait forever when the timeout is 0', async () => {
+		const rail = new Rail({ handlerTimeout: 0 });
+		rail.on('job', () => new Promise((resolve) => setTimeout(() => resolve('done'), 20)));
+		expect(await rail.emitAsync('job')).toEqual([{ module: 'anonymous', result: 'done', error: null }]);
+	});
+
+	it('should keep reporting handler errors as before', async () => {
+		const rail = new Rail({ handlerTimeout: 50 });
+		rail.on('job', async () => {
+			throw new Error('broken');
+		}, 'worker');
+
+		const results = await quietly(() => rail.emitAsync('job'));
+		expect(results).toEqual([
+			{ module: 'worker', result: null, error: 'broken', details: expect.objectContaining({ message: 'broken' }) },
+		]);
+	});
+
+	it('should reject invalid listener timeouts', () => {
+		const rail = new Rail();
+		expect(() => rail.on('x', () => {}, { timeout: -1 })).toThrow(
+			'Listener timeout must be a non-negative number'
+		);
+	});
+});
+
+describe('emitAsync modes', () => {
+	const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+	it('should run handlers one at a time in sequential mode', async () => {
+		const rail = new Rail();
+		const log = [];
+		rail.on('job', async () => {
+			log.push('low:start');
+			await tick(5);
+			log.push('low:end');
+			return 'low';
+		}, 'low');
+		rail.on('job', async () => {
+			log.push('high:start');
+			await tick(5);
+			log.push('high:end');
+			return 'high';
+		}, { module: 'high', priority: 10 });
+
+		const results = await rail.emitAsync('job', {}, { mode: 'sequential' });
+
+		expect(log).toEqual(['high:start', 'high:end', 'low:start', 'low:end']);
+		expect(results.map((r) => r.result)).toEqual(['high', 'low']);
+	});
+
+	it('should resolve with the first handler to settle in race mode', async () => {
+		const rail = new Rail();
+		rail.on('lookup', () => tick(30).then(() => 'slow'), 'primary');
+		rail.on('lookup', async () => {
+			await tick(5);
+			throw new Error('replica down');
+		}, 'replica');
+
+		const results = await quietly(() => rail.emitAsync('lookup', {}, { mode: 'race' }));
+		expect(results).toMatchObject([{ module: 'replica', result: null, error: 'replica down' }]);
+	});
+
+	it('should resolve with the first success in any mode', async () => {
+		const rail = new Rail();
+		rail.on('lookup', () => tick(20).then(() => 'slow'), 'primary');
+		rail.on('lookup', async () => {
+			throw new Error('replica down');
+		}, 'replica');
+
+		const results = await quietly(() => rail.emitAsync('lookup', {}, { mode: 'any' }));
+		expect(results).toEqual([{ module: 'primary', result: 'slow', error: null }]);
+
+		rail.off('lookup', 1);
+		const failures = await quietly(() => rail.emitAsync('lookup', {}, { mode: 'any' }));
+		expect(failures).toMatchObject([{ module: 'replica', result: null, error: 'replica down' }]);
+	});
+
+	it('should resolve once the quorum has succeeded', async () => {
+		const rail = new Rail();
+		rail.on('write', () => tick(5).then(() => 'a'), 'a');
+		rail.on('write', () => new Promise(() => {}), { module: 'hung', timeout: 0 });
+		rail.on('write', () => tick(10).then(() => 'c'), 'c');
+
+		const acks = await rail.emitAsync('write', {}, { mode: 'quorum', quorum: 2 });
+		expect(acks.map((r) => r.module)).toEqual(['a', 'c']);
+	});
+
+	it('should return every result when the quorum cannot be met', async () => {
+		const rail = new Rail();
+		rail.on('write', async () => 'ok', 'a');
+		rail.on('write', async () => {
+			throw new Error('disk full');
+		}, 'b');
+
+		const results = await quietly(() => rail.emitAsync('write', {}, { mode: 'quorum', quorum: 2 }));
+		expect(results.map((r) => r.error)).toEqual([null, 'disk full']);
+	});
+
+	it('should feed each return value to the next handler in waterfall mode', async () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('order.price', (order) => ({ ...order, total: order.items.reduce((a, b) => a + b, 0) }), { module: 'pricing', priority: 2 });
+		rail.on('order.price', (order) => {
+			seen.push(order.total);
+		}, { module: 'audit', priority: 1 });
+		rail.on('order.price', async (order) => ({ ...order, total: order.total * 0.9 }), 'discounts');
+
+		const steps = await rail.emitAsync('order.price', { items: [10, 20] }, { mode: 'waterfall' });
+
+		expect(seen).toEqual([30]);
+		expect(steps.map((s) => s.module)).toEqual(['pricing', 'audit', 'discounts']);
+		expect(steps[steps.length - 1].result).toEqual({ items: [10, 20], total: 27 });
+	});
+
+	it('should stop the waterfall at the first failure', async () => {
+		const rail = new Rail();
+		let reached = false;
+		rail.on('pipeline', () => {
+			throw new Error('invalid');
+		}, { module: 'validator', priority: 1 });
+		rail.on('pipeline', () => {
+			reached = true;
+		}, 'writer');
+
+		const steps = await quietly(() => rail.emitAsync('pipeline', {}, { mode: 'waterfall' }));
+		expect(steps).toMatchObject([{ module: 'validator', result: null, error: 'invalid' }]);
+		expect(reached).toBe(false);
+	});
+
+	it('should keep each waterfall step isolated', async () => {
+		const rail = new Rail({ isolation: 'freeze' });
+		rail.on('build', () => ({ parts: ['a'] }), { module: 'first', priority: 1 });
+		rail.on('build', (value) => Object.isFrozen(value.parts), 'second');
+
+		const steps = await rail.emitAsync('build', {}, { mode: 'waterfall' });
+		expect(steps[1].result).toBe(true);
+	});
+
+	it('should reject unknown modes and bad quorums', async () => {
+		const rail = new Rail();
+		await expect(rail.emitAsync('x', {}, { mode: 'serial' })).rejects.toThrow("Unknown emitAsync mode 'serial'");
+		await expect(rail.emitAsync('x', {}, { mode: 'quorum', quorum: 0 })).rejects.toThrow(
+			'emitAsync quorum must be a positive integer'
+		);
+		expect(await rail.emitAsync('x', {}, { mode: 'race' })).toEqual([]);
+	});
+});
+
+describe('Retry policies', () => {
+	it('should retry a failing async handler and report attempts', async () => {
+		const rail = new Rail();
+		const retries = [];
+		rail.on('rail.retry', (data) => retries.push(data));
+		let calls = 0;
+		rail.on('charge', () => {
+			calls++;
+			if (calls < 3) throw new Error('busy');
+			return 'ok';
+		}, { module: 'payments', retry: { attempts: 3, delay: 1, jitter: 0 } });
+
+		const [result] = await rail.emitAsync('charge', {});
+
+		expect(result).toEqual({ module: 'payments', result: 'ok', error: null, attempts: 3 });
+		expect(retries.map((r) => [r.attempt, r.attempts, r.error])).toEqual([
+			[1, 3, 'busy'],
+			[2, 3, 'busy'],
+		]);
+		expect(retries[1].delay).toBe(2);
+	});
+
+	it('should give up after the last attempt', async () => {
+		const rail = new Rail();
+		const errors = [];
+		rail.on('rail.error', (data) => errors.push(data));
+		rail.on('charge', () => {
+			throw new Error('down');
+		}, { module: 'payments', retry: { attempts: 2, delay: 0 } });
+
+		const [result] = await quietly(() => rail.emitAsync('charge', {}));
+
+		expect(result).toMatchObject({ module: 'payments', result: null, error: 'down', attempts: 2 });
+		expect(errors).toHaveLength(1);
+		expect(errors[0].attempts).toBe(2);
+	});
+
+	it('should only retry errors accepted by retryIf', async () => {
+		const rail = new Rail();
+		let calls = 0;
+		rail.on('charge', () => {
+			calls++;
+			throw new Error('declined');
+		}, {
+			module: 'payments',
+			retry: { attempts: 5, delay: 0, retryIf: (error) => error.message !== 'declined' },
+		});
+
+		const [result] = await quietly(() => rail.emitAsync('charge', {}));
+		expect(calls).toBe(1);
+		expect(result.attempts).toBe(1);
+	});
+
+	it('should apply event policies and let listeners override them', async () => {
+		const rail = new Rail();
+		const calls = { a: 0, b: 0 };
+		rail.setRetryPolicy('sync', { attempts: 3, delay: 0 });
+		rail.on('sync', () => {
+			calls.a++;
+			throw new Error('fail');
+		}, 'a');
+		rail.on('sync', () => {
+			calls.b++;
+			throw new Error('fail');
+		}, { module: 'b', retry: 1 });
+
+		const results = await quietly(() => rail.emitAsync('sync', {}));
+		expect(calls).toEqual({ a: 3, b: 1 });
+		expect(results.map((r) => r.attempts)).toEqual([3, 1]);
+
+		rail.setRetryPolicy('sync', null);
+		const [plain] = await quietly(() => rail.emitAsync('sync', {}));
+		expect(plain.attempts).toBeUndefined();
+	});
+
+	it('should hand each attempt a fresh copy of the data', async () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('job', (data) => {
+			seen.push(data.count);
+			data.count++;
+			if (seen.length < 2) throw new Error('again');
+		}, { module: 'worker', retry: { attempts: 2, delay: 0 } });
+
+		await quietly(() => rail.emitAsync('job', { count: 0 }));
+		expect(seen).toEqual([0, 0]);
+	});
+
+	it('should retry sync emit handlers in the background', async () => {
+		const rail = new Rail();
+		let calls = 0;
+		const done = rail.waitFor('rail.retry', 1000);
+		rail.on('notify', () => {
+			calls++;
+			if (calls === 1) throw new Error('flaky');
+		}, { module: 'mailer', retry: { attempts: 2, delay: 0 } });
+
+		expect(rail.emit('notify', {})).toBe(0);
+		expect(calls).toBe(1);
+		await done;
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		expect(calls).toBe(2);
+	});
+
+	it('should spread delays with jitter within bounds', async () => {
+		const rail = new Rail();
+		const delays = [];
+		rail.on('rail.retry', (data) => delays.push(data.delay));
+		rail.on('x', () => {
+			throw new Error('no');
+		}, { module: 'm', retry: { attempts: 4, delay: 10, factor: 1, jitter: 0.5, maxDelay: 12 } });
+
+		await quietly(() => rail.emitAsync('x', {}));
+		expect(delays).toHaveLength(3);
+		delays.forEach((delay) => {
+			expect(delay).toBeGreaterThanOrEqual(5);
+			expect(delay).toBeLessThanOrEqual(12);
+		});
+	});
+
+	it('should reject invalid policies', () => {
+		const rail = new Rail();
+		expect(() => rail.on('x', () => {}, { retry: 0 })).toThrow('Retry attempts must be a positive integer');
+		expect(() => rail.on('x', () => {}, { retry: { delay: -1 } })).toThrow(
+			'Retry delay must be a non-negative number'
+		);
+		expect(() => rail.setRetryPolicy('x', { jitter: 2 })).toThrow('Retry jitter must be between 0 and 1');
+		expect(() => rail.setRetryPolicy('x', { retryIf: true })).toThrow('Retry retryIf must be a function');
+		expect(() => rail.setRetryPolicy('x', 'often')).toThrow(
+			'Retry policy must be an object or a number of attempts'
+		);
+	});
+});
+
+describe('Dead-letter queue', () => {
+	const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	it('should capture events without listeners', () => {
+		const rail = new Rail();
+		rail.emit('order.lost', { id: 1 });
+
+		const [entry] = rail.getDeadLetters();
+		expect(entry).toMatchObject({
+			id: 1,
+			event: 'order.lost',
+			data: { id: 1 },
+			reason: 'unhandled',
+			failures: [],
+			async: false,
+			redrives: 0,
+		});
+		expect(rail.getStats().deadLetters).toBe(1);
+	});
+
+	it('should capture events every listener failed, with their errors', async () => {
+		const rail = new Rail();
+		rail.on('charge', () => {
+			throw new Error('card declined');
+		}, 'payments');
+		rail.on('charge', () => {
+			throw new Error('ledger down');
+		}, { module: 'ledger', retry: { attempts: 2, delay: 0 } });
+
+		await quietly(() => rail.emitAsync('charge', { amount: 5 }));
+		await tick();
+
+		const [entry] = rail.getDeadLetters({ reason: 'failed' });
+		expect(entry.async).toBe(true);
+		expect(entry.failures).toMatchObject([
+			{ module: 'payments', error: 'card declined' },
+			{ module: 'ledger', error: 'ledger down', attempts: 2 },
+		]);
+	});
+
+	it('should capture events every listener filtered out or skipped', async () => {
+		const rail = new Rail();
+		rail.on('*', () => {}, { module: 'logger', filter: (data, { event }) => event.startsWith('log.') });
+		rail.once('order.lost', () => {}, 'tracker');
+
+		rail.emit('order.lost', { id: 1 }); // tracker takes the first one
+		rail.emit('order.lost', { id: 2 });
+		await rail.emitAsync('order.lost', { id: 3 });
+		rail.emit('log.line', {});
+
+		expect(rail.getDeadLetters().map(({ data, reason }) => [data.id, reason])).toEqual([
+			[2, 'unhandled'],
+			[3, 'unhandled'],
+		]);
+	});
+
+	it('should not capture events a rate-limited listener holds or skips', async () => {
+		const rail = new Rail({ clock: manualClock() });
+		const deadLettered = [];
+		rail.on('rail.deadletter', (entry) => deadLettered.push(entry.event), 'monitoring');
+		rail.on('save', () => {}, { module: 'autosave', debounce: 10 });
+		rail.on('metric', () => {}, { module: 'metrics', batch: 10 });
+		rail.on('cpu', () => {}, { module: 'sampler', sample: 10 });
+		rail.on('move', () => {}, { module: 'cursor', throttle: { interval: 100, trailing: false } });
+
+		rail.emit('save', {});
+		rail.emit('metric', {});
+		for (let i = 0; i < 100; i++) {
+			rail.emit('cpu', { i });
+			rail.emit('move', { i });
+		}
+		await rail.emitAsync('cpu', {});
+		expect(deadLettered).toEqual([]);
+		expect(rail.getDeadLetters()).toEqual([]);
+	});
+
+	it('should not capture events that any listener handled', async () => {
+		const rail = new Rail();
+		rail.on('charge', () => {
+			throw new Error('no');
+		}, 'a');
+		rail.on('charge', () => 'ok', 'b');
+
+		await quietly(async () => {
+			rail.emit('charge', {});
+			await rail.emitAsync('charge', {});
+		});
+		await tick();
+		expect(rail.getDeadLetters()).toEqual([]);
+	});
+
+	it('should wait for background retries of sync handlers', async () => {
+		const rail = new Rail();
+		rail.on('notify', () => {
+			throw new Error('smtp');
+		}, { module: 'mailer', retry: { attempts: 2, delay: 0 } });
+
+		await quietly(async () => {
+			rail.emit('notify', {});
+			expect(rail.getDeadLetters()).toEqual([]);
+			await tick(5);
+		});
+
+		expect(rail.getDeadLetters()[0].failures).toMatchObject([{ module: 'mailer', error: 'smtp', attempts: 2 }]);
+	});
+
+	it('should emit rail.deadletter but never dead-letter rail events', () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('rail.deadletter', (entry) => seen.push(entry.event), 'monitoring');
+
+		rail.emit('nobody.listens');
+		rail.emit('rail.custom');
+
+		expect(seen).toEqual(['nobody.listens']);
+		expect(rail.getDeadLetters().map((e) => e.event)).toEqual(['nobody.listens']);
+	});
+
+	it('should redrive an entry and count redrives when it fails again', async () => {
+		const rail = new Rail();
+		rail.emit('report.build', { week: 3 });
+		rail.emit('report.build', { week: 4 });
+		const [first] = rail.getDeadLetters();
+
+		const received = [];
+		rail.on('report.build', (data) => received.push(data.week), 'reports');
+
+		expect(await rail.redriveDeadLetter(first.id)).toBe(true);
+		expect(received).toEqual([3]);
+		expect(rail.getDeadLetters().map((e) => e.data.week)).toEqual([4]);
+		expect(await rail.redriveDeadLetter(first.id)).toBe(false);
+
+		const broken = new Rail();
+		broken.on('job', async () => {
+			throw new Error('still broken');
+		}, 'worker');
+		await quietly(() => broken.emitAsync('job', {}));
+		await tick();
+		await quietly(() => broken.redriveDeadLetter(broken.getDeadLetters()[0].id));
+		await tick();
+		expect(broken.getDeadLetters().map((e) => e.redrives)).toEqual([1]);
+	});
+
+	it('should inspect, filter and purge entries', () => {
+		const rail = new Rail({ deadLetterSize: 3 });
+		['a', 'b', 'a', 'c'].forEach((event) => rail.emit(event));
+
+		expect(rail.getDeadLetters().map((e) => e.event)).toEqual(['b', 'a', 'c']);
+		expect(rail.getDeadLetters({ event: 'a' })).toHaveLength(1);
+		expect(rail.getDeadLetters({ limit: 1 })[0].event).toBe('c');
+		expect(rail.getDeadLetter(2).event).toBe('b');
+		expect(rail.getDeadLetter(1)).toBeNull();
+
+		expect(rail.purgeDeadLetters({ id: 2 })).toBe(1);
+		expect(rail.purgeDeadLetters({ event: 'missing' })).toBe(0);
+		expect(rail.purgeDeadLetters()).toBe(2);
+		expect(rail.getStats().deadLetters).toBe(0);
+
+		const off = new Rail({ deadLetterSize: 0 });
+		off.emit('x');
+		expect(off.getDeadLetters()).toEqual([]);
+	});
+
+	it('should reject a negative or non-numeric deadLetterSize', () => {
+		expect(() => new Rail({ deadLetterSize: -1 })).toThrow('deadLetterSize must be a non-negative number');
+		expect(() => new Rail({ deadLetterSize: null })).toThrow('deadLetterSize must be a non-negative number');
+	});
+});
+
+describe('Error reporting', () => {
+	it('should report structured, serializable error details', () => {
+		const rail = new Rail();
+		const reports = [];
+		rail.on('rail.error', (report) => reports.push(report));
+		rail.on('charge', () => {
+			const error = new TypeError('card rejected', { cause: new Error('gateway 502') });
+			error.code = 'E_CARD';
+			error.response = { status: 402 };
+			throw error;
+		}, 'payments');
+
+		quietly(() => rail.emit('charge', {}));
+
+		const [report] = reports;
+		expect(report).toMatchObject({
+			module: 'payments',
+			event: 'charge',
+			error: 'card rejected',
+			details: {
+				name: 'TypeError',
+				message: 'card rejected',
+				code: 'E_CARD',
+				response: { status: 402 },
+				cause: { name: 'Error', message: 'gateway 502' },
+			},
+		});
+		expect(report.details.stack).toContain('card rejected');
+		expect(typeof report.listenerId).toBe('number');
+		expect(JSON.parse(JSON.stringify(report.details))).toEqual(report.details);
+	});
+
+	it('should redact stacks when errorStacks is false', async () => {
+		const rail = new Rail({ errorStacks: false });
+		rail.on('job', async () => {
+			throw new Error('outer', { cause: new Error('inner') });
+		}, 'worker');
+
+		const [result] = await quietly(() => rail.emitAsync('job', {}));
+		expect(result.details).toEqual({
+			name: 'Error',
+			message: 'outer',
+			cause: { name: 'Error', message: 'inner' },
+		});
+	});
+
+	it('should describe thrown non-errors and cut circular causes', async () => {
+		const rail = new Rail({ errorStacks: false });
+		const loop = new Error('loop');
+		loop.cause = loop;
+		loop.self = loop;
+		rail.on('a', () => {
+			throw 'plain string';
+		}, 'm1');
+		rail.on('a', () => {
+			throw loop;
+		}, 'm2');
+
+		const results = await quietly(() => rail.emitAsync('a', {}));
+		expect(results[0].details).toEqual({ name: 'Error', message: 'plain string' });
+		expect(results[0].error).toBe('plain string');
+		expect(results[1].details.cause).toBe('[Circular]');
+		expect(typeof results[1].details.self).toBe('string');
+	});
+
+	it('should call onError with every report and contain its failures', async () => {
+		const reports = [];
+		const rail = new Rail({
+			handlerTimeout: 10,
+			onError: (report) => {
+				reports.push(report);
+				throw new Error('hook broken');
+			},
+		});
+		rail.on('x', () => {
+			throw new Error('sync');
+		}, 'a');
+		rail.on('y', () => new Promise(() => {}), 'b');
+
+		await quietly(async () => {
+			rail.emit('x', {});
+			await rail.emitAsync('y', {});
+		});
+
+		expect(reports.map((r) => [r.module, r.error])).toEqual([
+			['a', 'sync'],
+			['b', 'timeout'],
+		]);
+		expect(() => new Rail({ onError: 'log' })).toThrow('onError must be a function');
+	});
+
+	it('should not recurse when a rail.error listener throws', () => {
+		const rail = new Rail({ isolation: 'none' });
+		const reports = [];
+		const rail2 = new Rail({ onError: (report) => reports.push(report.event) });
+		let calls = 0;
+
+		rail.on('rail.error', () => {
+			calls++;
+			throw new Error('error handler failed');
+		}, 'monitor');
+		rail.on('x', () => {
+			throw new Error('first');
+		}, 'a');
+		quietly(() => rail.emit('x', {}));
+		expect(calls).toBe(1);
+
+		// Nested failures inside an error listener are reported to onError only
+		let nested = 0;
+		rail2.on('rail.error', () => {
+			nested++;
+			rail2.emit('y', {});
+		}, 'monitor');
+		rail2.on('x', () => {
+			throw new Error('first');
+		}, 'a');
+		rail2.on('y', () => {
+			throw new Error('second');
+		}, 'b');
+		quietly(() => rail2.emit('x', {}));
+		expect(nested).toBe(1);
+		expect(reports).toEqual(['x', 'y']);
+	});
+});
+
+describe('Async listeners called by emit', () => {
+	const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	it('should report rejections through rail.error', async () => {
+		const rail = new Rail();
+		const reports = [];
+		rail.on('rail.error', (report) => reports.push(report));
+		rail.on('user.created', async () => {
+			await tick();
+			throw new Error('mailer down');
+		}, 'email');
+
+		expect(rail.emit('user.created', {})).toBe(1);
+		await quietly(() => tick(5));
+
+		expect(reports).toHaveLength(1);
+		expect(reports[0]).toMatchObject({ module: 'email', event: 'user.created', error: 'mailer down' });
+	});
+
+	it('should retry rejections and dead-letter the final failure', async () => {
+		const rail = new Rail();
+		let calls = 0;
+		rail.on('sync', async () => {
+			calls++;
+			throw new Error('offline');
+		}, { module: 'sync', retry: { attempts: 3, delay: 0 } });
+
+		rail.emit('sync', {});
+		await quietly(() => tick(10));
+
+		expect(calls).toBe(3);
+		expect(rail.getDeadLetters()[0].failures).toMatchObject([{ module: 'sync', error: 'offline', attempts: 3 }]);
+	});
+
+	it('should not dead-letter an event an async handler completed', async () => {
+		const rail = new Rail();
+		rail.on('job', async () => {
+			await tick();
+		}, 'worker');
+
+		rail.emit('job', {});
+		await tick(5);
+		expect(rail.getDeadLetters()).toEqual([]);
+	});
+
+	it('should track in-flight work and drain it', async () => {
+		const rail = new Rail({ trackInFlight: true });
+		const done = [];
+		rail.on('job', async (data) => {
+			await tick(10);
+			done.push(data.id);
+			if (data.id === 1) rail.emit('job', { id: 2 });
+		}, 'worker');
+
+		rail.emit('job', { id: 1 });
+		expect(rail.getStats().inFlight).toBe(1);
+
+		await rail.drain();
+		expect(done).toEqual([1, 2]);
+		expect(rail.getStats().inFlight).toBe(0);
+	});
+
+	it('should reject drain after its timeout', async () => {
+		const rail = new Rail({ trackInFlight: true });
+		rail.on('hang', () => new Promise(() => {}), 'stuck');
+		rail.emit('hang', {});
+
+		await expect(rail.drain(10)).rejects.toThrow('timed out after 10ms');
+	});
+
+	it('should not track work unless asked', async () => {
+		const rail = new Rail();
+		rail.on('job', () => tick(5), 'worker');
+		rail.emit('job', {});
+
+		expect(rail.getStats().inFlight).toBe(0);
+		await rail.drain();
+	});
+});
+
+describe('Circuit breakers', () => {
+	const flaky = (overrides = {}) => ({
+		name: 'flaky',
+		calls: 0,
+		fail: true,
+		connect(rail) {
+			rail.on('tick', () => {
+				this.calls++;
+				if (this.fail) throw new Error('broken plugin');
+			});
+		},
+		...overrides,
+	});
+
+	it('should open after the failure threshold and skip the module', () => {
+		const rail = new Rail({ circuitBreaker: { minCalls: 3, threshold: 0.5, cooldown: 60000 } });
+		const opened = [];
+		const errors = [];
+		rail.on('rail.circuit.opened', (data) => opened.push(data));
+		rail.on('rail.error', (data) => errors.push(data));
+		const plugin = flaky();
+		rail.attach(plugin);
+
+		quietly(() => {
+			for (let i = 0; i < 6; i++) rail.emit('tick');
+		});
+
+		expect(plugin.calls).toBe(3);
+		expect(errors).toHaveLength(3);
+		expect(opened).toEqual([{ module: 'flaky', failures: 3, calls: 3, cooldown: 60000 }]);
+		expect(rail.getStats().openCircuits).toEqual(['flaky']);
+		expect(rail.getCircuits().flaky).toMatchObject({ state: 'open', failures: 3, calls: 3 });
+	});
+
+	it('should let a trial call through after the cooldown', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock, circuitBreaker: { minCalls: 2, cooldown: 10 } });
+		const closed = [];
+		rail.on('rail.circuit.closed', (data) => closed.push(data.module));
+		const plugin = flaky();
+		rail.attach(plugin);
+
+		quietly(() => {
+			rail.emit('tick');
+			rail.emit('tick');
+		});
+		expect(rail.getCircuits().flaky.state).toBe('open');
+
+		clock.advance(9);
+		quietly(() => rail.emit('tick'));
+		expect(plugin.calls).toBe(2);
+
+		clock.advance(1);
+		quietly(() => rail.emit('tick'));
+		expect(plugin.calls).toBe(3);
+		expect(rail.getCircuits().flaky.state).toBe('open');
+
+		clock.advance(10);
+		plugin.fail = false;
+		rail.emit('tick');
+		expect(closed).toEqual(['flaky']);
+		expect(rail.getStats().openCircuits).toEqual([]);
+	});
+
+	it('should only allow one trial while half-open', async () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock, circuitBreaker: { minCalls: 1, cooldown: 5 } });
+		let running = 0;
+		let finish = () => {};
+		rail.attach({
+			name: 'slow',
+			connect(ctx) {
+				ctx.on('job', async () => {
+					running++;
+					await new Promise((resolve) => {
+						finish = resolve;
+					});
+					throw new Error('still slow');
+				});
+			},
+		});
+
+		const first = quietly(() => rail.emitAsync('job'));
+		finish();
+		await first;
+		clock.advance(5);
+		running = 0;
+		const trials = quietly(() => Promise.all([rail.emitAsync('job'), rail.emitAsync('job')]));
+		await Promise.resolve();
+		finish();
+		await trials;
+		expect(running).toBe(1);
+	});
+
+	it('should count rejections and timeouts as failures', async () => {
+		vi.useFakeTimers(); // handler timeouts run on real timers, not the rail clock
+		try {
+			const rail = new Rail({ handlerTimeout: 5, circuitBreaker: { minCalls: 2 } });
+			rail.attach({
+				name: 'hanging',
+				connect(ctx) {
+					ctx.on('job', () => new Promise(() => {}));
+					ctx.on('push', async () => {
+						throw new Error('no');
+					});
+				},
+			});
+
+			await quietly(async () => {
+				const job = rail.emitAsync('job');
+				await vi.advanceTimersByTimeAsync(5);
+				await job;
+				rail.emit('push');
+				await vi.runAllTimersAsync();
+			});
+			expect(rail.getCircuits().hanging.state).toBe('open');
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('should honour module overrides and leave other listeners alone', () => {
+		const rail = new Rail({ circuitBreaker: true });
+		rail.attach(flaky({ circuitBreaker: false }));
+		rail.attach(flaky({ name: 'strict', circuitBreaker: { minCalls: 1 } }));
+		let appCalls = 0;
+		rail.on('tick', () => {
+			appCalls++;
+			throw new Error('app');
+		});
+
+		quietly(() => {
+			for (let i = 0; i < 10; i++) rail.emit('tick');
+		});
+
+		expect(rail.getModules()).toEqual(['flaky', 'strict']);
+		expect(Object.keys(rail.getCircuits())).toEqual(['strict']);
+		expect(rail.getStats().openCircuits).toEqual(['strict']);
+		expect(appCalls).toBe(10);
+	});
+
+	it('should reset circuits and drop them on detach', () => {
+		const rail = new Rail({ circuitBreaker: { minCalls: 1 } });
+		rail.attach(flaky());
+		quietly(() => rail.emit('tick'));
+
+		expect(rail.resetCircuit('flaky')).toBe(true);
+		expect(rail.getCircuits().flaky.state).toBe('closed');
+		expect(rail.resetCircuit('nobody')).toBe(false);
+
+		rail.detach('flaky');
+		expect(rail.getCircuits()).toEqual({});
+		expect(new Rail().getCircuits()).toEqual({});
+	});
+
+	it('should reject invalid settings', () => {
+		expect(() => new Rail({ circuitBreaker: { threshold: 0 } })).toThrow(
+			'Circuit breaker threshold must be greater than 0 and at most 1'
+		);
+		expect(() => new Rail({ circuitBreaker: { minCalls: 10, window: 5 } })).toThrow(
+			'Circuit breaker window must be an integer of at least minCalls'
+		);
+		expect(() => new Rail().attach(flaky({ circuitBreaker: 'yes' }))).toThrow(
+			"Module 'flaky' circuitBreaker must be a boolean or an object"
+		);
+	});
+});
+
+describe('Rate-limited subscriptions', () => {
+	it('should throttle with leading and trailing deliveries', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		rail.on('move', (data, { dropped }) => seen.push([data.x, dropped, clock.now()]), {
+			module: 'cursor',
+			throttle: 100,
+		});
+
+		[1, 2, 3, 4].forEach((x) => rail.emit('move', { x }));
+		clock.advance(100);
+		rail.emit('move', { x: 5 });
+		clock.advance(100);
+
+		expect(seen).toEqual([
+			[1, 0, 0],
+			[4, 2, 100],
+			[5, 0, 200],
+		]);
+	});
+
+	it('should honour leading and trailing flags', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const leadingOnly = [];
+		const trailingOnly = [];
+		rail.on('tick', (data, { dropped }) => leadingOnly.push([data.n, dropped]), {
+			throttle: { interval: 50, trailing: false },
+		});
+		rail.on('tick', (data, { dropped }) => trailingOnly.push([data.n, dropped]), {
+			throttle: { interval: 50, leading: false },
+		});
+
+		[1, 2, 3].forEach((n) => rail.emit('tick', { n }));
+		clock.advance(50);
+		rail.emit('tick', { n: 4 });
+		clock.advance(50);
+
+		expect(leadingOnly).toEqual([
+			[1, 0],
+			[4, 2],
+		]);
+		expect(trailingOnly).toEqual([
+			[3, 2],
+			[4, 0],
+		]);
+	});
+
+	it('should debounce to the latest event with a coalesced count', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		rail.on('search.typed', (data, { dropped }) => seen.push([data.q, dropped]), {
+			module: 'search',
+			debounce: 30,
+		});
+
+		rail.emit('search.typed', { q: 'r' });
+		clock.advance(20);
+		rail.emit('search.typed', { q: 'ra' });
+		clock.advance(20);
+		rail.emit('search.typed', { q: 'rai' });
+		expect(seen).toEqual([]);
+
+		clock.advance(30);
+		expect(seen).toEqual([['rai', 2]]);
+	});
+
+	it('should deliver every nth event when sampling', () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('telemetry', (data, { dropped }) => seen.push([data.i, dropped]), { sample: 3 });
+
+		for (let i = 1; i <= 7; i++) rail.emit('telemetry', { i });
+		expect(seen).toEqual([
+			[3, 2],
+			[6, 2],
+		]);
+	});
+
+	it('should count only events that pass the filter', () => {
+		const rail = new Rail();
+		const seen = [];
+		rail.on('n', (data) => seen.push(data.i), { sample: 2, filter: (data) => data.i % 2 === 0 });
+
+		for (let i = 1; i <= 8; i++) rail.emit('n', { i });
+		expect(seen).toEqual([4, 8]);
+	});
+
+	it('should report errors from deferred deliveries', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const errors = [];
+		rail.on('rail.error', (report) => errors.push(report.error));
+		rail.on('save', () => {
+			throw new Error('disk full');
+		}, { module: 'autosave', debounce: 10 });
+
+		rail.emit('save', {});
+		quietly(() => clock.advance(10));
+
+		expect(errors).toEqual(['disk full']);
+		expect(rail.getDeadLetters()[0].failures[0].module).toBe('autosave');
+	});
+
+	it('should dead-letter a failed trailing delivery for its module only', async () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const billed = [];
+		const tracked = [];
+		let metricsUp = false;
+		rail.on('order.placed', (order) => billed.push(order.id), 'billing');
+		rail.on('order.placed', (order) => {
+			if (!metricsUp) throw new Error('metrics down');
+			tracked.push(order.id);
+		}, { module: 'metrics', throttle: { interval: 10, leading: false } });
+
+		rail.emit('order.placed', { id: 1 });
+		quietly(() => clock.advance(10));
+
+		const [entry] = rail.getDeadLetters();
+		expect(entry).toMatchObject({ event: 'order.placed', reason: 'failed', module: 'metrics' });
+		expect(entry.failures.map((f) => f.module)).toEqual(['metrics']);
+
+		metricsUp = true;
+		await rail.redriveDeadLetter(entry.id);
+		expect(billed).toEqual([1]);
+		expect(tracked).toEqual([1]);
+		expect(rail.getDeadLetters()).toEqual([]);
+	});
+
+	it('should drop held events when the listener is removed', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		const off = rail.on('x', (data) => seen.push(data), { debounce: 10 });
+		rail.attach({
+			name: 'ui',
+			connect(ctx) {
+				ctx.on('x', (data) => seen.push(data), { throttle: { interval: 10, leading: false } });
+			},
+		});
+
+		rail.emit('x', {});
+		off();
+		rail.detach('ui');
+		expect(clock.pending()).toBe(0);
+		clock.advance(20);
+		expect(seen).toEqual([]);
+	});
+
+	it('should only clone events the rate limit and circuit let through', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		let clones = 0;
+		class Reading {
+			[Rail.cloneHook]() {
+				clones++;
+				return new Reading();
+			}
+		}
+		rail.on('cpu', () => {}, { module: 'sampler', sample: 10 });
+		rail.on('move', () => {}, { module: 'cursor', throttle: { interval: 100, trailing: false } });
+		rail.attach({
+			name: 'flaky',
+			circuitBreaker: { minCalls: 1, cooldown: 1000 },
+			connect(ctx) {
+				ctx.on('job', () => {
+					throw new Error('down');
+				});
+			},
+		});
+
+		for (let i = 0; i < 10; i++) {
+			rail.emit('cpu', new Reading());
+			rail.emit('move', new Reading());
+		}
+		expect(clones).toBe(2);
+
+		quietly(() => [1, 2, 3].forEach(() => rail.emit('job', new Reading())));
+		expect(clones).toBe(3);
+	});
+
+	it('should not add dropped for listeners without a rate limit', () => {
+		const rail = new Rail();
+		let info = null;
+		rail.on('x', (data, received) => {
+			info = received;
+		});
+		rail.emit('x');
+		expect(info).toEqual({ event: 'x', pattern: 'x' });
+	});
+
+	it('should reject invalid options', () => {
+		const rail = new Rail();
+		expect(() => rail.on('x', () => {}, { throttle: 10, debounce: 10 })).toThrow(
+			'Listener can only use one of throttle, debounce, sample and batch'
+		);
+		expect(() => rail.on('x', () => {}, { throttle: { interval: 0 } })).toThrow(
+			'Listener throttle interval must be a positive number'
+		);
+		expect(() => rail.on('x', () => {}, { throttle: { interval: 5, leading: false, trailing: false } })).toThrow(
+			'Listener throttle needs leading or trailing delivery'
+		);
+		expect(() => rail.on('x', () => {}, { debounce: -1 })).toThrow(
+			'Listener debounce must be a positive number of milliseconds'
+		);
+		expect(() => rail.on('x', () => {}, { sample: 1.5 })).toThrow('Listener sample must be a positive integer');
+		expect(() => new Rail({ clock: { now: () => 0 } })).toThrow(
+			'Clock must provide now, setTimeout and clearTimeout functions'
+		);
+	});
+});
+
+describe('Batched delivery', () => {
+	it('should deliver a batch when it is full or maxWait has passed', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const batches = [];
+		rail.on('metric.*', (samples, { event, events }) => batches.push({ samples, event, events }), {
+			module: 'metrics',
+			batch: { size: 3, maxWait: 50 },
+		});
+
+		rail.emit('metric.cpu', { v: 1 });
+		rail.emit('metric.mem', { v: 2 });
+		expect(batches).toEqual([]);
+		expect(rail.getStats().batched).toBe(2);
+
+		rail.emit('metric.cpu', { v: 3 });
+		expect(batches).toEqual([
+			{ samples: [{ v: 1 }, { v: 2 }, { v: 3 }], event: 'metric.cpu', events: ['metric.cpu', 'metric.mem', 'metric.cpu'] },
+		]);
+		expect(clock.pending()).toBe(0);
+
+		rail.emit('metric.disk', { v: 4 });
+		clock.advance(49);
+		expect(batches).toHaveLength(1);
+		clock.advance(1);
+		expect(batches[1]).toEqual({ samples: [{ v: 4 }], event: 'metric.disk', events: ['metric.disk'] });
+		expect(rail.getStats().batched).toBe(0);
+	});
+
+	it('should only batch events the filter accepts, each isolated', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		let received = null;
+		rail.on('order.placed', (orders) => (received = orders), {
+			filter: (order) => order.total > 0,
+			batch: 2,
+		});
+
+		const order = { total: 5 };
+		rail.emit('order.placed', order);
+		rail.emit('order.placed', { total: 0 });
+		order.total = 99;
+		rail.emit('order.placed', { total: 7 });
+
+		expect(received).toEqual([{ total: 5 }, { total: 7 }]);
+	});
+
+	it('should flush on unsubscribe, detach and flush()', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const written = [];
+		let atDisconnect = null;
+		rail.attach({
+			name: 'audit',
+			connect(ctx) {
+				ctx.on('audit.entry', (entries) => written.push(...entries), { batch: { size: 10, maxWait: Infinity } });
+			},
+			disconnect() {
+				atDisconnect = written.length;
+			},
+		});
+		const seen = [];
+		const off = rail.on('audit.entry', (entries) => seen.push(entries.length), { module: 'other', batch: 10 });
+
+		rail.emit('audit.entry', { n: 1 });
+		expect(clock.pending()).toBe(1);
+		expect(rail.flush('audit')).toBe(1);
+		expect(written).toEqual([{ n: 1 }]);
+		expect(rail.flush('audit')).toBe(0);
+
+		rail.emit('audit.entry', { n: 2 });
+		off();
+		expect(seen).toEqual([2]);
+		expect(clock.pending()).toBe(0);
+
+		rail.emit('audit.entry', { n: 3 });
+		rail.detach('audit');
+		expect(written).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+		expect(atDisconnect).toBe(3);
+	});
+
+	it('should flush every batch and drain on shutdown', async () => {
+		const rail = new Rail({ trackInFlight: true });
+		const order = [];
+		const module = (name, requires = []) => ({
+			name,
+			requires,
+			connect(ctx) {
+				ctx.on('job', async (jobs) => {
+					await new Promise((resolve) => setTimeout(resolve, 5));
+					order.push(`${name}:${jobs.length}`);
+				}, { batch: 100 });
+			},
+			disconnect() {
+				order.push(`${name} disconnected`);
+			},
+		});
+		rail.attach(module('store'));
+		rail.attach(module('api', ['store']));
+		rail.on('job', (jobs) => order.push(`anonymous:${jobs.length}`), { batch: 100 });
+
+		rail.emit('job', {});
+		rail.emit('job', {});
+		await rail.shutdown({ timeout: 1000 });
+
+		expect(rail.getModules()).toEqual([]);
+		expect(order).toEqual([
+			'api disconnected',
+			'store disconnected',
+			'anonymous:2',
+			'api:2',
+			'store:2',
+		]);
+	});
+
+	it('should dead-letter every event of a batch that fails', async () => {
+		const rail = new Rail();
+		rail.on('sync.item', () => {
+			throw new Error('bulk insert failed');
+		}, { module: 'sync', batch: 2 });
+
+		await quietly(async () => {
+			rail.emit('sync.item', { id: 1 });
+			rail.emit('sync.item', { id: 2 });
+		});
+
+		expect(rail.getDeadLetters().map(({ event, data, reason }) => ({ event, data, reason }))).toEqual([
+			{ event: 'sync.item', data: { id: 1 }, reason: 'failed' },
+			{ event: 'sync.item', data: { id: 2 }, reason: 'failed' },
+		]);
+		expect(rail.getDeadLetters()[0].failures[0]).toMatchObject({ module: 'sync', error: 'bulk insert failed' });
+	});
+
+	it('should redrive a failed batch to its module only', async () => {
+		const rail = new Rail();
+		const billed = [];
+		const synced = [];
+		let syncUp = false;
+		rail.on('order.placed', (order) => billed.push(order.id), 'billing');
+		rail.on('order.placed', (orders) => {
+			if (!syncUp) throw new Error('bulk insert failed');
+			synced.push(orders.map((order) => order.id));
+		}, { module: 'sync', batch: 2 });
+
+		quietly(() => {
+			rail.emit('order.placed', { id: 1 });
+			rail.emit('order.placed', { id: 2 });
+		});
+
+		const entries = rail.getDeadLetters();
+		expect(entries.map(({ data, module }) => ({ data, module }))).toEqual([
+			{ data: { id: 1 }, module: 'sync' },
+			{ data: { id: 2 }, module: 'sync' },
+		]);
+
+		syncUp = true;
+		for (const { id } of entries) {
+			await rail.redriveDeadLetter(id);
+		}
+		expect(billed).toEqual([1, 2]);
+		expect(synced).toEqual([[1], [2]]);
+		expect(rail.getDeadLetters()).toEqual([]);
+	});
+
+	it('should ask the circuit once per batch', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const synced = [];
+		let up = false;
+		rail.attach({
+			name: 'sync',
+			circuitBreaker: { minCalls: 1, cooldown: 100 },
+			connect(ctx) {
+				ctx.on('item', (items) => {
+					if (!up) throw new Error('offline');
+					synced.push(items.map((item) => item.id));
+				}, { batch: 2 });
+			},
+		});
+
+		quietly(() => [1, 2].forEach((id) => rail.emit('item', { id })));
+		expect(rail.getCircuits().sync.state).toBe('open');
+
+		[3, 4].forEach((id) => rail.emit('item', { id }));
+		expect(rail.getDeadLetters({ reason: 'unhandled' }).map(({ data, module }) => [data.id, module])).toEqual([
+			[3, 'sync'],
+			[4, 'sync'],
+		]);
+
+		clock.advance(100);
+		up = true;
+		[5, 6, 7, 8].forEach((id) => rail.emit('item', { id }));
+		expect(synced).toEqual([
+			[5, 6],
+			[7, 8],
+		]);
+		expect(rail.getCircuits().sync.state).toBe('closed');
+		expect(rail.getDeadLetters({ reason: 'unhandled' })).toHaveLength(2);
+	});
+
+	it('should write the database audit log in batches', async () => {
+		const { default: databaseModule } = await import('./modules/database.js');
+		const rail = new Rail();
+		rail.attach(databaseModule);
+		const before = databaseModule.auditLog.length;
+
+		rail.emit('auth.logout.success', { userId: 'u1', email: 'u1@example.com' });
+		expect(databaseModule.auditLog).toHaveLength(before);
+
+		const { logs } = await rail.request('data.get.audit', { limit: 1 });
+		expect(logs).toMatchObject([{ action: 'USER_LOGOUT', userId: 'u1' }]);
+		rail.detach('database');
+	});
+
+	it('should reject invalid options', () => {
+		const rail = new Rail();
+		expect(() => rail.on('x', () => {}, { batch: 0 })).toThrow('Listener batch size must be a positive integer');
+		expect(() => rail.on('x', () => {}, { batch: { size: 5, maxWait: 0 } })).toThrow(
+			'Listener batch maxWait must be a positive number (or Infinity)'
+		);
+		expect(() => rail.on('x', () => {}, { batch: 5, sample: 2 })).toThrow(
+			'Listener can only use one of throttle, debounce, sample and batch'
+		);
+		expect(() => rail.once('x', () => {}, { batch: 5 })).toThrow('Listener batch cannot be used with once');
+	});
+});
+
+describe('Scheduled emits', () => {
+	it('should emit later, at a time and every interval', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		rail.on('*', (data, { event }) => seen.push([event, clock.now()]));
+
+		rail.emitLater('later', {}, 100);
+		rail.emitAt('at', {}, new Date(150));
+		const tick = rail.every(60, 'tick');
+		expect(rail.getStats().scheduled).toBe(3);
+
+		clock.advance(180);
+		expect(seen).toEqual([
+			['tick', 60],
+			['later', 100],
+			['tick', 120],
+			['at', 150],
+			['tick', 180],
+		]);
+		expect(rail.getScheduled()).toEqual([
+			{ id: tick.id, event: 'tick', module: null, runAt: 240, every: 60, runs: 3 },
+		]);
+
+		expect(tick.cancel()).toBe(true);
+		expect(tick.cancel()).toBe(false);
+		clock.advance(100);
+		expect(seen).toHaveLength(5);
+		expect(rail.getStats().scheduled).toBe(0);
+	});
+
+	it('should not emit cancelled schedules and let handlers stop a recurring one', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		rail.emitLater('reminder', {}, 50).cancel();
+		const poll = rail.every(10, 'poll', { n: 1 });
+		rail.on('poll', (data) => {
+			seen.push(data.n);
+			if (seen.length === 2) poll.cancel();
+		});
+
+		clock.advance(100);
+		expect(seen).toEqual([1, 1]);
+		expect(clock.pending()).toBe(0);
+	});
+
+	it('should attribute scheduled emits to the module and cancel them on detach', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		let heartbeat = null;
+		rail.attach({
+			name: 'monitor',
+			emits: ['monitor.*'],
+			connect(ctx) {
+				heartbeat = ctx.every(1000, 'monitor.heartbeat');
+				ctx.emitLater('monitor.started', { ok: true }, 10);
+			},
+		});
+		expect(heartbeat.module).toBe('monitor');
+		expect(rail.getEmitters()).toEqual({ 'monitor.heartbeat': ['monitor'], 'monitor.started': ['monitor'] });
+
+		clock.advance(1000);
+		const history = rail.queryHistory({ module: 'monitor' });
+		expect(history.map(({ event, module, scheduleId }) => ({ event, module, scheduleId }))).toEqual([
+			{ event: 'monitor.started', module: 'monitor', scheduleId: heartbeat.id + 1 },
+			{ event: 'monitor.heartbeat', module: 'monitor', scheduleId: heartbeat.id },
+		]);
+		expect(rail.getHistory(10).find((entry) => entry.event === 'rail.module.attached')).not.toHaveProperty(
+			'scheduleId'
+		);
+
+		rail.detach('monitor');
+		expect(rail.getStats().scheduled).toBe(0);
+		expect(clock.pending()).toBe(0);
+		expect(heartbeat.cancel()).toBe(false);
+	});
+
+	it('should cancel emits scheduled while disconnecting', async () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		rail.on('monitor.*', (data, { event }) => seen.push(event));
+		rail.attach({
+			name: 'a',
+			disconnect(ctx) {
+				ctx.emitLater('monitor.stopped', {}, 10);
+				ctx.every(100, 'monitor.heartbeat');
+			},
+		});
+		rail.attach({
+			name: 'b',
+			async disconnect(ctx) {
+				await null;
+				ctx.emitLater('monitor.stopped', {}, 10);
+			},
+		});
+
+		rail.detach('a');
+		await rail.detachAsync('b');
+		expect(rail.getScheduled()).toEqual([]);
+		clock.advance(1000);
+		expect(seen).toEqual([]);
+	});
+
+	it('should apply permissions when a scheduled emit fires', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const seen = [];
+		rail.on('billing.charge', () => seen.push('charged'));
+		rail.attach({
+			name: 'ui',
+			emits: ['ui.*'],
+			connect(ctx) {
+				ctx.emitLater('billing.charge', {}, 5);
+			},
+		});
+
+		clock.advance(5);
+		expect(seen).toEqual([]);
+		expect(rail.getStats().permissionDenials).toBe(1);
+	});
+
+	it('should wait in steps for times beyond the timer limit', () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const delays = [];
+		const { setTimeout } = clock;
+		clock.setTimeout = (fn, ms) => {
+			delays.push(ms);
+			return setTimeout(fn, ms);
+		};
+		let fired = false;
+		rail.on('far.future', () => (fired = true));
+
+		const limit = 2 ** 31 - 1;
+		rail.emitAt('far.future', {}, limit + 500);
+		clock.advance(limit);
+		expect(fired).toBe(false);
+		clock.advance(500);
+		expect(fired).toBe(true);
+		expect(delays).toEqual([limit, 500]);
+	});
+
+	it('should report a scheduled emit that throws and keep recurring', async () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		const reports = [];
+		let runs = 0;
+		rail.on('rail.error', (report) => reports.push(report));
+		rail.use((envelope, next) => {
+			if (envelope.event === 'poll' && ++runs === 1) throw new Error('middleware broke');
+			return next(envelope);
+		});
+		const seen = [];
+		rail.on('poll', () => seen.push(clock.now()));
+
+		const poll = rail.every(10, 'poll');
+		await quietly(() => clock.advance(20));
+
+		expect(seen).toEqual([20]);
+		expect(reports).toEqual([
+			expect.objectContaining({ module: null, listenerId: null, event: 'poll', error: 'middleware broke', scheduleId: poll.id }),
+		]);
+		expect(rail.getStats().scheduled).toBe(1);
+		poll.cancel();
+	});
+
+	it('should cancel everything on shutdown', async () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock });
+		rail.every(100, 'tick');
+		rail.emitLater('later', {}, 1000);
+
+		await rail.shutdown();
+		expect(rail.getStats().scheduled).toBe(0);
+		expect(clock.pending()).toBe(0);
+	});
+
+	it('should reject invalid timing', () => {
+		const rail = new Rail();
+		expect(() => rail.emitLater('x', {}, -1)).toThrow('Delay must be a non-negative number of milliseconds');
+		expect(() => rail.emitAt('x', {}, new Date('nope'))).toThrow('Time must be a valid Date or timestamp');
+		expect(() => rail.every(0, 'x')).toThrow('Interval must be a positive number of milliseconds');
+		expect(rail.getStats().scheduled).toBe(0);
+	});
+});
+
+describe('Abort signals', () => {
+	it('should stop watching the signal once the listener is removed another way', () => {
+		const rail = new Rail();
+		const controller = new AbortController();
+		const { addEventListener, removeEventListener } = controller.signal;
+		const watching = new Set();
+		controller.signal.addEventListener = function (type, fn, options) {
+			watching.add(fn);
+			return addEventListener.call(this, type, fn, options);
+		};
+		controller.signal.removeEventListener = function (type, fn, options) {
+			watching.delete(fn);
+			return removeEventListener.call(this, type, fn, options);
+		};
+
+		rail.once('ready', () => {}, { signal: controller.signal });
+		const off = rail.on('tick', () => {}, { signal: controller.signal });
+		rail.attach({
+			name: 'poller',
+			connect(ctx) {
+				ctx.on('tick', () => {}, { signal: controller.signal });
+			},
+		});
+		expect(watching.size).toBe(3);
+
+		rail.emit('ready');
+		off();
+		rail.detach('poller');
+		expect(watching.size).toBe(0);
+	});
+
+	it('should reject waitFor with an AbortError and clean up', async () => {
+		const rail = new Rail();
+		const controller = new AbortController();
+		const pending = rail.waitFor('payment.confirmed', { timeout: 0, signal: controller.signal });
+		expect(rail.getEvents()['payment.confirmed']).toBeDefined();
+
+		controller.abort(new Error('page closed'));
+		const error = await pending.catch((e) => e);
+		expect(error.name).toBe('AbortError');
+		expect(error.message).toBe("Aborted waiting for event 'payment.confirmed'");
+		expect(error.cause.message).toBe('page closed');
+		expect(rail.getEvents()['payment.confirmed']).toBeUndefined();
+
+		await expect(rail.waitFor('x', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+		expect(rail.getEvents().x).toBeUndefined();
+	});
+
+	it('should clear the waitFor timer when the event or abort arrives', async () => {
+		vi.useFakeTimers();
+		try {
+			const rail = new Rail();
+			const controller = new AbortController();
+			const resolved = rail.waitFor('done', { timeout: 1000, signal: controller.signal });
+			rail.emit('done', { ok: true });
+			await expect(resolved).resolves.toEqual({ ok: true });
+
+			const aborted = rail.waitFor('done', { timeout: 1000, signal: controller.signal });
+			controller.abort();
+			await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+			expect(vi.getTimerCount()).toBe(0);
+
+			const timedOut = rail.waitFor('done', 50);
+			vi.advanceTimersByTime(50);
+			await expect(timedOut).rejects.toThrow("Timeout waiting for event 'done'");
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('should pass the signal to emitAsync handlers and reject when it aborts', async () => {
+		const rail = new Rail();
+		const controller = new AbortController();
+		const errors = [];
+		rail.on('rail.error', (report) => errors.push(report));
+		let received = null;
+		rail.on('search.run', (query, { signal }) => {
+			received = signal;
+			return new Promise((resolve, reject) => {
+				signal.addEventListener('abort', () => reject(new Error('fetch cancelled')));
+			});
+		}, 'search');
+
+		const pending = rail.emitAsync('search.run', { q: 'rail' }, { signal: controller.signal });
+		expect(received).toBe(controller.signal);
+		controller.abort();
+
+		await expect(pending).rejects.toMatchObject({
+			name: 'AbortError',
+			message: "emitAsync 'search.run' was aborted",
+		});
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(errors).toEqual([]);
+		expect(rail.getDeadLetters()).toEqual([]);
+	});
+
+	it('should skip handlers that have not started and stop retrying', async () => {
+		const rail = new Rail();
+		const controller = new AbortController();
+		const calls = [];
+		rail.on('job.run', () => {
+			calls.push('first');
+			controller.abort();
+			throw new Error('interrupted');
+		}, { module: 'first', retry: { attempts: 3, delay: 1, jitter: 0 } });
+		rail.on('job.run', () => calls.push('second'), 'second');
+
+		await expect(
+			rail.emitAsync('job.run', {}, { mode: 'sequential', signal: controller.signal })
+		).rejects.toMatchObject({ name: 'AbortError' });
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(calls).toEqual(['first']);
+	});
+
+	it('should release a half-open trial when its emit is aborted', async () => {
+		const clock = manualClock();
+		const rail = new Rail({ clock, circuitBreaker: { minCalls: 1, threshold: 1, cooldown: 100 } });
+		let calls = 0;
+		rail.attach({
+			name: 'pricing',
+			connect(ctx) {
+				ctx.on('quote.get', (data, { signal }) => {
+					calls++;
+					if (calls === 1) throw new Error('down');
+					if (!signal) return 'quote';
+					return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+				});
+			},
+		});
+
+		const warn = console.warn;
+		console.warn = () => {};
+		try {
+			await quietly(() => rail.emitAsync('quote.get'));
+		} finally {
+			console.warn = warn;
+		}
+		expect(rail.getCircuits().pricing.state).toBe('open');
+
+		clock.advance(100);
+		const controller = new AbortController();
+		const aborted = rail.emitAsync('quote.get', {}, { signal: controller.signal });
+		controller.abort();
+		await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		expect(rail.getCircuits().pricing.state).toBe('half-open');
+
+		const results = await rail.emitAsync('quote.get');
+		expect(results).toEqual([{ module: 'pricing', result: 'quote', error: null }]);
+		expect(rail.getCircuits().pricing.state).toBe('closed');
+	});
+
+	it('should reject an already aborted emit without delivering or recording it', async () => {
+		const rail = new Rail();
+		let called = false;
+		rail.on('x', () => (called = true));
+
+		await expect(rail.emitAsync('x', {}, { signal: AbortSignal.abort() })).rejects.toMatchObject({
+			name: 'AbortError',
+		});
+		expect(called).toBe(false);
+		expect(rail.queryHistory({ event: 'x' })).toEqual([]);
+		await expect(rail.emitAsync('x', {}, { signal: 'stop' })).rejects.toThrow(
+			'emitAsync signal must be an AbortSignal'
+		);
+	});
+
+	it('should resolve normally when the signal never aborts', async () => {
+		const rail = new Rail();
+		rail.use((envelope, next) => next({ ...envelope, data: { wrapped: envelope.data } }));
+		rail.on('x', (data, { signal }) => signal.aborted || data.wrapped.n, 'm');
+
+		const results = await rail.emitAsync('x', { n: 1 }, { signal: new AbortController().signal });
+		expect(results).toEqual([{ module: 'm', result: 1, error: null }]);
+	});
+});
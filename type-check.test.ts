@@ -3,12 +3,15 @@
  * This file exists to validate that rail.d.ts exports work correctly
  */
 
-import type { RailOptions, EventHandler, UnsubscribeFunction } from './rail.d.ts';
+import type { RailOptions, EventHandler, UnsubscribeFunction, ListenerOptions, RailModule, RailErrorReport } from './rail.d.ts';
 import { Rail } from './rail.js';
 
 // Test basic Rail instantiation
 const rail1: Rail = new Rail();
 const rail2: Rail = new Rail({ name: 'test', debug: true, clone: false });
+const rail3: Rail = new Rail({ historySize: 100, historyTtl: 60000 });
+const rail4: Rail = new Rail({ isolation: 'freeze' });
+const rail5: Rail = new Rail({ validation: 'report', moduleTimeout: 5000, permissions: 'audit', handlerTimeout: 1000 });
 
 // Test options type
 const options: RailOptions = { name: 'app', debug: false, clone: true };
@@ -18,23 +21,114 @@ const handler: EventHandler<{ message: string }> = (data) => {
   console.log(data.message);
 };
 
+// Test listener options type
+const listenerOptions: ListenerOptions = { module: 'module', once: true };
+
 // Test unsubscribe function type
 const unsub: UnsubscribeFunction = rail1.on('test', handler);
 
+// Test clone hook
+class Money {
+  constructor(public amount: number) {}
+  [Rail.cloneHook]() {
+    return new Money(this.amount);
+  }
+}
+
 // Test method signatures
 rail1.emit('test', { message: 'hello' });
 rail1.on('test', handler, 'module');
+rail1.on('test', handler, { module: 'module', priority: 5, timeout: 250, filter: (data) => data.message !== '' });
+rail1.once('test', handler, 'module');
 rail1.detach('module');
+rail1.attachAll([{ name: 'auth' }, { name: 'email', requires: ['auth'], optional: ['logger'] }]);
+rail1.detach('auth', { force: true });
+const scoped: RailModule = {
+  name: 'scoped',
+  listens: ['order.*'],
+  emits: ['order.seen'],
+  connect(ctx) {
+    ctx.on<{ id: number }>('order.placed', (order) => ctx.emit('order.seen', order.id));
+    ctx.respond('order.count', () => 1);
+    const owner: string = ctx.module;
+    const emitted: boolean = ctx.emitted.has('order.seen');
+    ctx.rail.getStats();
+  },
+};
+rail1.attach(scoped);
+const emitters: Record<string, string[]> = rail1.getEmitters();
+const denials: number = rail1.getStats().permissionDenials;
 rail1.getModules();
 rail1.getEvents();
 rail1.getHistory(5);
+rail1.queryHistory({ pattern: 'user.*', since: new Date(), module: 'auth', limit: 10 });
 rail1.clearHistory();
 rail1.setDebug(true);
 rail1.setClone(false);
+rail1.setIsolation('freeze');
+rail1
+  .defineEvent('user.login', { type: 'object', required: ['email'], properties: { email: { type: 'string' } } })
+  .defineEvent('metric', { type: ['number', 'null'] }, { mode: 'report' });
+const { valid, errors } = rail1.validate('user.login', {});
+const firstPath: string | undefined = errors[0]?.path;
 rail1.getStats();
 
+// Test error reporting
+const reporting = new Rail({ errorStacks: false, onError: (report) => console.log(report.listenerId, report.details.name) });
+reporting.on('rail.error', (report: RailErrorReport) => report.details.cause);
+
+// Test circuit breakers
+const guarded = new Rail({ circuitBreaker: { threshold: 0.5, minCalls: 10, cooldown: 60000 } });
+guarded.attach({ name: 'plugin', circuitBreaker: { cooldown: 5000 }, connect() {} });
+const open: string[] = guarded.getStats().openCircuits;
+const pluginState: 'closed' | 'open' | 'half-open' | undefined = guarded.getCircuits().plugin?.state;
+guarded.resetCircuit('plugin');
+
+// Test rate-limited subscriptions
+const timed = new Rail({ clock: { now: () => 0, setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) } });
+timed.on('pointer.moved', (data, { dropped }) => dropped ?? 0, { module: 'cursor', throttle: { interval: 50, trailing: false } });
+timed.on('search.typed', () => {}, { debounce: 300 });
+timed.on('telemetry', () => {}, { sample: 10 });
+timed.on('audit.entry', (entries: Array<{ action: string }>, { events }) => events?.length ?? entries.length, { module: 'database', batch: { size: 50, maxWait: 1000 } });
+const flushed: number = timed.flush('database') + timed.getStats().batched;
+
+// Test scheduled emits
+const reminder = timed.emitLater('session.expired', { userId: 1 }, 30000);
+const report = timed.emitAt('report.daily', {}, new Date());
+const heartbeat = timed.every(5000, 'health.ping');
+const cancelled: boolean = reminder.cancel() && report.cancel() && heartbeat.cancel();
+const nextRun: number | undefined = timed.getScheduled()[0]?.runAt;
+const scheduled: number = timed.getStats().scheduled + (timed.getHistory(1)[0]?.scheduleId ?? 0);
+
+// Test middleware
+const removeMiddleware = rail1.use((envelope, next) => next({ ...envelope, data: { wrapped: envelope.data } }));
+removeMiddleware();
+
 // Test async
 async function testAsync() {
   const results = await rail1.emitAsync('test', { data: 123 });
+  const timedOut: boolean = results.some((r) => r.timedOut === true);
+  const steps = await rail1.emitAsync<{ total: number }, { total: number }>('order.price', { total: 1 }, { mode: 'waterfall' });
+  const acks = await rail1.emitAsync('replica.write', {}, { mode: 'quorum', quorum: 2 });
+  rail1.on('payment.charge', async () => 'ok', { module: 'payments', retry: { attempts: 5, jitter: 0, retryIf: (error) => error.code === 'ECONNRESET' } });
+  rail1.setRetryPolicy('payment.charge', 3).setRetryPolicy('payment.refund', null);
+  const attempts: number | undefined = (await rail1.emitAsync('payment.charge'))[0]?.attempts;
   const data = await rail1.waitFor('event', 1000);
+  const controller = new AbortController();
+  const confirmed = await rail1.waitFor<{ id: number }>('payment.confirmed', { timeout: 0, signal: controller.signal });
+  rail1.on('search.run', (query, { signal }) => signal?.aborted, 'search');
+  const searches = await rail1.emitAsync('search.run', { q: 'rail' }, { signal: controller.signal });
+  const { replayed } = await rail1.replay(rail1.getHistory(), { target: rail2, speed: 1 });
+  rail1.respond<{ id: number }, string>('user.get', (req) => `user-${req.id}`, 'users');
+  const name: string = await rail1.request<string>('user.get', { id: 1 }, { timeout: 500 });
+  const ready: Rail = await rail1.attachAsync({ name: 'cache', async connect() {} }, { timeout: 2000 });
+  const removed: boolean = await rail1.detachAsync('cache', { timeout: 1000 });
+  const tracked = new Rail({ trackInFlight: true });
+  await tracked.drain(5000);
+  const inFlight: number = tracked.getStats().inFlight;
+  await tracked.shutdown({ timeout: 5000 });
+  const dead = rail1.getDeadLetters<{ amount: number }>({ reason: 'failed', limit: 5 });
+  const amount: number | undefined = dead[0]?.data.amount;
+  const redriven: boolean = await rail1.redriveDeadLetter(dead[0]?.id ?? 0);
+  const purged: number = rail1.purgeDeadLetters({ id: 1 }) + (rail1.getDeadLetter(2)?.redrives ?? 0);
 }